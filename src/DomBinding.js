@@ -0,0 +1,191 @@
+// Input types whose text the browser can undo by itself
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'url', 'tel', 'email', 'password', 'number']);
+
+const DEFAULT_SHORTCUTS = {
+    undo: ['Mod+Z'],
+    redo: ['Mod+Shift+Z', 'Ctrl+Y']
+};
+
+/**
+ * Parses a shortcut such as `'Mod+Shift+Z'`. `Mod` is Cmd on macOS and Ctrl elsewhere.
+ *
+ * @param {string} shortcut - The modifiers and the key, separated by `+`.
+ * @param {boolean} isMac - Whether `Mod` means Cmd.
+ * @returns {Object} The `key` in lower case and the `ctrl`, `meta`, `shift` and `alt` flags.
+ * @throws {Error} If the shortcut has an unknown modifier.
+ */
+function parseShortcut(shortcut, isMac) {
+    const parts = shortcut.split('+');
+    const parsed = { key: parts.pop().toLowerCase(), ctrl: false, meta: false, shift: false, alt: false };
+    for (const part of parts) {
+        const modifier = part.toLowerCase();
+        if (modifier === 'mod') {
+            parsed[isMac ? 'meta' : 'ctrl'] = true;
+        } else if (modifier === 'cmd' || modifier === 'meta') {
+            parsed.meta = true;
+        } else if (modifier === 'ctrl' || modifier === 'shift' || modifier === 'alt') {
+            parsed[modifier] = true;
+        } else {
+            throw new Error(`Unknown modifier in shortcut: ${shortcut}`);
+        }
+    }
+    return parsed;
+}
+
+function matchesShortcut(event, shortcut) {
+    return (event.key || '').toLowerCase() === shortcut.key &&
+        event.ctrlKey === shortcut.ctrl &&
+        event.metaKey === shortcut.meta &&
+        event.shiftKey === shortcut.shift &&
+        event.altKey === shortcut.alt;
+}
+
+/**
+ * Checks whether an element is a text field or editable region with the browser's own undo.
+ * Elements inside `data-oops-editor` are managed by Oops instead.
+ *
+ * @param {Element|null} element - The element that has focus or received the event.
+ * @returns {boolean} True if undo and redo should be left to the browser.
+ */
+function hasNativeUndo(element) {
+    if (!element || typeof element.closest !== 'function') return false;
+    if (element.closest('[data-oops-editor]')) return false;
+    if (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.has(element.type))) {
+        return !element.readOnly && !element.disabled;
+    }
+    const editable = element.closest('[contenteditable]');
+    return Boolean(editable) && editable.getAttribute('contenteditable') !== 'false';
+}
+
+function detectMac() {
+    const navigator = globalThis.navigator;
+    if (!navigator) return false;
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Connects an Oops instance or UndoCoordinator to the page: keyboard shortcuts, the browser's
+ * undo and redo commands, and undo and redo buttons.
+ *
+ * @description
+ * Shortcuts are handled on `keydown`. While focus is in a text field or editable region, undo and
+ * redo are left to the browser, which has its own history for them. Mark an editor whose changes
+ * go through Oops with the `data-oops-editor` attribute to handle them there too, including the
+ * `historyUndo` and `historyRedo` `beforeinput` events that the browser's Edit menu produces.
+ *
+ * Elements with `data-oops-action="undo"` or `data-oops-action="redo"` trigger the action when
+ * clicked, and are disabled while there is nothing to undo or redo.
+ *
+ * @example
+ * // <button data-oops-action="undo">Undo</button>
+ * // <button data-oops-action="redo">Redo</button>
+ * const binding = new Oops.DomBinding(undoRedoManager);
+ * // ...
+ * binding.destroy();
+ */
+class DomBinding {
+    /**
+     * @param {Oops|UndoCoordinator} manager - The history to control.
+     * @param {Object} [options={}] - Binding options.
+     * @param {Document|Element} [options.root=globalThis.document] - Where to listen for events and look for buttons.
+     * @param {Object|false} [options.shortcuts] - The shortcuts for `undo` and `redo`, as arrays such as
+     * `['Mod+Z']`, where `Mod` is Cmd on macOS and Ctrl elsewhere. Defaults to Mod+Z for undo, and
+     * Mod+Shift+Z and Ctrl+Y for redo. Pass false to disable shortcuts.
+     * @param {boolean} [options.beforeInput=true] - If true, handles `historyUndo` and `historyRedo`
+     * `beforeinput` events in `data-oops-editor` elements.
+     * @param {boolean} [options.isMac] - Whether `Mod` means Cmd. Detected from `navigator` by default.
+     * @throws {Error} If there is no root, or a shortcut has an unknown modifier.
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.root = options.root || globalThis.document;
+        if (!this.root) throw new Error('DomBinding requires a document or root element');
+
+        const isMac = options.isMac ?? detectMac();
+        const shortcuts = options.shortcuts === false ? { undo: [], redo: [] } : { ...DEFAULT_SHORTCUTS, ...options.shortcuts };
+        this.shortcuts = {
+            undo: shortcuts.undo.map(shortcut => parseShortcut(shortcut, isMac)),
+            redo: shortcuts.redo.map(shortcut => parseShortcut(shortcut, isMac))
+        };
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleBeforeInput = this.handleBeforeInput.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.update = this.update.bind(this);
+
+        this.root.addEventListener('keydown', this.handleKeyDown);
+        if (options.beforeInput !== false) this.root.addEventListener('beforeinput', this.handleBeforeInput);
+        this.root.addEventListener('click', this.handleClick);
+        this.manager.addChangeListener(this.update);
+        this.update();
+    }
+
+    handleKeyDown(event) {
+        if (event.defaultPrevented || event.isComposing) return;
+        const action = ['undo', 'redo'].find(name => this.shortcuts[name].some(shortcut => matchesShortcut(event, shortcut)));
+        if (!action || hasNativeUndo(event.target)) return;
+        event.preventDefault();
+        this.run(action);
+    }
+
+    handleBeforeInput(event) {
+        const action = { historyUndo: 'undo', historyRedo: 'redo' }[event.inputType];
+        if (!action || hasNativeUndo(event.target)) return;
+        event.preventDefault();
+        this.run(action);
+    }
+
+    handleClick(event) {
+        const button = event.target && typeof event.target.closest === 'function' && event.target.closest('[data-oops-action]');
+        if (!button || !this.root.contains(button)) return;
+        const action = button.getAttribute('data-oops-action');
+        if (action !== 'undo' && action !== 'redo') return;
+        event.preventDefault();
+        this.run(action);
+    }
+
+    /**
+     * Undoes or redoes one step.
+     *
+     * @param {string} action - 'undo' or 'redo'.
+     * @returns {Promise<void>} A promise that resolves once the step is done. It never rejects, since
+     * failures are already reported through the manager's `error` event. A manager that throws right
+     * away, such as an UndoCoordinator without a focused scope, has nothing to undo or redo.
+     */
+    run(action) {
+        try {
+            return this.manager[action]().catch(() => {});
+        } catch (error) {
+            return Promise.resolve();
+        }
+    }
+
+    /**
+     * Enables or disables the undo and redo buttons to match the history.
+     *
+     * @description
+     * Called on every change of the history. Call it after adding buttons to the page.
+     */
+    update() {
+        const state = { undo: this.manager.canUndo, redo: this.manager.canRedo };
+        for (const button of this.root.querySelectorAll('[data-oops-action]')) {
+            const enabled = state[button.getAttribute('data-oops-action')];
+            if (enabled === undefined) continue;
+            button.disabled = !enabled;
+            button.setAttribute('aria-disabled', String(!enabled));
+        }
+    }
+
+    /**
+     * Removes all event listeners.
+     */
+    destroy() {
+        this.root.removeEventListener('keydown', this.handleKeyDown);
+        this.root.removeEventListener('beforeinput', this.handleBeforeInput);
+        this.root.removeEventListener('click', this.handleClick);
+        this.manager.removeChangeListener(this.update);
+    }
+}
+
+module.exports = DomBinding;
@@ -0,0 +1,522 @@
+const { SyncConflictError } = require('./errors.js');
+
+// How many operations back applied requests are remembered, so a resubmitted one is not applied twice
+const APPLIED_WINDOW = 1000;
+
+function createTabId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Shares one history between the Oops instances of several tabs or windows that show the same document.
+ *
+ * @description
+ * The tabs elect a leader, which puts all operations in a single order. Commands executed with
+ * HistorySync's execute, undo and redo are sent to the leader in their serialized form, and are
+ * applied by every tab (including the one they came from) in the order the leader applied them,
+ * so all histories and documents stay identical. Commands must therefore be serializable before
+ * they run; `mutate()` recipes are not.
+ *
+ * An undo or redo is refused with a SyncConflictError if another tab changed the history after
+ * it was requested, so that two tabs pressing undo at the same time undo only one step.
+ *
+ * A tab that joins imports the history from the leader, so it has to load the document as the
+ * leader has it, e.g. from shared storage. When the leader closes, the remaining tab with the
+ * lowest id takes over, and requests that were still waiting are sent to it.
+ *
+ * Any object with `postMessage` and `addEventListener`/`removeEventListener` for `message` events
+ * can be the channel, such as a BroadcastChannel or MessagePort. History tree mode and `actorId`
+ * are not supported.
+ *
+ * @example
+ * const sync = new Oops.HistorySync(undoRedoManager, { channel: new BroadcastChannel('document-42') });
+ * await sync.start();
+ * await sync.execute(new RenameCommand(doc, 'Report'));
+ * await sync.undo();
+ */
+class HistorySync {
+    /**
+     * @param {Oops} manager - The undo/redo manager of this tab.
+     * @param {Object} options - Sync options.
+     * @param {Object} options.channel - The transport shared by all tabs of the document.
+     * @param {string} [options.id] - The id of this tab. Defaults to a new id; ids are compared to elect the leader.
+     * @param {number} [options.heartbeatInterval=1000] - How often each tab announces that it is alive, in milliseconds.
+     * @param {number} [options.timeout=3000] - How long a tab may be silent before it is considered closed, in milliseconds.
+     * @param {number} [options.electionTimeout=200] - How long start waits for an existing leader before electing one, in milliseconds.
+     * @throws {Error} If no channel is given, or the manager uses history tree mode or `actorId`.
+     */
+    constructor(manager, options = {}) {
+        if (!options.channel) throw new Error('HistorySync requires a channel');
+        if (manager.historyTree || manager.actorId) {
+            throw new Error('HistorySync cannot be combined with history tree mode or actorId');
+        }
+        this.manager = manager;
+        this.channel = options.channel;
+        this.id = options.id || createTabId();
+        this.heartbeatInterval = options.heartbeatInterval ?? 1000;
+        this.timeout = options.timeout ?? 3000;
+        this.electionTimeout = options.electionTimeout ?? 200;
+
+        this.peers = new Map(); // id of every other tab -> when it was last heard from
+        this.leaderId = null;
+        this.synced = false;
+        this.version = 0; // the number of operations applied to the shared history
+        this.applied = new Map(); // `${from}:${requestId}` of recently applied requests -> version
+        this.pending = new Map(); // this tab's requests that have not been applied yet
+        this.nextRequestId = 1;
+        this.sequence = Promise.resolve(); // operations are applied one at a time, in order
+        this.readyCallbacks = [];
+        this.heartbeatTimer = null;
+        this.electionTimer = null;
+        this.handleMessage = event => this.receive(event.data);
+    }
+
+    /**
+     * Whether this tab is the leader.
+     *
+     * @returns {boolean} True if this tab puts the operations of all tabs in order.
+     */
+    get isLeader() {
+        return this.leaderId === this.id;
+    }
+
+    /**
+     * Connects to the other tabs.
+     *
+     * @returns {Promise<void>} A promise that resolves once a leader is known and, if it is another
+     * tab, its history has been imported.
+     * @throws {Error} If the leader's history can't be imported, e.g. because a command type is not
+     * registered (as a rejection).
+     */
+    start() {
+        this.channel.addEventListener('message', this.handleMessage);
+        this.post({ type: 'hello' });
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+        this.electionTimer = setTimeout(() => {
+            if (this.leaderId === null) this.elect();
+        }, this.electionTimeout);
+        return new Promise((resolve, reject) => {
+            if (this.synced) {
+                resolve();
+            } else {
+                this.readyCallbacks.push({ resolve, reject });
+            }
+        });
+    }
+
+    /**
+     * Disconnects from the other tabs. Requests that have not been applied yet are rejected.
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.electionTimer);
+        this.channel.removeEventListener('message', this.handleMessage);
+        try {
+            this.post({ type: 'bye' });
+        } catch (error) {
+            // The channel was closed already; the other tabs notice when the heartbeats stop
+        }
+        for (const request of this.pending.values()) {
+            request.reject(new Error('HistorySync was stopped'));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Executes a command in every tab.
+     *
+     * @param {Command} command - The command to execute. It must be serializable.
+     * @param {Object} [options={}] - Execution options.
+     * @param {string} [options.label] - A label for the history entry.
+     * @param {string} [options.labelKey] - A message key for the label.
+     * @param {Object} [options.labelParams] - Parameters for the message.
+     * @param {boolean} [options.undoable=true] - If false, the command is not added to the history.
+     * @returns {Promise<*>} A promise that resolves with the result of the command in this tab once
+     * it has been applied in the shared order.
+     * @throws {Error} If the command can't be serialized or fails in the leader (as a rejection).
+     */
+    execute(command, options = {}) {
+        const { label, labelKey, labelParams, undoable } = options;
+        return this.request({
+            kind: 'execute',
+            command: this.manager.serializeCommand(command),
+            options: { label, labelKey, labelParams, undoable }
+        }, command);
+    }
+
+    /**
+     * Undoes commands in every tab.
+     *
+     * @param {number} [steps=1] - The number of commands to undo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been undone in this tab.
+     * @throws {SyncConflictError} If another tab changed the history first (as a rejection).
+     */
+    undo(steps = 1) {
+        return this.request({ kind: 'undo', steps });
+    }
+
+    /**
+     * Redoes commands in every tab.
+     *
+     * @param {number} [steps=1] - The number of commands to redo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been redone in this tab.
+     * @throws {SyncConflictError} If another tab changed the history first (as a rejection).
+     */
+    redo(steps = 1) {
+        return this.request({ kind: 'redo', steps });
+    }
+
+    /**
+     * Sends an operation to the leader and waits until it has been applied in this tab.
+     *
+     * @param {Object} op - The operation.
+     * @param {Command} [command] - The command of an execute operation, which this tab runs itself
+     * instead of deserializing it.
+     * @returns {Promise<*>} A promise that settles with the outcome of the operation in this tab.
+     */
+    request(op, command = null) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const request = { from: this.id, requestId, op, base: this.version, command, resolve, reject };
+            this.pending.set(requestId, request);
+            if (this.synced) this.submit(request);
+        });
+    }
+
+    /**
+     * Hands a pending request to the leader.
+     *
+     * @param {Object} request - The request.
+     */
+    submit({ from, requestId, op, base }) {
+        if (this.isLeader) {
+            this.lead({ from, requestId, op, base });
+        } else {
+            this.post({ type: 'request', to: this.leaderId, requestId, op, base });
+        }
+    }
+
+    /**
+     * Applies a request as the leader and shares it with the other tabs.
+     *
+     * @param {Object} request - The request, from this tab or another one.
+     */
+    lead(request) {
+        this.schedule(async () => {
+            const key = `${request.from}:${request.requestId}`;
+            if (this.applied.has(key)) return;
+
+            const { kind } = request.op;
+            if (kind !== 'execute' && request.base !== this.version) {
+                this.refuse(request, `Cannot ${kind}: the history was changed in another tab`, true);
+                return;
+            }
+
+            // Every tab records the command with the same id and timestamp, so they merge it alike
+            const op = { ...request.op };
+            if (kind === 'execute') op.options = { ...op.options, id: this.manager.createCommandId(), timestamp: Date.now() };
+            let result;
+            try {
+                result = await this.perform(op, request);
+            } catch (error) {
+                this.refuse(request, error.message, false);
+                return;
+            }
+
+            this.version++;
+            this.markApplied(key);
+            this.post({ type: 'applied', version: this.version, origin: request.from, requestId: request.requestId, op });
+            this.settle(request, result);
+        });
+    }
+
+    /**
+     * Remembers that a request has been applied and forgets those applied more than
+     * APPLIED_WINDOW operations earlier.
+     *
+     * @param {string} key - The request, as `${from}:${requestId}`.
+     * @param {number} [version=this.version] - The version of the history it produced.
+     *
+     * @description
+     * A request is only resubmitted while it is waiting in its tab, which learns that it was
+     * applied shortly after, so older requests need not be remembered.
+     */
+    markApplied(key, version = this.version) {
+        this.applied.set(key, version);
+        for (const [applied, appliedVersion] of this.applied) {
+            if (appliedVersion > version - APPLIED_WINDOW) break;
+            this.applied.delete(applied);
+        }
+    }
+
+    /**
+     * Tells the tab a request came from that it was not applied.
+     *
+     * @param {Object} request - The request.
+     * @param {string} message - Why it was not applied.
+     * @param {boolean} conflict - True if another tab changed the history first.
+     */
+    refuse(request, message, conflict) {
+        if (request.from !== this.id) {
+            this.post({ type: 'refused', to: request.from, requestId: request.requestId, message, conflict });
+            return;
+        }
+        const pending = this.pending.get(request.requestId);
+        if (!pending) return;
+        this.pending.delete(request.requestId);
+        pending.reject(conflict ? new SyncConflictError(message, request.op.kind) : new Error(message));
+    }
+
+    /**
+     * Applies an operation to this tab's history.
+     *
+     * @param {Object} op - The operation.
+     * @param {Object} request - The request it belongs to.
+     * @returns {Promise<*>} A promise that resolves with the result of the operation.
+     */
+    perform(op, request) {
+        if (op.kind !== 'execute') return this.manager[op.kind](op.steps);
+        const pending = request.from === this.id ? this.pending.get(request.requestId) : null;
+        const command = pending ? pending.command : this.manager.deserializeCommand(op.command);
+        return this.manager.execute(command, op.options);
+    }
+
+    /**
+     * Resolves this tab's request once it has been applied.
+     *
+     * @param {Object} request - The request.
+     * @param {*} result - The result of the operation.
+     */
+    settle(request, result) {
+        if (request.from !== this.id) return;
+        const pending = this.pending.get(request.requestId);
+        if (!pending) return;
+        this.pending.delete(request.requestId);
+        pending.resolve(result);
+    }
+
+    /**
+     * Handles a message from another tab.
+     *
+     * @param {Object} message - The message.
+     */
+    receive(message) {
+        if (!message || message.from === this.id) return;
+        if (message.to && message.to !== this.id) return;
+        this.peers.set(message.from, Date.now());
+
+        switch (message.type) {
+            case 'hello':
+                if (this.isLeader) {
+                    this.sendState(message.from);
+                } else {
+                    this.post({ type: 'here', leader: false });
+                }
+                break;
+            case 'here':
+                if (message.leader && this.leaderId === null) {
+                    this.leaderId = message.from;
+                    // A leader elected before this tab's election timer fired has not sent the history
+                    if (!this.synced) this.post({ type: 'sync', to: this.leaderId });
+                }
+                break;
+            case 'sync':
+                if (this.isLeader) this.sendState(message.from);
+                break;
+            case 'bye':
+                this.peers.delete(message.from);
+                if (message.from === this.leaderId) this.elect();
+                break;
+            case 'state':
+                this.schedule(() => this.importState(message));
+                break;
+            case 'request':
+                if (this.isLeader) this.lead({ from: message.from, requestId: message.requestId, op: message.op, base: message.base });
+                break;
+            case 'applied':
+                if (this.synced) this.schedule(() => this.follow(message));
+                break;
+            case 'refused': {
+                const pending = this.pending.get(message.requestId);
+                if (!pending) break;
+                this.pending.delete(message.requestId);
+                pending.reject(message.conflict ? new SyncConflictError(message.message, pending.op.kind) : new Error(message.message));
+                break;
+            }
+        }
+    }
+
+    /**
+     * Applies an operation that the leader has applied.
+     *
+     * @param {Object} message - The `applied` message.
+     * @returns {Promise<void>} A promise that resolves once the operation has been applied.
+     *
+     * @description
+     * If operations were missed, or the operation fails in this tab, the history no longer
+     * matches the leader's and is taken over from the leader again. This tab's own request
+     * is then rejected with the error.
+     */
+    async follow(message) {
+        if (message.version <= this.version) return;
+        if (message.version > this.version + 1) {
+            this.resync();
+            return;
+        }
+
+        const request = { from: message.origin, requestId: message.requestId };
+        this.markApplied(`${message.origin}:${message.requestId}`, message.version);
+        let result;
+        try {
+            result = await this.perform(message.op, request);
+        } catch (error) {
+            const pending = message.origin === this.id ? this.pending.get(message.requestId) : null;
+            if (pending) {
+                this.pending.delete(message.requestId);
+                pending.reject(error);
+            }
+            this.resync();
+            return;
+        }
+        this.version = message.version;
+        this.settle(request, result);
+    }
+
+    /**
+     * Takes the history over from the leader again, ignoring operations until it has arrived.
+     */
+    resync() {
+        this.synced = false;
+        this.post({ type: 'sync', to: this.leaderId });
+    }
+
+    /**
+     * Sends the shared history to a tab that joined or missed operations.
+     *
+     * @param {string} to - The id of the tab.
+     */
+    sendState(to) {
+        this.schedule(() => {
+            this.post({ type: 'state', to, version: this.version, state: this.manager.exportState() });
+        });
+    }
+
+    /**
+     * Queues a task behind the operations that are being applied.
+     *
+     * @param {Function} task - The task, which may return a Promise.
+     *
+     * @description
+     * A task that fails is reported by fail, and the tasks after it still run.
+     */
+    schedule(task) {
+        this.sequence = this.sequence.then(task).catch(error => this.fail(error));
+    }
+
+    /**
+     * Reports an error that happened while applying operations.
+     *
+     * @param {Error} error - The error.
+     *
+     * @description
+     * If start is still waiting, it is rejected with the error; otherwise the error is logged.
+     */
+    fail(error) {
+        const callbacks = this.readyCallbacks.splice(0);
+        if (callbacks.length === 0) console.error("Error syncing history:", error);
+        for (const { reject } of callbacks) {
+            reject(error);
+        }
+    }
+
+    /**
+     * Imports the shared history sent by the leader.
+     *
+     * @param {Object} message - The `state` message.
+     * @throws {Error} If the history can't be imported. This tab's requests are rejected, as they
+     * can't be applied before it has.
+     */
+    importState(message) {
+        try {
+            this.manager.importState(message.state);
+        } catch (error) {
+            for (const request of this.pending.values()) {
+                request.reject(error);
+            }
+            this.pending.clear();
+            throw error;
+        }
+        this.version = message.version;
+        this.leaderId = message.from;
+        this.markSynced();
+    }
+
+    /**
+     * Elects the tab with the lowest id as the leader.
+     *
+     * @description
+     * Every tab knows the same tabs, so they all elect the same one. A follower that has not
+     * imported the history yet asks the new leader for it; requests that were waiting for a
+     * leader are sent to it.
+     */
+    elect() {
+        this.leaderId = [this.id, ...this.peers.keys()].sort()[0];
+        if (this.isLeader) {
+            this.post({ type: 'here', leader: true });
+            this.markSynced();
+        } else if (!this.synced) {
+            this.post({ type: 'sync', to: this.leaderId });
+        } else {
+            this.resubmit();
+        }
+    }
+
+    /**
+     * Marks the history as shared, resolves start and sends the requests that were waiting.
+     */
+    markSynced() {
+        this.synced = true;
+        this.resubmit();
+        for (const { resolve } of this.readyCallbacks.splice(0)) {
+            resolve();
+        }
+    }
+
+    /**
+     * Sends this tab's requests that have not been applied yet to the current leader.
+     *
+     * @description
+     * The leader ignores requests it has already applied, so a request may be sent more than once.
+     */
+    resubmit() {
+        for (const request of this.pending.values()) {
+            this.submit(request);
+        }
+    }
+
+    /**
+     * Announces that this tab is alive and forgets tabs that have been silent for too long.
+     */
+    heartbeat() {
+        this.post({ type: 'here', leader: this.isLeader });
+        const now = Date.now();
+        let leaderLost = false;
+        for (const [id, lastSeen] of this.peers) {
+            if (now - lastSeen <= this.timeout) continue;
+            this.peers.delete(id);
+            if (id === this.leaderId) leaderLost = true;
+        }
+        if (leaderLost) this.elect();
+    }
+
+    /**
+     * Sends a message to the other tabs, with this tab's id as `from`.
+     *
+     * @param {Object} message - The message.
+     */
+    post(message) {
+        this.channel.postMessage({ ...message, from: this.id });
+    }
+}
+
+module.exports = HistorySync;
@@ -0,0 +1,249 @@
+class HistoryTree {
+    constructor() {
+        this.nodes = new Map();
+        this.nextId = 0;
+        this.root = this.createNode(null, null);
+        this.current = this.root;
+    }
+
+    /**
+     * Creates a node and registers it in the tree.
+     *
+     * @param {Command|null} command - The command stored in the node, or null for the root.
+     * @param {Object|null} parent - The parent node, or null for the root.
+     * @param {number} [timestamp=Date.now()] - The time the command was executed.
+     * @returns {Object} The new node.
+     */
+    createNode(command, parent, timestamp = Date.now()) {
+        const node = {
+            id: this.nextId++,
+            command,
+            parent,
+            children: [],
+            activeChild: null,
+            timestamp
+        };
+        this.nodes.set(node.id, node);
+        return node;
+    }
+
+    /**
+     * Adds a command as a new child of the current node and makes it current.
+     *
+     * @param {Command} command - The command that was just executed.
+     * @returns {Object} The new node.
+     *
+     * @description
+     * Existing children of the current node are kept, so executing a command after an undo
+     * starts a new branch instead of discarding the undone commands.
+     */
+    add(command) {
+        const node = this.createNode(command, this.current);
+        this.current.children.push(node);
+        this.current.activeChild = node;
+        this.current = node;
+        return node;
+    }
+
+    /**
+     * Moves the current node to its parent.
+     */
+    moveUp() {
+        this.current = this.current.parent;
+    }
+
+    /**
+     * Moves the current node to the given child and makes that child the active one,
+     * so that later redos follow the same branch.
+     *
+     * @param {Object} [child=this.current.activeChild] - The child to move to.
+     */
+    moveDown(child = this.current.activeChild) {
+        this.current.activeChild = child;
+        this.current = child;
+    }
+
+    /**
+     * Returns the nodes from the first node below the root down to the given node.
+     *
+     * @param {Object} [node=this.current] - The last node of the path.
+     * @returns {Object[]} The nodes in execution order.
+     */
+    getPath(node = this.current) {
+        const path = [];
+        for (let n = node; n !== this.root; n = n.parent) {
+            path.unshift(n);
+        }
+        return path;
+    }
+
+    /**
+     * Returns the nodes that redo would apply, following the active child of each node.
+     *
+     * @returns {Object[]} The nodes in execution order.
+     */
+    getRedoPath() {
+        const path = [];
+        for (let n = this.current.activeChild; n; n = n.activeChild) {
+            path.push(n);
+        }
+        return path;
+    }
+
+    /**
+     * Returns the commands that make up the undo and redo stacks for the current position.
+     *
+     * @returns {{undoStack: Command[], redoStack: Command[]}} The stacks, with the next command to undo or redo last.
+     */
+    getStacks() {
+        return {
+            undoStack: this.getPath().map(node => node.command),
+            redoStack: this.getRedoPath().map(node => node.command).reverse()
+        };
+    }
+
+    /**
+     * Returns the leaf nodes of the tree, one per branch.
+     *
+     * @returns {Object[]} The leaf nodes, oldest first.
+     */
+    getLeaves() {
+        return Array.from(this.nodes.values()).filter(node => node !== this.root && node.children.length === 0);
+    }
+
+    /**
+     * Computes the route from the current node to the target node.
+     *
+     * @param {Object} target - The node to travel to.
+     * @returns {{up: Object[], down: Object[]}} The nodes to undo, nearest first, and the nodes to execute, in order.
+     */
+    getRoute(target) {
+        const targetPath = new Set([this.root, ...this.getPath(target)]);
+        const up = [];
+        let ancestor = this.current;
+        while (!targetPath.has(ancestor)) {
+            up.push(ancestor);
+            ancestor = ancestor.parent;
+        }
+        const down = [];
+        for (let n = target; n !== ancestor; n = n.parent) {
+            down.unshift(n);
+        }
+        return { up, down };
+    }
+
+    /**
+     * Drops the oldest command on the current path to keep the history within its size limit.
+     *
+     * @description
+     * The first node below the root is removed together with every branch that does not lead
+     * to the current node. Its children become children of the root.
+     */
+    trimRoot() {
+        const first = this.getPath()[0];
+        if (!first) return;
+
+        const removed = [...this.root.children.filter(node => node !== first), first];
+        while (removed.length > 0) {
+            const node = removed.pop();
+            this.nodes.delete(node.id);
+            if (node === first) continue;
+            removed.push(...node.children);
+        }
+
+        this.root.children = first.children;
+        this.root.activeChild = first.activeChild;
+        for (const child of first.children) {
+            child.parent = this.root;
+        }
+    }
+
+    /**
+     * Builds a single-branch tree from linear undo and redo stacks.
+     *
+     * @param {Command[]} undoStack - The undo stack, oldest command first.
+     * @param {Command[]} redoStack - The redo stack, next command to redo last.
+     * @returns {HistoryTree} A tree whose current node is the top of the undo stack.
+     */
+    static fromStacks(undoStack, redoStack) {
+        const tree = new HistoryTree();
+        for (const command of undoStack) {
+            tree.add(command);
+        }
+        const current = tree.current;
+        for (let i = redoStack.length - 1; i >= 0; i--) {
+            tree.add(redoStack[i]);
+        }
+        tree.current = current;
+        return tree;
+    }
+
+    /**
+     * Serializes the tree.
+     *
+     * @param {Function} serializeCommand - A function that serializes a single command.
+     * @returns {Object} A plain object that can be converted to JSON.
+     */
+    serialize(serializeCommand) {
+        return {
+            currentId: this.current.id,
+            nextId: this.nextId,
+            nodes: Array.from(this.nodes.values())
+                .filter(node => node !== this.root)
+                .map(node => ({
+                    id: node.id,
+                    parentId: node.parent.id,
+                    activeChildId: node.activeChild ? node.activeChild.id : null,
+                    timestamp: node.timestamp,
+                    command: serializeCommand(node.command)
+                })),
+            rootActiveChildId: this.root.activeChild ? this.root.activeChild.id : null
+        };
+    }
+
+    /**
+     * Rebuilds a tree from its serialized form.
+     *
+     * @param {Object} data - The object produced by serialize.
+     * @param {Function} deserializeCommand - A function that deserializes a single command.
+     * @returns {HistoryTree} The rebuilt tree.
+     * @throws {Error} If a node refers to a parent or child that does not exist.
+     */
+    static deserialize(data, deserializeCommand) {
+        const tree = new HistoryTree();
+        const activeChildIds = new Map([[tree.root, data.rootActiveChildId]]);
+
+        tree.nodes.clear();
+        tree.nodes.set(0, tree.root);
+        for (const serializedNode of data.nodes) {
+            const parent = tree.nodes.get(serializedNode.parentId);
+            if (!parent) throw new Error(`Unknown history node: ${serializedNode.parentId}`);
+            const node = {
+                id: serializedNode.id,
+                command: deserializeCommand(serializedNode.command),
+                parent,
+                children: [],
+                activeChild: null,
+                timestamp: serializedNode.timestamp
+            };
+            parent.children.push(node);
+            tree.nodes.set(node.id, node);
+            activeChildIds.set(node, serializedNode.activeChildId);
+        }
+
+        for (const [node, activeChildId] of activeChildIds) {
+            if (activeChildId === null || activeChildId === undefined) continue;
+            const activeChild = tree.nodes.get(activeChildId);
+            if (!activeChild) throw new Error(`Unknown history node: ${activeChildId}`);
+            node.activeChild = activeChild;
+        }
+
+        const current = tree.nodes.get(data.currentId);
+        if (!current) throw new Error(`Unknown history node: ${data.currentId}`);
+        tree.current = current;
+        tree.nextId = data.nextId;
+        return tree;
+    }
+}
+
+module.exports = HistoryTree;
@@ -0,0 +1,68 @@
+/**
+ * A command that reverts another command: executing it undoes the command, and undoing it
+ * executes the command again.
+ *
+ * @description
+ * Created by `oops.undoCommand()` to revert an earlier command as a new history entry,
+ * without undoing the commands that came after it.
+ */
+class InverseCommand {
+    /**
+     * @param {Command} command - The command to revert.
+     */
+    constructor(command) {
+        this.command = command;
+    }
+
+    execute() {
+        return this.command.undo();
+    }
+
+    undo() {
+        return this.command.execute();
+    }
+
+    /**
+     * Checks whether the reverted command can be undone.
+     *
+     * @returns {boolean} The result of the reverted command's `canUndo()`, or true if it has none.
+     */
+    canExecute() {
+        return typeof this.command.canUndo !== 'function' || this.command.canUndo();
+    }
+
+    /**
+     * Checks whether the reverted command can be executed again.
+     *
+     * @returns {boolean} The result of the reverted command's `canExecute()`, or true if it has none.
+     */
+    canUndo() {
+        return typeof this.command.canExecute !== 'function' || this.command.canExecute();
+    }
+
+    /**
+     * Returns the resources the reverted command touches.
+     *
+     * @returns {string[]|null} The resources, or null if the reverted command does not declare them.
+     */
+    getResources() {
+        return typeof this.command.getResources === 'function' ? this.command.getResources() : null;
+    }
+
+    serialize(serializeCommand = cmd => cmd.serialize()) {
+        return {
+            type: 'InverseCommand',
+            data: serializeCommand(this.command)
+        };
+    }
+
+    static deserialize(data, deserializeCommand) {
+        return new InverseCommand(deserializeCommand(data));
+    }
+
+    canMerge(other) {
+        return false;
+    }
+}
+
+module.exports = InverseCommand;
@@ -0,0 +1,289 @@
+const { ReplayMismatchError } = require('./errors.js');
+
+// Version of the entries written by Journal
+const JOURNAL_FORMAT_VERSION = 1;
+
+/**
+ * Records every operation on an Oops instance as an append-only journal, which can be replayed
+ * on a fresh instance to reproduce the same history, e.g. for bug reports or as an audit log.
+ *
+ * @description
+ * Each entry is a plain JSON object with a sequence number `seq`, the `time` it was recorded and
+ * its `type`:
+ * - `start`: The journal format version and the exported history at the time recording started.
+ * - `execute`: The serialized command, the execute options including its timestamp, whether it was
+ *   `merged` into the previous entry, and whether the merge group was broken before it.
+ * - `undo`, `redo`: The number of `steps` requested, the `stalePolicy` used, and whether it was a
+ *   `jump` to an index with goTo, in which stale commands count as steps.
+ * - `jump`: The `nodeId` reached in history tree mode.
+ * - `transactionBegin`, `transactionCommit`, `transactionAbort`: The transaction `depth`, and for a
+ *   commit the `label` it was given, if any.
+ * - `clear`, `import`: The history was cleared, or replaced by the imported `state`.
+ * - `error`: An operation that failed, with its `message`. It changed nothing and is not replayed.
+ *
+ * Every entry that changes the history also has a `check` with the resulting `undoStackSize`,
+ * `redoStackSize` and serialized `top` command, which replay compares after each step.
+ *
+ * Commands are recorded through middleware after they have run, so that commands recorded on
+ * execute, such as those of mutate(), are complete. Create the journal after other middleware to
+ * record the commands they pass on. Transactions are recorded when they begin, so await the
+ * commands executed before a transaction begins.
+ *
+ * @example
+ * const journal = new Oops.Journal(undoRedoManager, {
+ *     onEntry: entry => logFile.append(JSON.stringify(entry) + '\n')
+ * });
+ * // ... later, with the same command types registered on a fresh instance:
+ * await Oops.Journal.replay(Oops.Journal.parse(bugReport.journal), freshManager);
+ */
+class Journal {
+    /**
+     * @param {Oops} manager - The undo/redo manager to record.
+     * @param {Object} [options={}] - Journal options.
+     * @param {Function} [options.onEntry] - Called with every new entry, e.g. to append it to a log.
+     * @throws {Error} If the current history can't be exported.
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.onEntry = options.onEntry || null;
+        this.entries = [];
+        this.nextSeq = 1;
+
+        this.record('start', { formatVersion: JOURNAL_FORMAT_VERSION, state: manager.exportState() });
+
+        this.removeMiddleware = manager.use((context, next) => this.recordExecute(context, next));
+        this.listeners = {
+            undo: event => this.record('undo', this.describeMove(event), true),
+            redo: event => this.record('redo', this.describeMove(event), true),
+            jump: event => this.record('jump', { nodeId: event.nodeId }, true),
+            transactionBegin: event => this.record('transactionBegin', { depth: event.depth }),
+            transactionCommit: event => this.record('transactionCommit', { depth: event.depth, label: event.label || undefined }, true),
+            transactionAbort: event => this.record('transactionAbort', { depth: event.depth }, true),
+            clear: () => this.record('clear', {}, true),
+            import: event => this.record('import', { state: event.state }, true),
+            error: event => this.record('error', { operation: event.operation, message: event.error && event.error.message })
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            manager.on(type, listener);
+        }
+    }
+
+    /**
+     * Records an execute once the command has run.
+     *
+     * @param {Object} context - The middleware context.
+     * @param {Function} next - Runs the command.
+     * @returns {Promise<*>} A promise that resolves with the result of the command.
+     */
+    async recordExecute(context, next) {
+        if (context.operation !== 'execute') return next();
+
+        const manager = this.manager;
+        context.options = { ...context.options, timestamp: context.options.timestamp ?? Date.now() };
+        const breakMergeGroup = manager.mergeGroupBroken;
+        const previousId = this.getTopId();
+
+        const result = await next();
+
+        const { label, labelKey, labelParams, undoable, actor, id, timestamp } = context.options;
+        const merged = undoable !== false && !context.transaction && previousId !== null && this.getTopId() === previousId;
+        let command = null;
+        let unserializable;
+        try {
+            command = manager.serializeCommand(context.command);
+        } catch (error) {
+            unserializable = error.message;
+        }
+        this.record('execute', {
+            command,
+            unserializable,
+            options: { label, labelKey, labelParams, undoable, actor, id, timestamp },
+            merged,
+            breakMergeGroup,
+            transaction: context.transaction
+        }, true);
+        return result;
+    }
+
+    /**
+     * Returns the id of the command on top of the undo stack.
+     *
+     * @returns {string|null} The id, or null if the undo stack is empty or the command has none.
+     */
+    getTopId() {
+        const top = this.manager.undoStack[this.manager.undoStack.length - 1];
+        return top ? this.manager.getCommandId(top) : null;
+    }
+
+    /**
+     * Describes an undo or redo event as an entry. The requested steps are recorded rather than
+     * the commands that were moved, which include any skipped stale commands.
+     *
+     * @param {Object} event - The undo or redo event.
+     * @returns {Object} The `steps`, `stalePolicy` and `jump` of the entry.
+     */
+    describeMove(event) {
+        return { steps: event.steps, stalePolicy: event.stalePolicy, jump: event.jump || undefined };
+    }
+
+    /**
+     * Appends an entry.
+     *
+     * @param {string} type - The type of the entry.
+     * @param {Object} details - The entry-specific properties.
+     * @param {boolean} [check=false] - If true, the resulting history is recorded for replay to check.
+     */
+    record(type, details, check = false) {
+        const entry = { seq: this.nextSeq++, time: Date.now(), type, ...details };
+        if (check) entry.check = Journal.describeHistory(this.manager);
+        this.entries.push(entry);
+        if (this.onEntry) this.onEntry(entry);
+    }
+
+    /**
+     * Stops recording.
+     */
+    stop() {
+        this.removeMiddleware();
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.manager.off(type, listener);
+        }
+    }
+
+    /**
+     * Returns the journal as JSON Lines, one entry per line.
+     *
+     * @returns {string} The journal.
+     */
+    toJSONL() {
+        return this.entries.map(entry => JSON.stringify(entry)).join('\n');
+    }
+
+    /**
+     * Reads a journal written with toJSONL or `onEntry`.
+     *
+     * @param {string} text - JSON Lines, one entry per line. Empty lines are ignored.
+     * @returns {Object[]} The entries.
+     * @throws {Error} If a line is not valid JSON.
+     */
+    static parse(text) {
+        return text.split('\n').filter(line => line.trim() !== '').map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid journal entry on line ${i + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Summarizes a history for replay to compare.
+     *
+     * @param {Oops} manager - The undo/redo manager.
+     * @returns {Object} The `undoStackSize`, `redoStackSize` and serialized `top` command of the
+     * undo stack, or null if there is none or it can't be serialized.
+     */
+    static describeHistory(manager) {
+        const top = manager.undoStack[manager.undoStack.length - 1];
+        let serialized = null;
+        if (top) {
+            try {
+                serialized = manager.serializeCommand(top);
+            } catch (error) {
+                // Commands that can't be serialized are only compared by the stack sizes
+            }
+        }
+        return { undoStackSize: manager.undoStack.length, redoStackSize: manager.redoStack.length, top: serialized };
+    }
+
+    /**
+     * Replays a journal on an Oops instance and checks that every step has the recorded outcome.
+     *
+     * @param {Object[]} entries - The journal entries, e.g. from parse or `journal.entries`.
+     * @param {Oops} manager - A fresh manager with the same command types and patch targets registered,
+     * whose application state is as it was when recording started.
+     * @param {Object} [options={}] - Replay options.
+     * @param {Function} [options.onStep] - Called with each entry after it has been replayed and checked.
+     * @returns {Promise<number>} A promise that resolves with the number of replayed steps.
+     * @throws {ReplayMismatchError} If a step fails or leaves a different history than recorded (as a rejection).
+     * @throws {Error} If the journal has a newer format version than this version of Oops (as a rejection).
+     *
+     * @description
+     * Commands are executed with their recorded options, including the timestamp, so they merge
+     * as they did when they were recorded. `error` entries are skipped.
+     */
+    static async replay(entries, manager, options = {}) {
+        let steps = 0;
+        for (const entry of entries) {
+            if (entry.type === 'error') continue;
+            if (entry.type === 'start' && entry.formatVersion > JOURNAL_FORMAT_VERSION) {
+                throw new Error(`Unsupported journal format version: ${entry.formatVersion}`);
+            }
+            try {
+                await Journal.replayEntry(entry, manager);
+            } catch (error) {
+                throw new ReplayMismatchError(`Step ${entry.seq} (${entry.type}) failed: ${error.message}`, { entry, expected: entry.check, cause: error });
+            }
+            if (entry.check) {
+                const actual = Journal.describeHistory(manager);
+                if (JSON.stringify(actual) !== JSON.stringify(entry.check)) {
+                    throw new ReplayMismatchError(`Step ${entry.seq} (${entry.type}) left a different history than recorded`, { entry, expected: entry.check, actual });
+                }
+            }
+            steps++;
+            if (options.onStep) options.onStep(entry);
+        }
+        return steps;
+    }
+
+    /**
+     * Replays a single entry.
+     *
+     * @param {Object} entry - The journal entry.
+     * @param {Oops} manager - The undo/redo manager.
+     * @returns {Promise<void>} A promise that resolves once the entry has been applied.
+     * @throws {Error} If the entry can't be applied.
+     */
+    static async replayEntry(entry, manager) {
+        switch (entry.type) {
+            case 'start':
+                manager.importState(entry.state);
+                break;
+            case 'execute':
+                if (!entry.command) throw new Error(`The command could not be serialized when it was recorded: ${entry.unserializable}`);
+                if (entry.breakMergeGroup) await manager.breakMergeGroup();
+                await manager.execute(manager.deserializeCommand(entry.command), entry.options);
+                break;
+            case 'undo':
+                if (entry.jump) await manager.goTo(manager.undoStack.length - 1 - entry.steps);
+                else await manager.undo(entry.steps, { stalePolicy: entry.stalePolicy });
+                break;
+            case 'redo':
+                if (entry.jump) await manager.goTo(manager.undoStack.length - 1 + entry.steps);
+                else await manager.redo(entry.steps, { stalePolicy: entry.stalePolicy });
+                break;
+            case 'jump':
+                await manager.jumpTo(entry.nodeId);
+                break;
+            case 'transactionBegin':
+                manager.beginTransaction();
+                break;
+            case 'transactionCommit':
+                await manager.commitTransaction(entry.label);
+                break;
+            case 'transactionAbort':
+                await manager.abortTransaction();
+                break;
+            case 'clear':
+                manager.clear();
+                break;
+            case 'import':
+                manager.importState(entry.state);
+                break;
+            default:
+                throw new Error(`Unknown journal entry type: ${entry.type}`);
+        }
+    }
+}
+
+module.exports = Journal;
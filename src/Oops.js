@@ -1,17 +1,115 @@
+const HistoryTree = require('./HistoryTree.js');
+const Persistence = require('./Persistence.js');
+const estimateSize = require('./estimateSize.js');
+const PatchCommand = require('./PatchCommand.js');
+const InverseCommand = require('./InverseCommand.js');
+const mergePolicies = require('./mergePolicies.js');
+const snapshotPolicies = require('./snapshotPolicies.js');
+const { applyPatch, clone, diff } = require('./jsonPatch.js');
+const { HistoryOperationError, StateImportError, UndoConflictError, PreconditionError } = require('./errors.js');
+
+// Version of the object produced by exportState
+const STATE_FORMAT_VERSION = 4;
+
+// Upgrades a state object from the format version it is keyed by to the next one
+const STATE_MIGRATIONS = {
+    // Version 1 had no version information, so every command is at version 1
+    1: state => ({ ...state, formatVersion: 2, commandVersions: {} }),
+    // Version 2 had no save points, so the exported position counts as saved
+    2: state => ({
+        ...state,
+        formatVersion: 3,
+        savePoint: state.historyTree ? state.historyTree.currentId : (state.undoStack || []).length - 1,
+        checkpoints: []
+    }),
+    // Version 3 had no entry metadata, so entries have no id, actor, labels or timestamp
+    3: state => ({ ...state, formatVersion: 4, entryMetadata: { undoStack: [], redoStack: [], historyTree: [] } })
+};
+
+// The position of a save point or checkpoint that is no longer in the history
+const UNREACHABLE = Symbol('unreachable');
+
+// Snapshots are stored as changes to the previous one, but at most this many in a row
+const MAX_SNAPSHOT_CHAIN = 10;
+
+// What undo and redo do with a command whose canUndo() or canExecute() check fails
+const STALE_POLICIES = ['error', 'skip', 'remove'];
+
+// Resources are hierarchical, so a resource overlaps its ancestors and descendants
+function resourcesOverlap(a, b) {
+    return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
 class Oops {
     constructor(options = {}) {
         this.undoStack = [];
         this.redoStack = [];
         this.maxStackSize = options.maxStackSize || Infinity;
+        this.maxMemory = options.maxMemory || Infinity; // in bytes
+        this.estimateSize = options.estimateSize || estimateSize;
+        this.commandSizes = new WeakMap();
         this.isExecuting = false;
+        this.operationQueue = Promise.resolve();
         this.changeListeners = new Set();
+        this.eventListeners = new Map();
         this.commandFactories = new Map();
+        this.commandTypes = new Map();
+        this.commandMigrations = new Map();
         this.transactionStack = [];
         this.snapshots = new Map();
         this.snapshotInterval = options.snapshotInterval || 10;
+        this.snapshotPolicy = options.snapshotPolicy || null; // keeps every snapshot
+        this.captureState = options.captureState || null; // captures the application state in snapshots
+        this.restoreState = options.restoreState || null;
+        if (Boolean(this.captureState) !== Boolean(this.restoreState)) {
+            throw new Error('captureState and restoreState must be given together');
+        }
+        this.lastSnapshot = null; // what the next snapshot stores its changes against
+        this.snapshotTops = new WeakMap(); // the command on top of the undo stack when a snapshot was taken
         this.compressThreshold = options.compressThreshold || 100;
         this.lastExecutionTime = 0;
-        this.mergeWindow = options.mergeWindow || 1000; // in milliseconds
+        this.commandMetadata = new WeakMap();
+        this.mergeWindow = options.mergeWindow ?? 1000; // in milliseconds
+        this.mergePolicy = options.mergePolicy || null; // defaults to a time window of mergeWindow
+        this.translate = options.translate || null; // turns label message keys into text
+        this.commandMergePolicies = new Map(); // by command class
+        this.mergeGroupBroken = false;
+        this.groupStarts = new WeakSet(); // commands that started a new entry after a break, which compressHistory keeps apart
+        this.historyTree = options.historyTree ? new HistoryTree() : null; // keeps undone branches
+        this.actorId = options.actorId || null; // undo and redo only affect this actor's commands
+        this.nextCommandId = 1;
+        if (this.actorId && this.historyTree) {
+            throw new Error('History tree mode cannot be combined with actorId');
+        }
+        this.stalePolicy = this.getStalePolicy({ stalePolicy: options.stalePolicy || 'error' }); // what undo and redo do with stale commands
+        this.skippedCommands = new WeakSet(); // commands moved to the other stack without running, see toggleSkipped
+        this.patchTargets = new Map();
+        this.savePoint = null; // the position of the last save, see getPosition
+        this.checkpoints = new Map();
+        this.middleware = []; // run around every execute, undo and redo, see use
+
+        this.registerCommandType('CompositeCommand', {
+            commandClass: CompositeCommand,
+            deserialize: (data, deserializeCommand) => CompositeCommand.deserialize(data, deserializeCommand)
+        });
+        this.registerCommandType('InverseCommand', {
+            commandClass: InverseCommand,
+            deserialize: (data, deserializeCommand) => InverseCommand.deserialize(data, deserializeCommand)
+        });
+        this.registerCommandType('PatchCommand', {
+            commandClass: PatchCommand,
+            serialize: (command) => ({
+                target: this.getPatchTargetName(command.target),
+                patches: command.patches,
+                inversePatches: command.inversePatches
+            }),
+            deserialize: (data) => {
+                if (!this.patchTargets.has(data.target)) throw new Error(`Unknown patch target: ${data.target}`);
+                return new PatchCommand(this.patchTargets.get(data.target), data.patches, data.inversePatches);
+            }
+        });
+
+        this.persistence = options.persistence ? new Persistence(this, options.persistence) : null;
     }
 
     /**
@@ -19,286 +117,1903 @@ class Oops {
      * 
      * @param {Command|string} command - The command to execute. Can be a Command object or a string identifier for a registered command.
      * @param {Object} [options={}] - Execution options.
-     * @param {boolean} [options.silent=false] - If true, suppresses notification to listeners after execution.
+     * @param {boolean} [options.silent=false] - If true, suppresses events and notification to listeners after execution.
      * @param {boolean} [options.undoable=true] - If false, the command will not be added to the undo stack.
-     * @returns {*} The result of the command execution, if any.
-     * @throws {Error} If an unknown command string is provided or if command execution fails.
+     * @param {string} [options.label] - A label for the history entry, shown by getHistory and in menus.
+     * Overrides the command's own label.
+     * @param {string} [options.labelKey] - A message key for the label, passed to the `translate` option.
+     * @param {Object} [options.labelParams] - Parameters for the message, e.g. `{ count: 3 }`.
+     * @param {string} [options.actor] - The actor the command belongs to, when `actorId` is set. Defaults to `actorId`;
+     * pass another actor's id for commands received from other users.
+     * @param {string} [options.id] - The id of the history entry. Defaults to a new id from createCommandId.
+     * @param {number} [options.timestamp=Date.now()] - The time the command was executed, used for merging.
+     * @returns {Promise<*>} A promise that resolves with the result of the command execution, if any.
+     * @throws {Error} If an unknown command string is provided or if command execution fails (as a rejection).
+     * @throws {PreconditionError} If the command's `canExecute()` returns false (as a rejection).
      * 
      * @description
      * This method performs the following steps:
-     * 1. Checks if a command is already being executed to prevent recursion.
+     * 1. Queues the operation behind any execute, undo or redo that is still in flight.
      * 2. If the command is a string, it looks up and instantiates the corresponding Command object.
-     * 3. Executes the command and captures its result.
-     * 4. If undoable, attempts to merge the command with the previous one if conditions are met.
-     * 5. If undoable, adds the command to the undo stack and clears the redo stack.
-     * 6. If undoable, manages the undo stack size, creates snapshots, and compresses history if necessary.
-     * 7. Notifies listeners of the state change unless silent mode is enabled.
+     * 3. Passes the command through the middleware added with use, checks its `canExecute()` method
+     *    if it has one, then executes it and waits for it if it returns a Promise.
+     * 4. If a transaction is open, adds the command to it instead of the undo stack (steps 5 to 7 happen on commit).
+     * 5. If undoable, merges the command into the previous one if it can merge and its merge policy allows it.
+     * 6. If undoable, adds the command to the undo stack and clears the redo stack.
+     * 7. If undoable, manages the undo stack size, creates snapshots, and compresses history if necessary.
+     * 8. Emits `execute` (and `merge`) events and notifies listeners of the state change unless silent mode is enabled.
      * 
      * @example
      * // Execute a command object (undoable by default)
-     * undoRedoManager.execute(new SomeCommand());
+     * await undoRedoManager.execute(new SomeCommand());
      * 
      * // Execute a registered command by name (undoable by default)
-     * undoRedoManager.execute('someRegisteredCommand');
+     * await undoRedoManager.execute('someRegisteredCommand');
      * 
      * // Execute silently (without notifying listeners)
-     * undoRedoManager.execute(someCommand, { silent: true });
+     * await undoRedoManager.execute(someCommand, { silent: true });
      * 
      * // Execute non-undoable command
-     * undoRedoManager.execute(someCommand, { undoable: false });
+     * await undoRedoManager.execute(someCommand, { undoable: false });
      */
     execute(command, options = {}) {
-        const { silent = false, undoable = true } = options;
+        // Commands executed inside a transaction belong to the transaction that was open at call time
+        const transaction = this.transactionStack[this.transactionStack.length - 1] || null;
+
+        return this.enqueue(async () => {
+            try {
+                const context = { operation: 'execute', command: this.resolveCommand(command), options, transaction: Boolean(transaction), manager: this };
+                return await this.runMiddleware(context, () => this.performExecute(this.resolveCommand(context.command), context.options, transaction));
+            } catch (error) {
+                console.error("Error executing command:", error);
+                this.emit('error', { operation: 'execute', command, error });
+                throw error;
+            }
+        });
+    }
 
-        if (this.isExecuting) return;
-        this.isExecuting = true;
+    /**
+     * Runs a command and records it in the undo history.
+     * 
+     * @param {Command} command - The command to execute.
+     * @param {Object} [options={}] - Execution options, as accepted by execute.
+     * @param {Command[]|null} [transaction=null] - The open transaction the command belongs to, if any.
+     * @returns {Promise<*>} A promise that resolves with the result of the command execution, if any.
+     * 
+     * @description
+     * This is the unqueued part of execute. It must only be called from an operation
+     * that is already running on the queue. Inside a transaction, the command is only
+     * added to the transaction; the history is updated when the transaction is committed.
+     */
+    async performExecute(command, options = {}, transaction = null) {
+        const { silent = false, undoable = true } = options;
 
-        try {
-            if (typeof command === 'string') {
-                const factory = this.commandFactories.get(command);
-                if (!factory) throw new Error(`Unknown command: ${command}`);
-                command = factory();
+        if (!this.canRun(command, 'execute')) {
+            throw new PreconditionError(`Cannot execute "${this.getCommandLabel(command)}": its precondition is not met`, 'execute', command);
+        }
+        const result = await command.execute();
+        if (!undoable) {
+            // The application state the snapshots hold lacks this change, so jumps must not restore it
+            for (const snapshot of this.snapshots.values()) {
+                this.snapshotTops.delete(snapshot);
             }
+        }
+
+        if (transaction) {
+            if (undoable) transaction.push(command);
+            if (!silent) this.emit('execute', { command, result, undoable });
+            return result;
+        }
+
+        const mergedWith = undoable ? this.recordCommand(command, options) : null;
 
-            // Check if there's an active transaction
-            if (this.transactionStack.length > 0) {
-                // If there is, add the command to the current transaction
-                this.transactionStack[this.transactionStack.length - 1].push(command);
-                return; // Don't execute the command yet
+        if (!silent) {
+            this.emit('execute', { command, result, undoable });
+            if (mergedWith) {
+                this.emit('merge', { command: this.undoStack[this.undoStack.length - 1], commands: [mergedWith, command] });
             }
+            this.notifyListeners();
+        }
 
-            const result = command.execute();
+        return result;
+    }
 
-            if (undoable) {
-                const currentTime = Date.now();
-                if (this.undoStack.length > 0 && 
-                    currentTime - this.lastExecutionTime < this.mergeWindow &&
-                    command.canMerge && 
-                    command.canMerge(this.undoStack[this.undoStack.length - 1])) {
-                    const mergedCommand = command.merge(this.undoStack.pop());
-                    this.undoStack.push(mergedCommand);
-                } else {
-                    this.undoStack.push(command);
-                }
+    /**
+     * Adds an already executed command to the undo history.
+     * 
+     * @param {Command} command - The command to record.
+     * @param {Object} [options={}] - Execution options, as accepted by execute.
+     * @returns {Command|null} The previous command if the new one was merged into it, otherwise null.
+     * 
+     * @description
+     * Merges the command with the previous one if possible, clears the redo stack (only of the
+     * command's actor when `actorId` is set), and then
+     * enforces the stack size, takes snapshots, enforces the memory budget and compresses
+     * history as configured.
+     */
+    recordCommand(command, options = {}) {
+        let mergedWith = null;
+        const currentTime = options.timestamp ?? Date.now();
+        const actor = this.actorId ? options.actor || this.actorId : null;
+        const previous = this.undoStack[this.undoStack.length - 1];
+        const labels = { label: options.label, labelKey: options.labelKey, labelParams: options.labelParams };
+        // In history tree mode, a command that other branches grow from is never merged into
+        if (previous && !this.mergeGroupBroken &&
+            (!this.historyTree || this.historyTree.current.children.length === 0) &&
+            this.getCommandActor(previous) === actor &&
+            command.canMerge && 
+            command.canMerge(previous) &&
+            this.getMergePolicy(command)(previous, command, {
+                timestamp: currentTime,
+                previousTimestamp: this.commandMetadata.get(previous)?.timestamp ?? null
+            })) {
+            mergedWith = this.undoStack.pop();
+            const mergedCommand = command.merge(mergedWith);
+            this.commandSizes.delete(mergedCommand);
+            this.undoStack.push(mergedCommand);
+            if (this.groupStarts.has(mergedWith)) this.groupStarts.add(mergedCommand);
+            this.commandMetadata.set(mergedCommand, { ...labels, timestamp: currentTime, actor, id: this.getCommandId(mergedWith) });
+            if (this.historyTree) this.historyTree.current.command = mergedCommand;
+        } else {
+            this.undoStack.push(command);
+            if (this.mergeGroupBroken) this.groupStarts.add(command);
+            this.commandMetadata.set(command, { ...labels, timestamp: currentTime, actor, id: options.id || this.createCommandId() });
+            if (this.historyTree) this.historyTree.add(command);
+        }
 
-                this.lastExecutionTime = currentTime;
-                this.redoStack = [];
+        this.mergeGroupBroken = false;
+        this.lastExecutionTime = currentTime;
+        // Other actors can still redo what they undid
+        this.redoStack = this.redoStack.filter(cmd => this.getCommandActor(cmd) !== actor);
 
-                if (this.undoStack.length > this.maxStackSize) {
-                    this.undoStack.shift();
-                }
+        if (this.undoStack.length > this.maxStackSize) {
+            this.movePositionsPast(this.undoStack.shift());
+            if (this.historyTree) this.historyTree.trimRoot();
+        }
 
-                if (this.undoStack.length % this.snapshotInterval === 0) {
-                    this.createSnapshot();
-                }
+        if (this.undoStack.length % this.snapshotInterval === 0) {
+            // The command has already been applied, so a history that can't be serialized,
+            // e.g. after mutate() without a registered patch target, only goes without a snapshot
+            this.createSnapshot({ skipUnserializable: true });
+        }
 
-                if (this.undoStack.length > this.compressThreshold) {
-                    this.compressHistory();
-                }
-            }
+        this.enforceMemoryLimit();
+
+        // Compression only applies to linear history, since it would merge across branches
+        if (!this.historyTree && this.undoStack.length > this.compressThreshold) {
+            this.compressHistory();
+        }
 
-            if (!silent) this.notifyListeners();
+        return mergedWith;
+    }
 
-            return result;
-        } catch (error) {
-            console.error("Error executing command:", error);
-            throw error;
-        } finally {
-            this.isExecuting = false;
+    /**
+     * Resolves a command argument to a Command object.
+     * 
+     * @param {Command|string} command - A Command object, the name of a registered command factory,
+     * or the name of a registered command type that has a `create` function.
+     * @returns {Command} The Command object.
+     * @throws {Error} If an unknown command string is provided.
+     */
+    resolveCommand(command) {
+        if (typeof command === 'string') {
+            const factory = this.commandFactories.get(command);
+            if (factory) return factory();
+            const commandType = this.commandTypes.get(command);
+            if (commandType && commandType.create) return commandType.create();
+            throw new Error(`Unknown command: ${command}`);
         }
+        return command;
+    }
+
+    /**
+     * Adds an operation to the end of the operation queue.
+     * 
+     * @param {Function} operation - A function that performs the operation. It may return a Promise.
+     * @returns {Promise<*>} A promise that settles with the outcome of the operation.
+     * 
+     * @description
+     * Operations run one at a time in the order they were queued, so an undo requested while
+     * an asynchronous command is still executing is applied after it instead of being dropped.
+     * `isExecuting` is true while an operation is running. A failed operation rejects its own
+     * promise but does not stop the operations queued after it.
+     * 
+     * Commands must not await execute, undo or redo on the same manager from inside their own
+     * methods, since the queued call can only start once the current one has finished.
+     */
+    enqueue(operation) {
+        const run = this.operationQueue.then(async () => {
+            this.isExecuting = true;
+            try {
+                return await operation();
+            } finally {
+                this.isExecuting = false;
+            }
+        });
+        this.operationQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Adds a middleware that runs around every execute, undo and redo.
+     * 
+     * @param {Function} middleware - A function `(context, next)` that calls `next()` to continue and
+     * returns (a Promise of) the result. `context` has the `operation` ('execute', 'undo' or 'redo'),
+     * the `command`, the `options` (for undo and redo, the `actor`), whether the command runs inside a
+     * `transaction` (execute only) and the `manager`.
+     * @returns {Function} A function that removes the middleware again.
+     * @throws {Error} If the middleware is not a function.
+     * 
+     * @description
+     * Middleware runs in the order it was added, each one around the ones added after it, like
+     * layers around the command. A middleware can:
+     * - veto the call by throwing, or by returning without calling `next`. An execute then resolves
+     *   with what the middleware returned; undo and redo stop before the command, and a jump in
+     *   history tree mode is rolled back.
+     * - replace `context.command` or `context.options` of an execute before calling `next`.
+     * - observe the result that `next()` resolves with, or the error it rejects with.
+     * 
+     * Undo and redo pass every command through the middleware separately, including the steps of
+     * goTo, goToCheckpoint and jumpTo; a middleware that throws makes the whole operation roll back.
+     * Commands executed in a transaction pass through it when they execute, and the CompositeCommand
+     * the transaction is recorded as when it is undone or redone. undoCommand passes the
+     * InverseCommand it executes. Rollbacks and abortTransaction do not run middleware.
+     * 
+     * Middleware runs on the operation queue, so it must not await execute, undo or redo on the same manager.
+     * 
+     * @example
+     * // Read-only mode
+     * undoRedoManager.use((context, next) => {
+     *     if (document.readOnly) throw new Error('The document is read-only');
+     *     return next();
+     * });
+     * 
+     * // Timing
+     * undoRedoManager.use(async (context, next) => {
+     *     const start = performance.now();
+     *     try {
+     *         return await next();
+     *     } finally {
+     *         analytics.track(context.operation, context.command.label, performance.now() - start);
+     *     }
+     * });
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') throw new Error('Middleware must be a function');
+        this.middleware.push(middleware);
+        return () => {
+            const index = this.middleware.indexOf(middleware);
+            if (index !== -1) this.middleware.splice(index, 1);
+        };
+    }
+
+    /**
+     * Runs an operation through the middleware.
+     * 
+     * @param {Object} context - The context passed to every middleware.
+     * @param {Function} operation - Performs the operation with the context as left by the middleware.
+     * @returns {Promise<*>} A promise that settles like the outermost middleware.
+     * @throws {Error} If a middleware calls `next` more than once (as a rejection).
+     */
+    async runMiddleware(context, operation) {
+        const middleware = [...this.middleware];
+        const dispatch = async (i) => {
+            if (i === middleware.length) return operation(context);
+            let called = false;
+            return middleware[i](context, () => {
+                if (called) return Promise.reject(new Error('next() called more than once'));
+                called = true;
+                return dispatch(i + 1);
+            });
+        };
+        return dispatch(0);
     }
 
     /**
      * Undoes a specified number of commands from the undo stack.
      * 
      * @param {number} [steps=1] - The number of commands to undo. Defaults to 1 if not specified.
-     * @throws {Error} If an error occurs during the undo operation.
+     * @param {Object} [options={}] - Undo options.
+     * @param {string} [options.actor] - The actor whose commands to undo, when `actorId` is set. Defaults to `actorId`.
+     * @param {string} [options.stalePolicy] - What to do with commands that can't be undone, overriding the `stalePolicy` option.
+     * @returns {Promise<void>} A promise that resolves once the commands have been undone.
+     * @throws {HistoryOperationError} If a command fails (as a rejection).
      * 
      * @description
      * This method performs the following steps:
-     * 1. Checks if undo operation is possible (not currently executing and undo stack is not empty).
-     * 2. Undoes the specified number of commands or as many as possible if fewer are available.
+     * 1. Queues the operation behind any execute, undo or redo that is still in flight.
+     * 2. Undoes the specified number of commands or as many as possible if fewer are available,
+     *    waiting for each one if its undo returns a Promise.
      * 3. Moves undone commands to the redo stack.
-     * 4. Notifies listeners of the state change.
-     * 5. If an error occurs, attempts to recover from the last valid snapshot.
+     * 4. Emits an `undo` event and notifies listeners of the state change.
+     * 5. If a command fails, reverts the commands that were already handled, most recent first,
+     *    and rejects with a HistoryOperationError describing the failure and the resulting state.
+     * 
+     * When `actorId` is set, only the actor's own commands are undone, even if commands of other
+     * actors came later. See undoTop for how those later commands are rebased.
+     * 
+     * Commands whose `canUndo()` method returns false are stale, e.g. because a non-undoable
+     * operation deleted what they change. The `stalePolicy` decides what happens to them: 'error'
+     * fails the undo with a PreconditionError as the cause, 'skip' moves them to the redo stack
+     * without undoing them, and 'remove' drops them from the history. Skipped and removed commands
+     * do not count as steps. A skipped command is moved back by redo without being executed again.
+     * If only stale commands were removed, the `undo` event has no commands.
      * 
      * @example
      * // Undo the last command
-     * undoRedoManager.undo();
+     * await undoRedoManager.undo();
      * 
      * // Undo the last 3 commands
-     * undoRedoManager.undo(3);
+     * await undoRedoManager.undo(3);
      */
-    undo(steps = 1) {
-        if (this.isExecuting || this.undoStack.length === 0) return;
-        this.isExecuting = true;
+    undo(steps = 1, options = {}) {
+        const actor = options.actor || this.actorId;
+        const stalePolicy = this.getStalePolicy(options);
+        return this.enqueue(async () => {
+            if (this.findTopIndex(this.undoStack, actor) === -1) return;
 
-        try {
-            const undoneCommands = [];
-            for (let i = 0; i < steps && this.undoStack.length > 0; i++) {
-                const command = this.undoStack.pop();
-                command.undo();
-                undoneCommands.unshift(command);
+            try {
+                const size = this.undoStack.length + this.redoStack.length;
+                const commands = await this.performUndo(steps, actor, { stalePolicy });
+                // Stopped by middleware, unless stale commands were removed before
+                if (commands.length === 0 && this.undoStack.length + this.redoStack.length === size) return;
+                this.emit('undo', { commands, steps, stalePolicy: stalePolicy || this.stalePolicy });
+                this.notifyListeners();
+            } catch (error) {
+                console.error("Error undoing command:", error);
+                this.emit('error', { operation: 'undo', command: error.command, error });
+                if (!error.rolledBack) this.notifyListeners();
+                throw error;
             }
-            this.redoStack.push(...undoneCommands);
-            this.notifyListeners();
-        } catch (error) {
-            console.error("Error undoing command:", error);
-            this.recoverFromSnapshot();
-        } finally {
-            this.isExecuting = false;
-        }
+        });
     }
 
     /**
      * Redoes a specified number of commands from the redo stack.
      * 
      * @param {number} [steps=1] - The number of commands to redo. Defaults to 1 if not specified.
-     * @throws {Error} If an error occurs during the redo operation.
+     * @param {Object} [options={}] - Redo options.
+     * @param {string} [options.actor] - The actor whose commands to redo, when `actorId` is set. Defaults to `actorId`.
+     * @param {string} [options.stalePolicy] - What to do with commands that can't be redone, overriding the `stalePolicy` option.
+     * @returns {Promise<void>} A promise that resolves once the commands have been redone.
+     * @throws {HistoryOperationError} If a command fails (as a rejection).
      * 
      * @description
      * This method performs the following steps:
-     * 1. Checks if redo operation is possible (not currently executing and redo stack is not empty).
-     * 2. Redoes the specified number of commands or as many as possible if fewer are available.
+     * 1. Queues the operation behind any execute, undo or redo that is still in flight.
+     * 2. Redoes the specified number of commands or as many as possible if fewer are available,
+     *    waiting for each one if its execute returns a Promise.
      * 3. Moves redone commands back to the undo stack.
-     * 4. Notifies listeners of the state change.
-     * 5. If an error occurs, attempts to recover from the last valid snapshot.
+     * 4. Emits a `redo` event and notifies listeners of the state change.
+     * 5. If a command fails, reverts the commands that were already handled, most recent first,
+     *    and rejects with a HistoryOperationError describing the failure and the resulting state.
      * 
      * @example
      * // Redo the last undone command
-     * undoRedoManager.redo();
+     * await undoRedoManager.redo();
      * 
      * // Redo the last 3 undone commands
-     * undoRedoManager.redo(3);
+     * await undoRedoManager.redo(3);
      */
-    redo(steps = 1) {
-        if (this.isExecuting || this.redoStack.length === 0) return;
-        this.isExecuting = true;
+    redo(steps = 1, options = {}) {
+        const actor = options.actor || this.actorId;
+        const stalePolicy = this.getStalePolicy(options);
+        return this.enqueue(async () => {
+            if (this.findTopIndex(this.redoStack, actor) === -1) return;
 
-        try {
-            const redoneCommands = [];
-            for (let i = 0; i < steps && this.redoStack.length > 0; i++) {
-                const command = this.redoStack.pop();
-                command.execute();
-                redoneCommands.unshift(command);
+            try {
+                const size = this.undoStack.length + this.redoStack.length;
+                const commands = await this.performRedo(steps, actor, { stalePolicy });
+                // Stopped by middleware, unless stale commands were removed before
+                if (commands.length === 0 && this.undoStack.length + this.redoStack.length === size) return;
+                this.emit('redo', { commands, steps, stalePolicy: stalePolicy || this.stalePolicy });
+                this.notifyListeners();
+            } catch (error) {
+                console.error("Error redoing command:", error);
+                this.emit('error', { operation: 'redo', command: error.command, error });
+                if (!error.rolledBack) this.notifyListeners();
+                throw error;
             }
-            this.undoStack.push(...redoneCommands);
-            this.notifyListeners();
-        } catch (error) {
-            console.error("Error redoing command:", error);
-            this.recoverFromSnapshot();
-        } finally {
-            this.isExecuting = false;
+        });
+    }
+
+    /**
+     * Undoes commands without queueing or notifying listeners.
+     * 
+     * @param {number} steps - The number of commands to undo.
+     * @param {string|null} [actor=null] - The actor whose commands to undo, or null for the top of the stack.
+     * @param {Object} [options={}] - Undo options.
+     * @param {string} [options.stalePolicy] - The stale policy to use instead of the `stalePolicy` option.
+     * @param {boolean} [options.jump=false] - If true, stale commands count as steps and are skipped rather
+     * than removed, so that the undo ends at an exact position.
+     * @returns {Promise<Command[]>} A promise that resolves with the undone commands, in the order they were
+     * undone, including skipped stale ones.
+     * @throws {HistoryOperationError} If a command fails. The commands undone before it are redone first.
+     * 
+     * @description
+     * This is the unqueued part of undo. Each command is moved to the redo stack as soon
+     * as it has been undone, so the next command to redo is always on top. Each command passes
+     * through the middleware; if a middleware does not call `next`, the undo stops before it.
+     */
+    async performUndo(steps, actor = null, options = {}) {
+        // Jumps skip stale commands rather than removing them, so that they end at the requested position
+        const policy = options.stalePolicy || this.stalePolicy;
+        const stalePolicy = options.jump && policy === 'remove' ? 'skip' : policy;
+        const skipped = new Set();
+        let completed = 0;
+        for (let i = 0; i < steps && this.findTopIndex(this.undoStack, actor) !== -1; i++) {
+            let applied = false;
+            try {
+                const index = this.findTopIndex(this.undoStack, actor);
+                const command = this.undoStack[index];
+                // A command that redo skipped was never executed, so it is moved back without being undone
+                const skippedBefore = this.skippedCommands.has(command);
+                if (skippedBefore || !this.canRun(command, 'undo')) {
+                    if (!skippedBefore && stalePolicy === 'error') {
+                        throw new PreconditionError(`Cannot undo "${this.getCommandLabel(command)}": its precondition is not met`, 'undo', command);
+                    }
+                    if (!skippedBefore) this.emit('stale', { operation: 'undo', command, policy: stalePolicy });
+                    if (!skippedBefore && stalePolicy === 'remove') {
+                        this.removeStaleCommand(this.undoStack, index);
+                    } else {
+                        await this.undoTop(actor, false);
+                        skipped.add(command);
+                        completed++;
+                    }
+                    // Stale commands are passed over, unless the operation moves to an exact position
+                    if (!options.jump) i--;
+                    continue;
+                }
+                await this.runMiddleware({ operation: 'undo', command, options: { actor }, manager: this }, async () => {
+                    await this.undoTop(actor);
+                    applied = true;
+                });
+            } catch (error) {
+                throw await this.rollBack('undo', completed, error, actor, skipped);
+            }
+            if (!applied) break;
+            completed++;
         }
+        return this.redoStack.slice(this.redoStack.length - completed);
     }
 
     /**
-     * Begins a new transaction.
+     * Redoes commands without queueing or notifying listeners.
+     * 
+     * @param {number} steps - The number of commands to redo.
+     * @param {string|null} [actor=null] - The actor whose commands to redo, or null for the top of the stack.
+     * @param {Object} [options={}] - Redo options, as accepted by performUndo.
+     * @returns {Promise<Command[]>} A promise that resolves with the redone commands, in the order they were
+     * redone, including skipped stale ones.
+     * @throws {HistoryOperationError} If a command fails. The commands redone before it are undone first.
      * 
      * @description
-     * This method starts a new transaction by creating an empty array and pushing it onto the transaction stack.
-     * Transactions allow grouping multiple commands together to be executed as a single unit.
+     * This is the unqueued part of redo. Each command is moved to the undo stack as soon
+     * as it has been redone. Each command passes through the middleware; if a middleware does
+     * not call `next`, the redo stops before it.
+     */
+    async performRedo(steps, actor = null, options = {}) {
+        // Jumps skip stale commands rather than removing them, so that they end at the requested position
+        const policy = options.stalePolicy || this.stalePolicy;
+        const stalePolicy = options.jump && policy === 'remove' ? 'skip' : policy;
+        const skipped = new Set();
+        let completed = 0;
+        for (let i = 0; i < steps && this.findTopIndex(this.redoStack, actor) !== -1; i++) {
+            let applied = false;
+            try {
+                const index = this.findTopIndex(this.redoStack, actor);
+                const command = this.redoStack[index];
+                // A command that undo skipped was never undone, so it is moved back without being executed
+                const skippedBefore = this.skippedCommands.has(command);
+                if (skippedBefore || !this.canRun(command, 'redo')) {
+                    if (!skippedBefore && stalePolicy === 'error') {
+                        throw new PreconditionError(`Cannot redo "${this.getCommandLabel(command)}": its precondition is not met`, 'redo', command);
+                    }
+                    if (!skippedBefore) this.emit('stale', { operation: 'redo', command, policy: stalePolicy });
+                    if (!skippedBefore && stalePolicy === 'remove') {
+                        this.removeStaleCommand(this.redoStack, index);
+                    } else {
+                        await this.redoTop(actor, false);
+                        skipped.add(command);
+                        completed++;
+                    }
+                    // Stale commands are passed over, unless the operation moves to an exact position
+                    if (!options.jump) i--;
+                    continue;
+                }
+                await this.runMiddleware({ operation: 'redo', command, options: { actor }, manager: this }, async () => {
+                    await this.redoTop(actor);
+                    applied = true;
+                });
+            } catch (error) {
+                throw await this.rollBack('redo', completed, error, actor, skipped);
+            }
+            if (!applied) break;
+            completed++;
+        }
+        return this.undoStack.slice(this.undoStack.length - completed);
+    }
+
+    /**
+     * Undoes the most recent command of an actor and moves it to the redo stack.
+     * The command stays where it is if its undo fails.
      * 
-     * @example
-     * undoRedoManager.beginTransaction();
-     * // Execute multiple commands...
-     * undoRedoManager.commitTransaction();
+     * @param {string|null} [actor=null] - The actor whose command to undo, or null for the top of the stack.
+     * @param {boolean} [run=true] - If false, the command is moved without being undone, e.g. because it is stale.
+     * 
+     * @description
+     * If commands of other actors came after the command, it is undone in the state they left:
+     * 1. The command is passed through the `transform(laterCommand)` method of itself for each later
+     *    command, in order. Commands implement it to return a version of themselves that no longer
+     *    overwrites the later changes. This version is undone and becomes the entry on the redo stack.
+     * 2. Each later command is replaced by the result of its `rebase(undoneCommand)` method, which
+     *    returns a version of it that no longer depends on the undone command, e.g. one that restores
+     *    the value from before the undone command when it is undone itself.
+     * Commands without these methods are used as they are.
      */
-    beginTransaction() {
-        this.transactionStack.push([]);
+    async undoTop(actor = null, run = true) {
+        const index = this.findTopIndex(this.undoStack, actor);
+        const command = this.undoStack[index];
+        if (!run) {
+            this.toggleSkipped(command);
+            this.undoStack.splice(index, 1);
+            this.redoStack.push(command);
+            if (this.historyTree) this.historyTree.moveUp();
+            return;
+        }
+        const effective = this.undoStack.slice(index + 1)
+            .reduce((cmd, laterCommand) => (cmd.transform ? cmd.transform(laterCommand) : cmd), command);
+        await effective.undo();
+
+        for (let i = index + 1; i < this.undoStack.length; i++) {
+            const laterCommand = this.undoStack[i];
+            if (!laterCommand.rebase) continue;
+            this.undoStack[i] = laterCommand.rebase(command);
+            this.commandMetadata.set(this.undoStack[i], this.commandMetadata.get(laterCommand));
+        }
+        this.commandMetadata.set(effective, this.commandMetadata.get(command));
+        this.undoStack.splice(index, 1);
+        this.redoStack.push(effective);
+        if (this.historyTree) this.historyTree.moveUp();
     }
 
     /**
-     * Commits the current transaction.
+     * Executes the most recently undone command of an actor and moves it to the top of the undo stack.
+     * The command stays where it is if its execution fails.
+     * 
+     * @param {string|null} [actor=null] - The actor whose command to redo, or null for the top of the stack.
+     * @param {boolean} [run=true] - If false, the command is moved without being executed, e.g. because it is stale.
+     */
+    async redoTop(actor = null, run = true) {
+        const index = this.findTopIndex(this.redoStack, actor);
+        const command = this.redoStack[index];
+        if (run) {
+            await command.execute();
+        } else {
+            this.toggleSkipped(command);
+        }
+        this.redoStack.splice(index, 1);
+        this.undoStack.push(command);
+        if (this.historyTree) this.historyTree.moveDown();
+    }
+
+    /**
+     * Records that a command was moved to the other stack without running, or moved back again.
+     * 
+     * @param {Command} command - The command.
      * 
      * @description
-     * This method finalizes the current transaction by popping it off the transaction stack and executing it.
-     * If the transaction contains only one command, it's executed directly.
-     * If it contains multiple commands, they're wrapped in a CompositeCommand before execution.
-     * If the transaction stack is empty, this method does nothing.
+     * A stale command that undo skips is on the redo stack while its change is still applied, so redo
+     * must not execute it again; the same holds the other way around. Such commands are moved back
+     * without running, whatever their precondition says by then.
+     */
+    toggleSkipped(command) {
+        if (!this.skippedCommands.delete(command)) this.skippedCommands.add(command);
+    }
+
+    /**
+     * Finds the most recent command of an actor on a stack.
+     * 
+     * @param {Command[]} stack - The undo or redo stack.
+     * @param {string|null} actor - The actor, or null to use the top of the stack.
+     * @returns {number} The index of the command, or -1 if there is none.
+     */
+    findTopIndex(stack, actor) {
+        if (actor === null) return stack.length - 1;
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (this.getCommandActor(stack[i]) === actor) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Checks a command's precondition for an operation.
+     * 
+     * @param {Command} command - The command.
+     * @param {string} operation - 'execute', 'undo' or 'redo'.
+     * @returns {boolean} The result of the command's `canUndo()` method for undo and of its `canExecute()`
+     * method otherwise, or true if it does not have the method.
+     */
+    canRun(command, operation) {
+        const check = operation === 'undo' ? command.canUndo : command.canExecute;
+        return typeof check !== 'function' || Boolean(check.call(command));
+    }
+
+    /**
+     * Finds the command that undo or redo would apply next, for the canUndo and canRedo getters
+     * and the labels in getState.
+     * 
+     * @param {Command[]} stack - The undo or redo stack.
+     * @param {string} operation - 'undo' or 'redo'.
+     * @returns {Command|null} The actor's next command if it can run or, unless the `stalePolicy` is
+     * 'error', the first of the actor's commands below it that stale ones would be passed over for.
+     * Null if there is none.
+     */
+    findNextCommand(stack, operation) {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (this.actorId && this.getCommandActor(stack[i]) !== this.actorId) continue;
+            if (this.canRun(stack[i], operation)) return stack[i];
+            if (this.stalePolicy === 'error') return null;
+        }
+        return null;
+    }
+
+    /**
+     * Drops a stale command from the history. The save point and checkpoints at it move to the
+     * command before it.
+     * 
+     * @param {Command[]} stack - The undo or redo stack.
+     * @param {number} index - The index of the command on the stack.
+     */
+    removeStaleCommand(stack, index) {
+        let previous;
+        if (stack === this.undoStack) {
+            previous = index > 0 ? stack[index - 1] : null;
+        } else {
+            // The redo stack is in reverse order, and the command before its bottom is the top of the undo stack
+            previous = index + 1 < stack.length ? stack[index + 1] : (this.undoStack[this.undoStack.length - 1] || null);
+        }
+        const [command] = stack.splice(index, 1);
+        this.replacePosition(command, previous);
+    }
+
+    /**
+     * Validates a stale policy.
+     * 
+     * @param {Object} options - Options with the `stalePolicy`, if any.
+     * @returns {string|undefined} The policy, or undefined if none is given.
+     * @throws {Error} If the policy is unknown, or is 'remove' in history tree mode.
+     */
+    getStalePolicy(options) {
+        const { stalePolicy } = options;
+        if (stalePolicy === undefined) return undefined;
+        if (!STALE_POLICIES.includes(stalePolicy)) throw new Error(`Unknown stale policy: ${stalePolicy}`);
+        if (stalePolicy === 'remove' && this.historyTree) {
+            throw new Error("The 'remove' stale policy cannot be combined with history tree mode");
+        }
+        return stalePolicy;
+    }
+
+    /**
+     * Returns the actor a command in the history belongs to.
+     * 
+     * @param {Command} command - The command.
+     * @returns {string|null} The actor, or null if `actorId` was not set when the command was recorded.
+     */
+    getCommandActor(command) {
+        const metadata = this.commandMetadata.get(command);
+        return (metadata && metadata.actor) || null;
+    }
+
+    /**
+     * Returns the id of the history entry of a command.
      * 
-     * @throws {Error} If an error occurs during the execution of the transaction commands.
+     * @param {Command} command - The command.
+     * @returns {string|null} The id, or null if the command was not recorded by execute (e.g. after importState).
+     */
+    getCommandId(command) {
+        const metadata = this.commandMetadata.get(command);
+        return (metadata && metadata.id) || null;
+    }
+
+    /**
+     * Creates a new id for a history entry.
+     * 
+     * @returns {string} The id. When `actorId` is set, it starts with the actor id, so ids created
+     * by different users do not collide.
      * 
      * @example
-     * undoRedoManager.beginTransaction();
-     * undoRedoManager.execute(command1);
-     * undoRedoManager.execute(command2);
-     * undoRedoManager.commitTransaction();
+     * const id = undoRedoManager.createCommandId();
+     * await undoRedoManager.execute(command, { id });
+     * channel.send({ id, command: undoRedoManager.serializeCommand(command) });
      */
-    commitTransaction() {
-        if (this.transactionStack.length === 0) return;
-        const transaction = this.transactionStack.pop();
-        if (transaction.length === 1) {
-            this.execute(transaction[0]);
-        } else if (transaction.length > 1) {
-            const compositeCommand = new CompositeCommand(transaction);
-            this.execute(compositeCommand);
+    createCommandId() {
+        const id = String(this.nextCommandId++);
+        return this.actorId ? `${this.actorId}:${id}` : id;
+    }
+
+    /**
+     * Reverts the part of a multi-step undo or redo that had completed before a command failed.
+     * 
+     * @param {string} operation - The operation that failed: 'undo' or 'redo'.
+     * @param {number} completed - How many commands the operation had already moved.
+     * @param {Error} cause - The error thrown by the failing command.
+     * @param {string|null} [actor=null] - The actor whose commands the operation moved, or null for the top of the stack.
+     * @param {Set<Command>} [skipped=new Set()] - The stale commands the operation moved without running them,
+     * which are moved back the same way.
+     * @returns {Promise<HistoryOperationError>} A promise that resolves with the error to throw.
+     * 
+     * @description
+     * The completed commands are the top `completed` entries of the opposite stack. They are
+     * moved back one at a time, most recent first. If one of them fails as well, the rollback
+     * stops there and the stacks describe the commands that are actually applied.
+     */
+    async rollBack(operation, completed, cause, actor = null, skipped = new Set()) {
+        const [source, target] = operation === 'undo' ? [this.undoStack, this.redoStack] : [this.redoStack, this.undoStack];
+        const command = source[this.findTopIndex(source, actor)];
+        const completedCommands = target.slice(target.length - completed);
+
+        let rollbackError = null;
+        try {
+            for (let i = 0; i < completed; i++) {
+                if (operation === 'undo') {
+                    await this.redoTop(actor, !skipped.has(this.redoStack[this.findTopIndex(this.redoStack, actor)]));
+                } else {
+                    await this.undoTop(actor, !skipped.has(this.undoStack[this.findTopIndex(this.undoStack, actor)]));
+                }
+            }
+        } catch (error) {
+            rollbackError = error;
         }
+
+        return this.createOperationError(operation, command, completedCommands, cause, rollbackError);
     }
 
     /**
-     * Aborts the current transaction.
+     * Creates the error reported when a history operation fails.
+     * 
+     * @param {string} operation - The operation that failed: 'undo', 'redo' or 'jump'.
+     * @param {Command} command - The command that failed.
+     * @param {Command[]} completed - The commands the operation had applied before the failure.
+     * @param {Error} cause - The error thrown by the failing command.
+     * @param {Error|null} rollbackError - The error that stopped the rollback, if any.
+     * @returns {HistoryOperationError} The error.
+     */
+    createOperationError(operation, command, completed, cause, rollbackError) {
+        let message = `Failed to ${operation} command: ${cause && cause.message}`;
+        if (rollbackError) message += ` (rollback failed: ${rollbackError.message})`;
+
+        return new HistoryOperationError(message, {
+            operation,
+            command,
+            completed,
+            rolledBack: !rollbackError,
+            rollbackError,
+            state: this.getState(),
+            cause
+        });
+    }
+
+    /**
+     * Lists every entry of the undo and redo stacks.
+     * 
+     * @returns {Object[]} The entries in execution order: first the undo stack from oldest to newest,
+     * then the redo stack from the next command to redo onwards. Each entry has an `index`, a `label`,
+     * its `labelKey` and `labelParams` (null if it has none), the `timestamp` of its execution (or null if unknown, e.g. after importState), its `actor` and `id`,
+     * the `command`, whether it is `undone`, and whether it is the `current` entry, i.e. the top of the undo stack.
      * 
      * @description
-     * This method cancels the current transaction by popping it off the transaction stack and undoing all commands
-     * in reverse order. If the transaction stack is empty, this method does nothing.
+     * The label is described by describeCommand. Any index can be passed to goTo. The history is not
+     * scoped to an actor: with `actorId`, it lists the commands of every actor, including those undo
+     * and redo pass over.
+     * 
+     * @example
+     * for (const entry of undoRedoManager.getHistory()) {
+     *     historyPanel.addRow(entry.index, entry.label, entry.timestamp, entry.undone);
+     * }
+     */
+    getHistory() {
+        const describe = (command, index, undone) => {
+            const metadata = this.commandMetadata.get(command) || {};
+            return {
+                index,
+                ...this.describeCommand(command),
+                timestamp: metadata.timestamp || null,
+                actor: metadata.actor || null,
+                id: metadata.id || null,
+                command,
+                undone,
+                current: index === this.undoStack.length - 1
+            };
+        };
+
+        const done = this.undoStack.map((command, i) => describe(command, i, false));
+        const undone = [...this.redoStack].reverse().map((command, i) => describe(command, this.undoStack.length + i, true));
+        return [...done, ...undone];
+    }
+
+    /**
+     * Jumps to an arbitrary position in the history.
+     * 
+     * @param {number} index - The index of the entry that should end up on top of the undo stack,
+     * as returned by getHistory. Use -1 to undo everything.
+     * @returns {Promise<void>} A promise that resolves once the jump is complete.
+     * @throws {Error} If `actorId` is set, since the jump would undo or redo the commands of other actors.
+     * @throws {Error} If the index is out of range (as a rejection).
+     * @throws {HistoryOperationError} If a command fails (as a rejection).
      * 
-     * @throws {Error} If an error occurs while undoing the transaction commands.
+     * @description
+     * Undoes or redoes as many commands as needed to reach the entry, then notifies listeners once
+     * for the whole jump. If a command fails, the jump is rolled back the same way undo and redo are.
      * 
      * @example
-     * undoRedoManager.beginTransaction();
-     * undoRedoManager.execute(command1);
-     * undoRedoManager.execute(command2);
-     * undoRedoManager.abortTransaction(); // Undoes command2 and command1
+     * // Revert to the state right after the first command
+     * await undoRedoManager.goTo(0);
      */
-    abortTransaction() {
-        if (this.transactionStack.length === 0) return;
-        const transaction = this.transactionStack.pop();
-        for (let i = transaction.length - 1; i >= 0; i--) {
-            transaction[i].undo();
+    goTo(index) {
+        if (this.actorId) throw new Error('goTo cannot be combined with actorId');
+        return this.enqueue(async () => {
+            const length = this.undoStack.length + this.redoStack.length;
+            if (!Number.isInteger(index) || index < -1 || index >= length) {
+                throw new Error(`Invalid history index: ${index}`);
+            }
+            await this.moveToIndex(index);
+        });
+    }
+
+    /**
+     * Undoes or redoes commands until the entry at the given index is on top of the undo stack.
+     * 
+     * @param {number} index - A valid index as returned by getHistory, or -1.
+     * @returns {Promise<void>} A promise that resolves once the entry has been reached.
+     * @throws {HistoryOperationError} If a command fails. The move is then rolled back.
+     * 
+     * @description
+     * This is the unqueued part of goTo and goToCheckpoint. If a snapshot with the application state
+     * is closer to the entry than the current position, the state is restored from the snapshot and
+     * only the commands between the snapshot and the entry are applied.
+     */
+    async moveToIndex(index) {
+        const steps = this.undoStack.length - 1 - index;
+        if (steps === 0) return;
+
+        try {
+            // Stale commands count as steps in a jump, so the steps are always the distance moved
+            const event = { steps: Math.abs(steps), stalePolicy: this.stalePolicy, jump: true };
+            const snapshotKey = this.findJumpSnapshot(index + 1);
+            if (snapshotKey !== null) {
+                this.emit(steps > 0 ? 'undo' : 'redo', { commands: await this.jumpFromSnapshot(snapshotKey, index + 1), ...event });
+            } else if (steps > 0) {
+                this.emit('undo', { commands: await this.performUndo(steps, null, { jump: true }), ...event });
+            } else {
+                this.emit('redo', { commands: await this.performRedo(-steps, null, { jump: true }), ...event });
+            }
+            this.notifyListeners();
+        } catch (error) {
+            console.error("Error jumping to history index:", error);
+            this.emit('error', { operation: error.operation, command: error.command, error });
+            if (!error.rolledBack) this.notifyListeners();
+            throw error;
         }
     }
 
     /**
-     * Registers a command factory with a given name.
+     * Reverts an earlier command without undoing the commands that came after it.
      * 
-     * @param {string} name - The name to associate with the command factory.
-     * @param {Function} factory - A function that returns a new instance of the command.
+     * @param {string|number} idOrIndex - The id of the history entry, or its index in the undo stack.
+     * @param {Object} [options={}] - Execution options for the new entry, as accepted by execute.
+     * @returns {Promise<void>} A promise that resolves once the command has been reverted.
+     * @throws {Error} If there is no such entry on the undo stack (as a rejection).
+     * @throws {UndoConflictError} If later commands touch the same resources (as a rejection). Its
+     * `report` is the report of checkUndoCommand.
      * 
      * @description
-     * This method allows registering command factories by name, enabling the creation of commands
-     * using string identifiers. Registered commands can be executed by passing their name to the execute method.
+     * The command is reverted by executing an InverseCommand, which is added to the history as a
+     * new entry, so the revert can itself be undone. The command stays where it is.
+     * 
+     * Reverting a command is only safe if no later command depends on it. Commands declare the
+     * resources they touch with a `getResources()` method that returns strings, such as
+     * `'shape/3/color'`. Resources are hierarchical: `'shape/3'` overlaps `'shape/3/color'`.
+     * A later command conflicts if its resources overlap those of the command. If either of them
+     * does not declare its resources, it is assumed to conflict.
      * 
      * @example
-     * undoRedoManager.registerCommand('createUser', () => new CreateUserCommand());
-     * undoRedoManager.execute('createUser'); // Creates and executes a new CreateUserCommand
+     * const entry = undoRedoManager.getHistory().find(entry => entry.label === 'Change color');
+     * await undoRedoManager.undoCommand(entry.id);
      */
-    registerCommand(name, factory) {
-        this.commandFactories.set(name, factory);
+    undoCommand(idOrIndex, options = {}) {
+        const transaction = this.transactionStack[this.transactionStack.length - 1] || null;
+
+        return this.enqueue(async () => {
+            const report = this.checkUndoCommand(idOrIndex);
+            if (!report.canUndo) {
+                const error = new UndoConflictError(`Cannot undo "${this.getCommandLabel(report.command)}": ${report.conflicts.length} later command(s) touch the same resources`, report);
+                this.emit('error', { operation: 'undoCommand', command: report.command, error });
+                throw error;
+            }
+
+            const label = options.label || `Undo ${this.getCommandLabel(report.command)}`;
+            try {
+                const context = { operation: 'execute', command: new InverseCommand(report.command), options: { ...options, label }, transaction: Boolean(transaction), manager: this };
+                await this.runMiddleware(context, () => this.performExecute(context.command, context.options, transaction));
+            } catch (error) {
+                console.error("Error undoing command:", error);
+                this.emit('error', { operation: 'undoCommand', command: report.command, error });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Checks whether an earlier command can be reverted with undoCommand.
+     * 
+     * @param {string|number} idOrIndex - The id of the history entry, or its index in the undo stack.
+     * @returns {Object} A report with `canUndo` (boolean), the `index`, `id` and `command` of the entry,
+     * the `resources` it touches (null if it does not declare them), and `conflicts`: one entry per
+     * later command that touches the same resources, with its `index`, `id`, `command` and the
+     * overlapping `resources` (null if either command does not declare them).
+     * @throws {Error} If there is no such entry on the undo stack.
+     * 
+     * @example
+     * const { canUndo, conflicts } = undoRedoManager.checkUndoCommand(entry.id);
+     */
+    checkUndoCommand(idOrIndex) {
+        const index = typeof idOrIndex === 'number'
+            ? idOrIndex
+            : this.undoStack.findIndex(cmd => this.getCommandId(cmd) === idOrIndex);
+        if (!Number.isInteger(index) || index < 0 || index >= this.undoStack.length) {
+            throw new Error(`No command to undo: ${idOrIndex}`);
+        }
+
+        const command = this.undoStack[index];
+        const resources = this.getCommandResources(command);
+        const conflicts = [];
+        for (let i = index + 1; i < this.undoStack.length; i++) {
+            const later = this.undoStack[i];
+            const laterResources = this.getCommandResources(later);
+            const shared = resources && laterResources
+                ? laterResources.filter(resource => resources.some(other => resourcesOverlap(resource, other)))
+                : null;
+            if (shared === null || shared.length > 0) {
+                conflicts.push({ index: i, id: this.getCommandId(later), command: later, resources: shared });
+            }
+        }
+
+        return { canUndo: conflicts.length === 0, index, id: this.getCommandId(command), command, resources, conflicts };
+    }
+
+    /**
+     * Returns the resources a command declares with its `getResources()` method.
+     * 
+     * @param {Command} command - The command.
+     * @returns {string[]|null} The resources, or null if the command does not declare them.
+     */
+    getCommandResources(command) {
+        if (typeof command.getResources !== 'function') return null;
+        return command.getResources();
+    }
+
+    /**
+     * Describes a command for menus, tooltips and history lists.
+     * 
+     * @param {Command} command - The command to describe.
+     * @returns {Object} The display `label`, and the `labelKey` and `labelParams` it was translated
+     * from, or null if the command has none.
+     * 
+     * @description
+     * The label comes from the `label`, `labelKey` and `labelParams` execute options if the command
+     * was executed with a label or key, and otherwise from the command's own properties of the same
+     * names. If there is a key and the `translate` option is set, the label is its result. Otherwise
+     * it is the `label`, or the name of the command's class if there is none.
+     * 
+     * @example
+     * class MoveLayerCommand {
+     *     constructor(layers) {
+     *         this.labelKey = 'history.moveLayers';
+     *         this.labelParams = { count: layers.length };
+     *     }
+     *     // ...
+     * }
+     * const undoRedoManager = new Oops({ translate: (key, params) => i18n.t(key, params) });
+     */
+    describeCommand(command) {
+        const metadata = this.commandMetadata.get(command) || {};
+        const source = metadata.label || metadata.labelKey ? metadata : command;
+        const labelKey = source.labelKey || null;
+        const labelParams = source.labelParams || null;
+
+        let label = labelKey && this.translate ? this.translate(labelKey, labelParams || {}) : null;
+        if (!label) label = source.label;
+        if (!label) label = command.constructor && command.constructor !== Object ? command.constructor.name : 'Command';
+        return { label, labelKey, labelParams };
+    }
+
+    /**
+     * Returns a display label for a command.
+     * 
+     * @param {Command} command - The command to describe.
+     * @returns {string} The label, as described by describeCommand.
+     */
+    getCommandLabel(command) {
+        return this.describeCommand(command).label;
+    }
+
+    /**
+     * Lists the branches of the history tree.
+     * 
+     * @returns {Object[]} One entry per branch, oldest first. Each entry has the `id` of the
+     * branch's last node, its `depth`, its `timestamp`, its `command` and whether it is the
+     * `active` branch, i.e. the one that redo follows from the current position.
+     * @throws {Error} If history tree mode is not enabled.
+     * 
+     * @description
+     * Every command executed after an undo starts a new branch instead of discarding
+     * the redo stack. Any returned id can be passed to jumpTo.
+     * 
+     * @example
+     * const undoRedoManager = new Oops({ historyTree: true });
+     * // ...
+     * for (const branch of undoRedoManager.getBranches()) {
+     *     console.log(branch.id, branch.depth, branch.active);
+     * }
+     */
+    getBranches() {
+        const tree = this.requireHistoryTree();
+        const redoPath = tree.getRedoPath();
+        const activeLeaf = redoPath.length > 0 ? redoPath[redoPath.length - 1] : tree.current;
+        return tree.getLeaves().map(node => ({
+            id: node.id,
+            depth: tree.getPath(node).length,
+            timestamp: node.timestamp,
+            command: node.command,
+            active: node === activeLeaf
+        }));
+    }
+
+    /**
+     * Switches to a sibling branch of the current history node.
+     * 
+     * @param {number} [offset=1] - How many siblings to move by. Negative values move to older siblings.
+     * @returns {Promise<boolean>} A promise that resolves with true if the branch was switched,
+     * or false if the current node has no siblings.
+     * @throws {Error} If history tree mode is not enabled.
+     * 
+     * @description
+     * The siblings of a node are the alternative commands that were executed from the same
+     * point in history. This method undoes the current command and executes the sibling
+     * `offset` places away, wrapping around at either end.
+     * 
+     * @example
+     * await undoRedoManager.switchBranch();   // Next branch
+     * await undoRedoManager.switchBranch(-1); // Previous branch
+     */
+    switchBranch(offset = 1) {
+        const tree = this.requireHistoryTree();
+        return this.enqueue(async () => {
+            if (tree.current === tree.root) return false;
+            const siblings = tree.current.parent.children;
+            if (siblings.length < 2) return false;
+
+            const index = siblings.indexOf(tree.current);
+            const length = siblings.length;
+            await this.travelTo(siblings[((index + offset) % length + length) % length]);
+            return true;
+        });
+    }
+
+    /**
+     * Jumps to any node of the history tree.
+     * 
+     * @param {number} nodeId - The id of the node to jump to. 0 is the root, before any command.
+     * @returns {Promise<void>} A promise that resolves once the jump is complete.
+     * @throws {Error} If history tree mode is not enabled or the node does not exist.
+     * @throws {HistoryOperationError} If a command fails (as a rejection). The jump is then rolled back.
+     * 
+     * @description
+     * Undoes commands up to the closest common ancestor of the current node and the target,
+     * then executes the commands down to the target. If a command fails, the commands applied
+     * before it are reverted, so the manager stays at the node where the jump started.
+     * 
+     * @example
+     * const [branch] = undoRedoManager.getBranches();
+     * await undoRedoManager.jumpTo(branch.id);
+     */
+    jumpTo(nodeId) {
+        const tree = this.requireHistoryTree();
+        return this.enqueue(async () => {
+            const target = tree.nodes.get(nodeId);
+            if (!target) throw new Error(`Unknown history node: ${nodeId}`);
+            await this.travelTo(target);
+        });
+    }
+
+    /**
+     * Moves through the history tree to the given node.
+     * 
+     * @param {Object} target - The history tree node to move to.
+     * @returns {Promise<void>} A promise that resolves once the target has been reached.
+     * @throws {HistoryOperationError} If a command fails. The manager then moves back to where it started.
+     * 
+     * @description
+     * This is the unqueued part of switchBranch and jumpTo.
+     */
+    async travelTo(target) {
+        const tree = this.historyTree;
+        const { up, down } = tree.getRoute(target);
+        const steps = [
+            ...up.map(node => ({ node, forward: false })),
+            ...down.map(node => ({ node, forward: true }))
+        ];
+
+        let completed = 0;
+        try {
+            for (const step of steps) {
+                let applied = false;
+                const context = { operation: step.forward ? 'redo' : 'undo', command: step.node.command, options: { actor: null }, manager: this };
+                await this.runMiddleware(context, async () => {
+                    await this.travelStep(step);
+                    applied = true;
+                });
+                if (!applied) throw new Error('Stopped by middleware');
+                completed++;
+            }
+        } catch (cause) {
+            let rollbackError = null;
+            try {
+                for (let i = completed - 1; i >= 0; i--) {
+                    await this.travelStep({ node: steps[i].node, forward: !steps[i].forward });
+                }
+            } catch (error) {
+                rollbackError = error;
+            }
+            this.syncWithHistoryTree();
+            this.notifyListeners();
+
+            const completedCommands = steps.slice(0, completed).map(step => step.node.command);
+            const error = this.createOperationError('jump', steps[completed].node.command, completedCommands, cause, rollbackError);
+            this.emit('error', { operation: 'jump', command: error.command, error });
+            throw error;
+        }
+
+        this.syncWithHistoryTree();
+        this.emit('jump', {
+            nodeId: target.id,
+            undone: up.map(node => node.command),
+            redone: down.map(node => node.command)
+        });
+        this.notifyListeners();
+    }
+
+    /**
+     * Moves one edge along the history tree.
+     * 
+     * @param {Object} step - The step to take.
+     * @param {Object} step.node - The node whose command is applied or reverted.
+     * @param {boolean} step.forward - True to execute the node's command and move down to it,
+     * false to undo it and move up to its parent.
+     * @throws {PreconditionError} If the command is stale and the `stalePolicy` is 'error'. Otherwise
+     * stale commands are skipped.
+     */
+    async travelStep({ node, forward }) {
+        const run = !this.skippedCommands.has(node.command) && this.checkJumpStep(node.command, forward ? 'redo' : 'undo');
+        if (!run) this.toggleSkipped(node.command);
+        if (forward) {
+            if (run) await node.command.execute();
+            this.historyTree.moveDown(node);
+        } else {
+            if (run) await node.command.undo();
+            this.historyTree.moveUp();
+        }
+    }
+
+    /**
+     * Returns the history tree, or throws if history tree mode is not enabled.
+     * 
+     * @returns {HistoryTree} The history tree.
+     * @throws {Error} If history tree mode is not enabled.
+     */
+    requireHistoryTree() {
+        if (!this.historyTree) throw new Error('History tree mode is not enabled');
+        return this.historyTree;
+    }
+
+    /**
+     * Rebuilds the undo and redo stacks from the current position in the history tree.
+     */
+    syncWithHistoryTree() {
+        const { undoStack, redoStack } = this.historyTree.getStacks();
+        this.undoStack = undoStack;
+        this.redoStack = redoStack;
+    }
+
+    /**
+     * Marks the current position in the history as saved.
+     * 
+     * @returns {Promise<void>} A promise that resolves once the operations queued before it have finished.
+     * 
+     * @description
+     * `isDirty` is false while the history is at the saved position, including after undoing or
+     * redoing back to it. The next command starts a new history entry instead of being merged into
+     * the saved one, so that the position stays reachable. The save point is included in exportState.
+     * 
+     * @example
+     * await writeFile(path, document.toString());
+     * await undoRedoManager.markSavePoint();
+     */
+    markSavePoint() {
+        return this.enqueue(() => {
+            this.savePoint = this.getPosition();
+            this.mergeGroupBroken = true;
+            this.notifyListeners();
+        });
+    }
+
+    /**
+     * Records the current position in the history under a name, so that it can be returned to.
+     * 
+     * @param {string} name - The name of the checkpoint. An existing checkpoint with the same name is replaced.
+     * @returns {Promise<void>} A promise that resolves once the operations queued before it have finished.
+     * 
+     * @description
+     * Like markSavePoint, this ends the current merge group. Checkpoints are included in exportState.
+     * 
+     * @example
+     * await undoRedoManager.createCheckpoint('Before cleanup');
+     * // ...
+     * await undoRedoManager.goToCheckpoint('Before cleanup');
+     */
+    createCheckpoint(name) {
+        return this.enqueue(() => {
+            this.checkpoints.set(name, { position: this.getPosition(), timestamp: Date.now() });
+            this.mergeGroupBroken = true;
+        });
+    }
+
+    /**
+     * Removes a checkpoint.
+     * 
+     * @param {string} name - The name of the checkpoint.
+     * @returns {boolean} True if the checkpoint existed.
+     */
+    removeCheckpoint(name) {
+        return this.checkpoints.delete(name);
+    }
+
+    /**
+     * Returns the checkpoints in the order they were created.
+     * 
+     * @returns {Object[]} One entry per checkpoint, with its `name`, the `timestamp` it was created at,
+     * whether it is still `reachable` and whether it is the `current` position.
+     * 
+     * @description
+     * A checkpoint becomes unreachable when the commands that lead to it are discarded, e.g. because
+     * a command was executed after undoing past it, or it was merged into or evicted.
+     */
+    getCheckpoints() {
+        const current = this.getPosition();
+        return Array.from(this.checkpoints, ([name, { position, timestamp }]) => ({
+            name,
+            timestamp,
+            reachable: this.findPosition(position) !== null,
+            current: position === current
+        }));
+    }
+
+    /**
+     * Undoes or redoes commands until the history is back at a checkpoint.
+     * 
+     * @param {string} name - The name of the checkpoint.
+     * @returns {Promise<void>} A promise that resolves once the checkpoint has been reached.
+     * @throws {Error} If `actorId` is set, since the move would undo or redo the commands of other actors.
+     * @throws {Error} If the checkpoint does not exist or is no longer reachable (as a rejection).
+     * @throws {HistoryOperationError} If a command fails (as a rejection). The move is then rolled back.
+     * 
+     * @description
+     * In history tree mode, the checkpoint may be on another branch; this moves there like jumpTo.
+     */
+    goToCheckpoint(name) {
+        if (this.actorId) throw new Error('goToCheckpoint cannot be combined with actorId');
+        return this.enqueue(async () => {
+            const checkpoint = this.checkpoints.get(name);
+            if (!checkpoint) throw new Error(`Unknown checkpoint: ${name}`);
+            const target = this.findPosition(checkpoint.position);
+            if (target === null) throw new Error(`Checkpoint is no longer in the history: ${name}`);
+            if (this.historyTree) {
+                await this.travelTo(target);
+            } else {
+                await this.moveToIndex(target);
+            }
+        });
+    }
+
+    /**
+     * Returns the current position in the history.
+     * 
+     * @returns {Command|null} The command on top of the undo stack, or null before the first command.
+     * 
+     * @description
+     * Save points and checkpoints store positions. Since merging a command into the top entry
+     * replaces it, a position is never reached again once a later command was merged into it.
+     */
+    getPosition() {
+        return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+    }
+
+    /**
+     * Looks up where a position is in the history.
+     * 
+     * @param {Command|null|symbol} position - A position returned by getPosition.
+     * @returns {number|Object|null} The index of the position as used by goTo or, in history tree mode,
+     * its node. Null if the position is no longer in the history.
+     */
+    findPosition(position) {
+        if (position === UNREACHABLE) return null;
+        if (this.historyTree) {
+            if (position === null) return this.historyTree.root;
+            for (const node of this.historyTree.nodes.values()) {
+                if (node.command === position) return node;
+            }
+            return null;
+        }
+        if (position === null) return -1;
+        const index = [...this.undoStack, ...[...this.redoStack].reverse()].indexOf(position);
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Moves the save point and the checkpoints from one position to another.
+     * 
+     * @param {Command|null|symbol} from - The old position.
+     * @param {Command|null|symbol} to - The new position.
+     */
+    replacePosition(from, to) {
+        if (this.savePoint === from) this.savePoint = to;
+        for (const checkpoint of this.checkpoints.values()) {
+            if (checkpoint.position === from) checkpoint.position = to;
+        }
+    }
+
+    /**
+     * Checks whether the save point or a checkpoint is at a position.
+     * 
+     * @param {Command|null|symbol} position - A position returned by getPosition.
+     * @returns {boolean} True if the save point or a checkpoint is at the position.
+     */
+    isMarkedPosition(position) {
+        if (this.savePoint === position) return true;
+        for (const checkpoint of this.checkpoints.values()) {
+            if (checkpoint.position === position) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Updates the save point and the checkpoints after the oldest command was dropped from the history.
+     * 
+     * @param {Command} command - The dropped command.
+     * 
+     * @description
+     * Undoing everything now stops after the dropped command, so the start of the history can no
+     * longer be reached, and the position after the dropped command becomes the start.
+     */
+    movePositionsPast(command) {
+        this.replacePosition(null, UNREACHABLE);
+        this.replacePosition(command, null);
+    }
+
+    /**
+     * Converts a position to the form stored by exportState.
+     * 
+     * @param {Command|null|symbol} position - The position.
+     * @returns {number|null} The index of the position as used by goTo or, in history tree mode,
+     * the id of its node. Null if the position is no longer in the history.
+     */
+    exportPosition(position) {
+        const found = this.findPosition(position);
+        if (found === null || !this.historyTree) return found;
+        return found.id;
+    }
+
+    /**
+     * Converts a position stored by exportState back, after the history was imported.
+     * 
+     * @param {number|null|undefined} value - The stored position.
+     * @param {boolean} isNodeId - True if the value is the id of a history tree node rather than an index.
+     * @returns {Command|null|symbol} The position.
+     */
+    importPosition(value, isNodeId) {
+        if (value === null || value === undefined) return UNREACHABLE;
+        if (isNodeId) {
+            const node = this.historyTree.nodes.get(value);
+            return node ? node.command : UNREACHABLE;
+        }
+        if (value === -1) return null;
+        const commands = [...this.undoStack, ...[...this.redoStack].reverse()];
+        return value >= 0 && value < commands.length ? commands[value] : UNREACHABLE;
+    }
+
+    /**
+     * Begins a new transaction.
+     * 
+     * @description
+     * This method starts a new transaction by creating an empty array and pushing it onto the transaction stack.
+     * Transactions allow grouping multiple commands together into a single history entry. Commands executed
+     * while the transaction is open run immediately, so later steps see the effects of earlier ones,
+     * but they are only added to the undo stack when the transaction is committed.
+     * Transactions can be nested; committing an inner transaction adds its commands to the outer one.
+     * 
+     * @example
+     * undoRedoManager.beginTransaction();
+     * // Execute multiple commands...
+     * undoRedoManager.commitTransaction();
+     */
+    beginTransaction() {
+        this.transactionStack.push([]);
+        this.emit('transactionBegin', { depth: this.transactionStack.length });
+    }
+
+    /**
+     * Commits the current transaction.
+     * 
+     * @description
+     * This method finalizes the current transaction by popping it off the transaction stack and recording
+     * its commands, which have already been executed. If the transaction contains only one command, it's
+     * recorded directly. If it contains multiple commands, they're wrapped in a CompositeCommand.
+     * If an outer transaction is open, the command is added to it instead of the undo stack.
+     * If the transaction stack is empty, this method does nothing.
+     * 
+     * With a label, the commands are always wrapped in a CompositeCommand that carries it, even if
+     * there is only one.
+     * 
+     * @param {string|Object} [label] - A label for the history entry, or an object with a `label`,
+     * `labelKey` and `labelParams`, as accepted by the CompositeCommand constructor.
+     * @returns {Promise<void>} A promise that resolves once every command of the transaction has run and
+     * the transaction has been recorded.
+     * 
+     * @example
+     * undoRedoManager.beginTransaction();
+     * undoRedoManager.execute(command1);
+     * undoRedoManager.execute(command2);
+     * await undoRedoManager.commitTransaction('Move layers');
+     */
+    commitTransaction(label) {
+        if (this.transactionStack.length === 0) return Promise.resolve();
+        const transaction = this.transactionStack.pop();
+        const outerTransaction = this.transactionStack[this.transactionStack.length - 1] || null;
+        const depth = this.transactionStack.length + 1;
+
+        // Queued so that it runs after the commands that were executed in the transaction
+        return this.enqueue(async () => {
+            let command = null;
+            if (transaction.length === 1 && !label) {
+                command = transaction[0];
+            } else if (transaction.length > 0) {
+                command = new CompositeCommand(transaction, typeof label === 'string' ? { label } : label || {});
+            }
+
+            if (command && outerTransaction) {
+                outerTransaction.push(command);
+            } else if (command) {
+                this.recordCommand(command);
+            }
+
+            this.emit('transactionCommit', { command, commands: transaction, depth, label: label || null });
+            if (command && !outerTransaction) this.notifyListeners();
+        });
+    }
+
+    /**
+     * Aborts the current transaction.
+     * 
+     * @description
+     * This method cancels the current transaction by popping it off the transaction stack and undoing all commands
+     * that were executed in it, in reverse order. If the transaction stack is empty, this method does nothing.
+     * 
+     * @returns {Promise<void>} A promise that resolves once the transaction commands have been undone.
+     * @throws {Error} If an error occurs while undoing the transaction commands (as a rejection). The commands
+     * that were not undone yet stay applied.
+     * 
+     * @example
+     * undoRedoManager.beginTransaction();
+     * undoRedoManager.execute(command1);
+     * undoRedoManager.execute(command2);
+     * await undoRedoManager.abortTransaction(); // Undoes command2 and command1
+     */
+    abortTransaction() {
+        if (this.transactionStack.length === 0) return Promise.resolve();
+        const transaction = this.transactionStack.pop();
+        const depth = this.transactionStack.length + 1;
+
+        return this.enqueue(async () => {
+            for (let i = transaction.length - 1; i >= 0; i--) {
+                try {
+                    await transaction[i].undo();
+                } catch (error) {
+                    console.error("Error aborting transaction:", error);
+                    this.emit('error', { operation: 'abort', command: transaction[i], error });
+                    throw error;
+                }
+            }
+            this.emit('transactionAbort', { commands: transaction, depth });
+        });
+    }
+
+    /**
+     * Runs a function inside a transaction.
+     * 
+     * @param {Function} fn - The function to run. It receives the manager and may return a Promise.
+     * It should await the commands it executes.
+     * @param {string|Object} [label] - A label for the history entry, as accepted by commitTransaction.
+     * @returns {Promise<*>} A promise that resolves with the return value of `fn`.
+     * @throws {Error} The error thrown by `fn`, after the transaction has been rolled back (as a rejection).
+     * 
+     * @description
+     * Begins a transaction, runs `fn`, and commits the transaction once `fn` has finished. If `fn`
+     * throws or its Promise rejects, the transaction is aborted instead, undoing every command
+     * it executed.
+     * 
+     * @example
+     * await undoRedoManager.transaction(async (manager) => {
+     *     await manager.execute(new CreateLayerCommand());
+     *     await manager.execute(new MoveLayerCommand());
+     * });
+     */
+    async transaction(fn, label) {
+        this.beginTransaction();
+        let result;
+        try {
+            result = await fn(this);
+        } catch (error) {
+            await this.abortTransaction();
+            throw error;
+        }
+        await this.commitTransaction(label);
+        return result;
+    }
+
+    /**
+     * Changes a target object and records the change as a PatchCommand.
+     * 
+     * @param {Object|Array} target - The object to change. It must hold JSON data.
+     * @param {Function} recipe - A synchronous function that receives a copy of the target (the draft) and changes it.
+     * @param {Object} [options={}] - Execution options, as accepted by execute.
+     * @returns {Promise<void>} A promise that resolves once the change is applied to the target.
+     * @throws {Error} If the recipe throws or returns a Promise (as a rejection).
+     * 
+     * @description
+     * The changes made to the draft are turned into JSON Patch operations and their inverse,
+     * which are then applied to the target. Undo applies the inverse operations, so no undo has
+     * to be written by hand. Changes to the same paths within the merge window are merged into
+     * a single history entry. To export the history, register the target with registerPatchTarget.
+     * 
+     * @example
+     * await undoRedoManager.mutate(state, draft => {
+     *     draft.todos.push({ title: 'Write docs', done: false });
+     * });
+     */
+    mutate(target, recipe, options = {}) {
+        return this.execute(PatchCommand.fromRecipe(target, recipe), options);
+    }
+
+    /**
+     * Registers an object that PatchCommands apply to, so that they can be serialized.
+     * 
+     * @param {string} name - The name the target is stored under in serialized commands.
+     * @param {Object|Array} target - The object.
+     * 
+     * @description
+     * Serialized PatchCommands refer to their target by name. Register the same name on the
+     * instance that imports the history, with the object the patches should apply to there.
+     * 
+     * @example
+     * undoRedoManager.registerPatchTarget('document', state);
+     */
+    registerPatchTarget(name, target) {
+        this.patchTargets.set(name, target);
+    }
+
+    /**
+     * Returns the name a patch target was registered under.
+     * 
+     * @param {Object|Array} target - The object.
+     * @returns {string} The name.
+     * @throws {Error} If the target is not registered.
+     */
+    getPatchTargetName(target) {
+        for (const [name, registered] of this.patchTargets) {
+            if (registered === target) return name;
+        }
+        throw new Error('PatchCommand target is not registered; call registerPatchTarget first');
+    }
+
+    /**
+     * Registers a command factory with a given name.
+     * 
+     * @param {string} name - The name to associate with the command factory.
+     * @param {Function} factory - A function that returns a new instance of the command.
+     * 
+     * @description
+     * This method allows registering command factories by name, enabling the creation of commands
+     * using string identifiers. Registered commands can be executed by passing their name to the execute method.
+     * 
+     * @example
+     * undoRedoManager.registerCommand('createUser', () => new CreateUserCommand());
+     * undoRedoManager.execute('createUser'); // Creates and executes a new CreateUserCommand
+     */
+    registerCommand(name, factory) {
+        this.commandFactories.set(name, factory);
+    }
+
+    /**
+     * Registers a command type with its serialization functions.
+     * 
+     * @param {string} type - The type name used in serialized commands.
+     * @param {Object} definition - How to create, serialize and deserialize commands of this type.
+     * @param {Function} definition.deserialize - A function `(data, deserializeCommand)` that returns a new command
+     * from its serialized data. `deserializeCommand` deserializes nested commands.
+     * @param {Function} [definition.serialize] - A function `(command, serializeCommand)` that returns the data to store
+     * for a command. Requires `commandClass`. If omitted, the command's own `serialize` method is used.
+     * @param {Function} [definition.commandClass] - The class of the commands of this type, used to pick the type when serializing.
+     * @param {Function} [definition.create] - A function that returns a new command, used by `execute(type)`.
+     * @param {number} [definition.version=1] - The version of the serialized data. Increase it whenever the data
+     * changes shape, and register a migration from the previous version with registerMigration.
+     * @throws {Error} If the definition has no deserialize function.
+     * 
+     * @description
+     * Unlike registerCommand, which uses a single factory both for execute and for deserialization,
+     * a command type declares how its commands are turned into data and back. CompositeCommand,
+     * InverseCommand and PatchCommand are registered as built-in types, so committed transactions,
+     * reverted commands and mutations can always be exported and imported.
+     * 
+     * @example
+     * undoRedoManager.registerCommandType('moveLayer', {
+     *     commandClass: MoveLayerCommand,
+     *     serialize: (command) => ({ layerId: command.layerId, dx: command.dx, dy: command.dy }),
+     *     deserialize: (data) => new MoveLayerCommand(data.layerId, data.dx, data.dy)
+     * });
+     */
+    registerCommandType(type, definition) {
+        if (!definition || typeof definition.deserialize !== 'function') {
+            throw new Error(`Command type ${type} must have a deserialize function`);
+        }
+        this.commandTypes.set(type, definition);
+    }
+
+    /**
+     * Registers a migration for the serialized data of a command type.
+     * 
+     * @param {string} type - The command type.
+     * @param {number} fromVersion - The version the migration upgrades from. It produces version `fromVersion + 1`.
+     * @param {Function} migrate - A function that takes the serialized data and returns the upgraded data.
+     * 
+     * @description
+     * When importState finds a command that was exported with an older version of its type,
+     * it runs the migrations for every version in between, in sequence.
+     * 
+     * @example
+     * undoRedoManager.registerCommandType('moveLayer', { version: 2, commandClass: MoveLayerCommand, ... });
+     * // Version 1 stored a single offset, version 2 stores x and y separately
+     * undoRedoManager.registerMigration('moveLayer', 1, (data) => ({ layerId: data.layerId, dx: data.offset, dy: 0 }));
+     */
+    registerMigration(type, fromVersion, migrate) {
+        if (!this.commandMigrations.has(type)) {
+            this.commandMigrations.set(type, new Map());
+        }
+        this.commandMigrations.get(type).set(fromVersion, migrate);
+    }
+
+    /**
+     * Returns the current version of a command type's serialized data.
+     * 
+     * @param {string} type - The command type.
+     * @returns {number} The version declared by registerCommandType, or 1.
+     */
+    getCommandVersion(type) {
+        const commandType = this.commandTypes.get(type);
+        return (commandType && commandType.version) || 1;
+    }
+
+    /**
+     * Upgrades a serialized command to the current version of its type.
+     * 
+     * @param {Object} serializedCmd - The serialized command.
+     * @param {Object} versions - The command versions recorded in the exported state, by type.
+     * @returns {Object} The serialized command with upgraded data.
+     * @throws {Error} If the stored version is newer than the current one, a migration is missing, or a migration fails.
+     */
+    migrateCommand(serializedCmd, versions) {
+        const { type } = serializedCmd;
+        const target = this.getCommandVersion(type);
+        let version = versions[type] || 1;
+        let data = serializedCmd.data;
+
+        if (version > target) {
+            throw new Error(`${type} version ${version} is newer than the supported version ${target}`);
+        }
+
+        const migrations = this.commandMigrations.get(type);
+        for (; version < target; version++) {
+            const migrate = migrations && migrations.get(version);
+            if (!migrate) {
+                throw new Error(`No migration registered for ${type} from version ${version} to ${version + 1}`);
+            }
+            try {
+                data = migrate(data);
+            } catch (error) {
+                throw new Error(`Migration of ${type} from version ${version} failed: ${error.message}`);
+            }
+        }
+
+        return { ...serializedCmd, data };
+    }
+
+    /**
+     * Creates a snapshot of the current undo and redo stacks.
+     * 
+     * @description
+     * The snapshot is stored in the snapshots Map, indexed by the current size of the undo stack,
+     * replacing any snapshot with the same key. With the `captureState` option, it also holds the
+     * application state. Snapshots are used to recover after errors, and to jump far through the
+     * history without applying every command in between.
+     * 
+     * To keep snapshots cheap in long sessions, a snapshot only stores the changes to the previous
+     * one when that still exists: the commands added to the undo stack since (`keep` is the number
+     * of commands it shares with the previous one, whose key is `base`), the redo stack, and JSON
+     * patches to the application state (`appStatePatches`). Every few snapshots, a full one is stored.
+     * Afterwards, the `snapshotPolicy` option decides which snapshots to keep.
+     * 
+     * @param {Object} [options={}] - Snapshot options.
+     * @param {boolean} [options.skipUnserializable=false] - If true, a history that can't be serialized
+     * is reported with an `error` event whose `operation` is 'snapshot', instead of being thrown. The
+     * automatic snapshots taken every `snapshotInterval` commands use this.
+     * @throws {Error} If a command can't be serialized. The existing snapshots are then left as they are.
+     * 
+     * @example
+     * undoRedoManager.createSnapshot();
+     */
+    createSnapshot(options = {}) {
+        const appState = this.captureState ? clone(this.captureState()) : undefined;
+        let snapshot;
+        try {
+            snapshot = this.serializeSnapshot(appState);
+        } catch (error) {
+            if (!options.skipUnserializable) throw error;
+            this.emit('error', { operation: 'snapshot', command: null, error });
+            return;
+        }
+        this.storeSnapshot(snapshot, appState);
+    }
+
+    /**
+     * Serializes the undo and redo stacks for a snapshot at the current size of the undo stack.
+     * 
+     * @param {*} appState - The captured application state, or undefined without `captureState`.
+     * @returns {Object} The snapshot, storing its changes to the last snapshot if possible.
+     * @throws {Error} If a command can't be serialized.
+     */
+    serializeSnapshot(appState) {
+        const key = this.undoStack.length;
+        const serialize = cmd => this.serializeCommand(cmd);
+        const base = this.lastSnapshot;
+        let snapshot;
+        // The snapshot it replaces can't be its base
+        if (base && base.key !== key && this.snapshots.get(base.key) === base.snapshot && this.getSnapshotChainLength(base.key) < MAX_SNAPSHOT_CHAIN) {
+            let keep = 0;
+            while (keep < base.commands.length && base.commands[keep] === this.undoStack[keep]) keep++;
+            snapshot = {
+                base: base.key,
+                keep,
+                undoStack: this.undoStack.slice(keep).map(serialize),
+                redoStack: this.redoStack.map(serialize)
+            };
+            if (this.captureState) snapshot.appStatePatches = diff(base.appState, appState);
+        } else {
+            snapshot = {
+                undoStack: this.undoStack.map(serialize),
+                redoStack: this.redoStack.map(serialize)
+            };
+            if (this.captureState) snapshot.appState = appState;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Stores a snapshot at the current size of the undo stack, replacing any snapshot with the same key.
+     * 
+     * @param {Object} snapshot - The snapshot, as returned by serializeSnapshot.
+     * @param {*} appState - The application state it was serialized with.
+     */
+    storeSnapshot(snapshot, appState) {
+        const key = this.undoStack.length;
+        this.deleteSnapshot(key);
+        this.snapshots.set(key, snapshot);
+        this.snapshotTops.set(snapshot, this.undoStack[key - 1]);
+        this.lastSnapshot = { key, snapshot, commands: [...this.undoStack], appState };
+        this.emit('snapshot', { key, snapshot });
+        this.pruneSnapshots();
+    }
+
+    /**
+     * Returns the full content of a snapshot, applying its changes to the snapshots it builds on.
+     * 
+     * @param {number} key - The key of the snapshot.
+     * @returns {Object} The serialized `undoStack` and `redoStack`, and the `appState` if captured.
+     */
+    resolveSnapshot(key) {
+        const chain = [this.snapshots.get(key)];
+        while (chain[0].base !== undefined) {
+            chain.unshift(this.snapshots.get(chain[0].base));
+        }
+
+        const [first, ...deltas] = chain;
+        let { undoStack, redoStack } = first;
+        let appState = first.appState === undefined ? undefined : clone(first.appState);
+        for (const delta of deltas) {
+            undoStack = [...undoStack.slice(0, delta.keep), ...delta.undoStack];
+            redoStack = delta.redoStack;
+            const [patch] = delta.appStatePatches || [];
+            if (patch && patch.path === '') {
+                // A value of a different type replaces the whole state
+                appState = clone(patch.value);
+            } else if (delta.appStatePatches) {
+                applyPatch(appState, delta.appStatePatches);
+            }
+        }
+
+        const resolved = { undoStack, redoStack };
+        if (appState !== undefined) resolved.appState = appState;
+        return resolved;
+    }
+
+    /**
+     * Counts the snapshots a snapshot builds on.
+     * 
+     * @param {number} key - The key of the snapshot.
+     * @returns {number} 0 for a full snapshot, otherwise the number of earlier snapshots it needs.
+     */
+    getSnapshotChainLength(key) {
+        let length = 0;
+        for (let snapshot = this.snapshots.get(key); snapshot.base !== undefined; snapshot = this.snapshots.get(snapshot.base)) {
+            length++;
+        }
+        return length;
+    }
+
+    /**
+     * Removes a snapshot. Snapshots that store their changes to it are replaced with full ones first.
+     * 
+     * @param {number} key - The key of the snapshot.
+     */
+    deleteSnapshot(key) {
+        if (!this.snapshots.has(key)) return;
+        for (const [otherKey, other] of this.snapshots) {
+            if (other.base !== key) continue;
+            const resolved = this.resolveSnapshot(otherKey);
+            this.snapshotTops.set(resolved, this.snapshotTops.get(other));
+            this.snapshots.set(otherKey, resolved);
+            if (this.lastSnapshot && this.lastSnapshot.snapshot === other) this.lastSnapshot.snapshot = resolved;
+        }
+        this.snapshots.delete(key);
     }
 
     /**
-     * Creates a snapshot of the current undo and redo stacks.
-     * 
-     * @description
-     * This method creates a serialized snapshot of the current state of the undo and redo stacks.
-     * The snapshot is stored in the snapshots Map, indexed by the current size of the undo stack.
-     * Snapshots are used for recovery in case of errors during undo or redo operations.
-     * 
-     * @example
-     * undoRedoManager.createSnapshot();
+     * Removes the snapshots that the `snapshotPolicy` option does not keep.
      */
-    createSnapshot() {
-        const snapshot = {
-            undoStack: this.undoStack.map(cmd => cmd.serialize()),
-            redoStack: this.redoStack.map(cmd => cmd.serialize())
-        };
-        this.snapshots.set(this.undoStack.length, snapshot);
+    pruneSnapshots() {
+        if (!this.snapshotPolicy) return;
+        const keys = Array.from(this.snapshots.keys()).sort((a, b) => a - b);
+        const kept = new Set(this.snapshotPolicy(keys, { undoStackSize: this.undoStack.length }));
+        for (const key of keys) {
+            if (!kept.has(key)) this.deleteSnapshot(key);
+        }
     }
 
     /**
      * Recovers the state from the most recent valid snapshot.
      * 
+     * @returns {Promise<void>} A promise that resolves once the application state has been restored
+     * with the `restoreState` option, if the snapshot has one. The stacks are restored right away.
+     * 
      * @description
      * This method attempts to recover the undo and redo stacks from the most recent snapshot
      * that is not larger than the current undo stack size. It's typically called after an error
@@ -311,50 +2026,254 @@ class Oops {
      * try {
      *     // Some undo/redo operation
      * } catch (error) {
-     *     undoRedoManager.recoverFromSnapshot();
+     *     await undoRedoManager.recoverFromSnapshot();
      * }
      */
-    recoverFromSnapshot() {
+    async recoverFromSnapshot() {
         const snapshotKeys = Array.from(this.snapshots.keys()).sort((a, b) => b - a);
+        let appState;
         for (const key of snapshotKeys) {
             if (key <= this.undoStack.length) {
-                const snapshot = this.snapshots.get(key);
+                const snapshot = this.resolveSnapshot(key);
                 this.undoStack = snapshot.undoStack.map(cmd => this.deserializeCommand(cmd));
                 this.redoStack = snapshot.redoStack.map(cmd => this.deserializeCommand(cmd));
+                appState = snapshot.appState;
                 break;
             }
         }
+        if (appState !== undefined && this.restoreState) await this.restoreState(appState);
         this.notifyListeners();
     }
 
+    /**
+     * Finds the snapshot to restore for a jump, if restoring it is shorter than moving there step by step.
+     * 
+     * @param {number} length - The size the undo stack should have after the jump.
+     * @returns {number|null} The key of the snapshot, or null to undo or redo step by step.
+     * 
+     * @description
+     * Only snapshots with the application state are used, and only while the command that was on top
+     * of the undo stack when they were taken is still at the same position in the history, and no
+     * command was executed with `undoable: false` since. Jumps do not
+     * use snapshots in history tree mode, with `actorId`, or while middleware is installed, so that
+     * middleware sees every command.
+     */
+    findJumpSnapshot(length) {
+        if (!this.restoreState || this.historyTree || this.actorId || this.middleware.length > 0) return null;
+
+        const entries = [...this.undoStack, ...[...this.redoStack].reverse()];
+        // Restoring a snapshot would apply or revert the change of commands that were skipped
+        if (entries.some(entry => this.skippedCommands.has(entry))) return null;
+        let best = null;
+        let bestDistance = Math.abs(this.undoStack.length - length);
+        for (const [key, snapshot] of this.snapshots) {
+            if (key === 0 || key > entries.length || entries[key - 1] !== this.snapshotTops.get(snapshot)) continue;
+            // Restoring the snapshot counts as a step
+            const distance = Math.abs(key - length) + 1;
+            if (distance < bestDistance) {
+                best = key;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Checks the precondition of a command a jump applies. Jumps skip stale commands rather than
+     * removing them, so that they end at the requested position.
+     * 
+     * @param {Command} command - The command.
+     * @param {string} operation - 'undo' or 'redo'.
+     * @returns {boolean} True if the command should run, false if it is stale and should be skipped.
+     * @throws {PreconditionError} If the command is stale and the `stalePolicy` is 'error'.
+     */
+    checkJumpStep(command, operation) {
+        if (this.canRun(command, operation)) return true;
+        if (this.stalePolicy === 'error') {
+            throw new PreconditionError(`Cannot ${operation} "${this.getCommandLabel(command)}": its precondition is not met`, operation, command);
+        }
+        this.emit('stale', { operation, command, policy: 'skip' });
+        return false;
+    }
+
+    /**
+     * Restores the application state from a snapshot and applies the commands from there to a position.
+     * 
+     * @param {number} key - The key of the snapshot.
+     * @param {number} length - The size the undo stack should have afterwards.
+     * @returns {Promise<Command[]>} A promise that resolves with the commands between the current
+     * position and the new one, in the order undo or redo would have applied them.
+     * @throws {HistoryOperationError} If a command or restoreState fails. The application state from
+     * before the jump is then restored, and the stacks are left unchanged.
+     */
+    async jumpFromSnapshot(key, length) {
+        const entries = [...this.undoStack, ...[...this.redoStack].reverse()];
+        const current = this.undoStack.length;
+        const operation = length < current ? 'undo' : 'redo';
+        const previousState = clone(this.captureState());
+
+        let failing = null;
+        try {
+            await this.restoreState(this.resolveSnapshot(key).appState);
+            for (let i = key; i < length; i++) {
+                failing = entries[i];
+                if (this.checkJumpStep(failing, 'redo')) await failing.execute();
+            }
+            for (let i = key - 1; i >= length; i--) {
+                failing = entries[i];
+                if (this.checkJumpStep(failing, 'undo')) await failing.undo();
+            }
+        } catch (cause) {
+            let rollbackError = null;
+            try {
+                await this.restoreState(previousState);
+            } catch (error) {
+                rollbackError = error;
+            }
+            throw this.createOperationError(operation, failing, [], cause, rollbackError);
+        }
+
+        this.undoStack = entries.slice(0, length);
+        this.redoStack = entries.slice(length).reverse();
+        return operation === 'undo' ? entries.slice(length, current).reverse() : entries.slice(current, length);
+    }
+
+    /**
+     * Serializes a command.
+     * 
+     * @param {Command} command - The command to serialize.
+     * @returns {Object} The serialized command, in the form `{type, data}`.
+     * 
+     * @description
+     * If the command is an instance of a registered command type that declares a `serialize`
+     * function, that function produces the data. Otherwise the command's own `serialize` method
+     * is used. Both receive this method as an argument, so commands that contain other commands,
+     * like CompositeCommand, can serialize them in turn.
+     * 
+     * @example
+     * const serializedCmd = undoRedoManager.serializeCommand(someCommand);
+     */
+    serializeCommand(command) {
+        const serializeCommand = cmd => this.serializeCommand(cmd);
+        for (const [type, commandType] of this.commandTypes) {
+            if (commandType.serialize && commandType.commandClass && command instanceof commandType.commandClass) {
+                return { type, data: commandType.serialize(command, serializeCommand) };
+            }
+        }
+        return command.serialize(serializeCommand);
+    }
+
     /**
      * Deserializes a command from its serialized form.
      * 
      * @param {Object} serializedCmd - The serialized command object.
+     * @param {Object} [versions] - The command versions the data was exported with, by type. If given,
+     * the data of this command and of any nested commands is migrated to the current versions first.
      * @returns {Command} The deserialized command object.
      * 
      * @description
-     * This method takes a serialized command object and uses the registered command factories
-     * to create a new instance of the command. It's used when recovering from snapshots.
+     * This method takes a serialized command object and uses the `deserialize` function of the
+     * registered command type to create a new instance of the command. For types registered with
+     * registerCommand only, the factory is called with the serialized data instead. It's used when
+     * importing state and recovering from snapshots.
      * 
      * @throws {Error} If the command type is unknown or not registered.
      * 
      * @example
      * const deserializedCmd = undoRedoManager.deserializeCommand({type: 'SomeCommand', data: {...}});
      */
-    deserializeCommand(serializedCmd) {
+    deserializeCommand(serializedCmd, versions) {
+        if (!serializedCmd || typeof serializedCmd.type !== 'string') {
+            throw new Error('Invalid serialized command');
+        }
+        if (versions) serializedCmd = this.migrateCommand(serializedCmd, versions);
+
+        const commandType = this.commandTypes.get(serializedCmd.type);
+        if (commandType) {
+            return commandType.deserialize(serializedCmd.data, cmd => this.deserializeCommand(cmd, versions));
+        }
+
         const factory = this.commandFactories.get(serializedCmd.type);
         if (!factory) throw new Error(`Unknown command type: ${serializedCmd.type}`);
         return factory(serializedCmd.data);
     }
 
+    /**
+     * Sets the merge policy for a command type.
+     * 
+     * @param {string|Function} type - A command type registered with a `commandClass`, or a command class.
+     * @param {Function|null} policy - A function `(previous, command, context)` that returns true if `command`
+     * may be merged into the `previous` history entry, such as the policies in Oops.mergePolicies.
+     * Pass null to use the default policy again.
+     * @throws {Error} If a type name is given that has no registered `commandClass`.
+     * 
+     * @description
+     * A command is only merged into the previous entry if `command.canMerge(previous)` returns true
+     * and then the policy of its type allows it. Commands without a policy of their own use the
+     * `mergePolicy` option, which defaults to `Oops.mergePolicies.timeWindow(mergeWindow)`. The policy's
+     * `context` has the `timestamp` of the new command and the `previousTimestamp` of the previous entry.
+     * 
+     * @example
+     * // Typing merges word by word, however slowly the user types
+     * undoRedoManager.setMergePolicy(InsertTextCommand, Oops.mergePolicies.wordBoundary());
+     */
+    setMergePolicy(type, policy) {
+        let commandClass = type;
+        if (typeof type === 'string') {
+            const commandType = this.commandTypes.get(type);
+            if (!commandType || !commandType.commandClass) {
+                throw new Error(`Command type ${type} has no commandClass to set a merge policy for`);
+            }
+            commandClass = commandType.commandClass;
+        }
+        if (policy) {
+            this.commandMergePolicies.set(commandClass, policy);
+        } else {
+            this.commandMergePolicies.delete(commandClass);
+        }
+    }
+
+    /**
+     * Returns the merge policy that decides whether a command can be merged.
+     * 
+     * @param {Command} command - The command to merge.
+     * @returns {Function} The policy set with setMergePolicy for the command's class, or the default policy.
+     */
+    getMergePolicy(command) {
+        for (const [commandClass, policy] of this.commandMergePolicies) {
+            if (command instanceof commandClass) return policy;
+        }
+        return this.mergePolicy || mergePolicies.timeWindow(this.mergeWindow);
+    }
+
+    /**
+     * Ends the current merge group, so that the next command starts a new history entry.
+     * 
+     * @returns {Promise<void>} A promise that resolves once the operations queued before it have finished.
+     * 
+     * @description
+     * The break is queued like execute, so it falls between the commands executed before and after
+     * the call. It ends groups for every policy, and is the only way to end a group under
+     * `Oops.mergePolicies.untilBreak()`.
+     * 
+     * @example
+     * canvas.addEventListener('pointerup', () => undoRedoManager.breakMergeGroup());
+     */
+    breakMergeGroup() {
+        return this.enqueue(() => {
+            this.mergeGroupBroken = true;
+        });
+    }
+
     /**
      * Compresses the undo history by merging compatible commands.
      * 
      * @description
-     * This method goes through the undo stack and attempts to merge adjacent commands
-     * that are compatible (as determined by their canMerge method). This can help reduce
-     * memory usage and simplify the undo/redo history.
+     * This method goes through the undo stack and attempts to merge adjacent commands by the
+     * rules execute merges by (see canCompress). As in execute, each command is merged into the
+     * one before it with `command.merge(previous)`, and the merged entry keeps the id of the first
+     * command and the label and timestamp of the last. This can help reduce memory usage and
+     * simplify the undo/redo history.
      * 
      * @example
      * undoRedoManager.compressHistory();
@@ -364,8 +2283,14 @@ class Oops {
         let currentGroup = null;
 
         for (const command of this.undoStack) {
-            if (currentGroup && currentGroup.canMerge(command)) {
-                currentGroup = currentGroup.merge(command);
+            if (currentGroup && this.canCompress(currentGroup, command)) {
+                const groupMetadata = this.commandMetadata.get(currentGroup) || {};
+                const metadata = this.commandMetadata.get(command) || {};
+                currentGroup = command.merge(currentGroup);
+                this.commandMetadata.set(currentGroup, { ...metadata, id: groupMetadata.id || metadata.id });
+                this.commandSizes.delete(currentGroup);
+                // The position after the last command of a group is the position after the group
+                this.replacePosition(command, currentGroup);
             } else {
                 if (currentGroup) compressedStack.push(currentGroup);
                 currentGroup = command;
@@ -373,7 +2298,125 @@ class Oops {
         }
 
         if (currentGroup) compressedStack.push(currentGroup);
+        const commands = this.undoStack;
         this.undoStack = compressedStack;
+        this.emit('compress', { commands, compressed: compressedStack });
+    }
+
+    /**
+     * Checks whether compressHistory may merge a command into the entry before it.
+     * 
+     * @param {Command} previous - The entry before the command, possibly merged already.
+     * @param {Command} command - The command.
+     * @returns {boolean} True if both belong to the same actor, `command.canMerge(previous)` and the
+     * command's merge policy allow it, and neither a merge group break, the save point nor a
+     * checkpoint is between them.
+     * 
+     * @description
+     * The merge policy is called with the recorded timestamps of both entries.
+     */
+    canCompress(previous, command) {
+        if (this.groupStarts.has(command) || this.isMarkedPosition(previous)) return false;
+        if (this.getCommandActor(command) !== this.getCommandActor(previous)) return false;
+        if (!command.canMerge || !command.canMerge(previous)) return false;
+        return Boolean(this.getMergePolicy(command)(previous, command, {
+            timestamp: this.commandMetadata.get(command)?.timestamp ?? null,
+            previousTimestamp: this.commandMetadata.get(previous)?.timestamp ?? null
+        }));
+    }
+
+    /**
+     * Returns the estimated size of a command or snapshot in bytes.
+     * 
+     * @param {Command|Object} item - A command, or a snapshot created by createSnapshot.
+     * @returns {number} The estimated size in bytes.
+     * 
+     * @description
+     * Commands can report their own size by implementing `getSize()`. Otherwise the
+     * `estimateSize` option is used, which defaults to Oops.estimateSize. Sizes are
+     * cached until the command is merged.
+     */
+    getItemSize(item) {
+        let size = this.commandSizes.get(item);
+        if (size === undefined) {
+            size = typeof item.getSize === 'function' ? item.getSize() : this.estimateSize(item);
+            this.commandSizes.set(item, size);
+        }
+        return size;
+    }
+
+    /**
+     * Returns the estimated memory used by the history.
+     * 
+     * @returns {Object} The estimated sizes in bytes: `commands` for the commands in the history
+     * (including other branches in history tree mode), `snapshots` for the snapshots, and `total`.
+     * 
+     * @example
+     * const { total } = undoRedoManager.getMemoryUsage();
+     */
+    getMemoryUsage() {
+        const commands = this.historyTree
+            ? Array.from(this.historyTree.nodes.values(), node => node.command).filter(Boolean)
+            : [...this.undoStack, ...this.redoStack];
+        let commandsSize = 0;
+        for (const command of commands) {
+            commandsSize += this.getItemSize(command);
+        }
+        let snapshotsSize = 0;
+        for (const snapshot of this.snapshots.values()) {
+            snapshotsSize += this.getItemSize(snapshot);
+        }
+        return { commands: commandsSize, snapshots: snapshotsSize, total: commandsSize + snapshotsSize };
+    }
+
+    /**
+     * Evicts history until its estimated memory usage is within the `maxMemory` budget.
+     * 
+     * @description
+     * Stale snapshots, which were taken of commands that have since been undone and discarded,
+     * are evicted first. If that is not enough, the oldest commands are removed from the undo
+     * stack. Every remaining snapshot contains the removed commands, so those are evicted as
+     * well. The most recent command is always kept, even if it alone exceeds the budget.
+     * Emits an `evict` event if anything was removed.
+     */
+    enforceMemoryLimit() {
+        if (this.maxMemory === Infinity) return;
+
+        let usage = this.getMemoryUsage().total;
+        if (usage <= this.maxMemory) return;
+
+        const snapshotKeys = [];
+        const evictSnapshots = keys => {
+            if (keys.length === 0) return;
+            for (const key of keys) {
+                this.deleteSnapshot(key);
+                snapshotKeys.push(key);
+            }
+            // Snapshots that stored their changes to an evicted one have become full snapshots
+            usage = this.getMemoryUsage().total;
+        };
+        evictSnapshots(Array.from(this.snapshots.keys()).filter(key => key > this.undoStack.length));
+
+        const commands = [];
+        if (usage > this.maxMemory) {
+            evictSnapshots(Array.from(this.snapshots.keys()));
+            while (usage > this.maxMemory && this.undoStack.length > 1) {
+                commands.push(this.undoStack[0]);
+                this.movePositionsPast(this.undoStack[0]);
+                if (this.historyTree) {
+                    // Trimming the root also removes the branches that do not lead to the current node
+                    this.historyTree.trimRoot();
+                    this.syncWithHistoryTree();
+                    usage = this.getMemoryUsage().total;
+                } else {
+                    usage -= this.getItemSize(this.undoStack.shift());
+                }
+            }
+        }
+
+        if (commands.length > 0 || snapshotKeys.length > 0) {
+            this.emit('evict', { commands, snapshots: snapshotKeys });
+        }
     }
 
     /**
@@ -413,6 +2456,139 @@ class Oops {
         this.changeListeners.delete(listener);
     }
 
+    /**
+     * Subscribes to a typed history event.
+     * 
+     * @param {string} type - The event type.
+     * @param {Function} listener - The function to call with the event object.
+     * @returns {Function} A function that removes the listener again.
+     * 
+     * @description
+     * Unlike change listeners, which only receive the resulting state, event listeners are told
+     * what happened. Every event object has a `type` and the `state` after the event (see getState),
+     * plus the following, depending on the type:
+     * 
+     * - `execute`: `command`, `result`, `undoable`
+     * - `merge`: `command` (the merged command), `commands` (the previous and the new command)
+     * - `undo`, `redo`: `commands` (in the order they were undone or redone, empty if stale commands were
+     *   only removed), the requested `steps`, the `stalePolicy` used, and `jump` if goTo moved the history
+     * - `jump`: `nodeId`, `undone`, `redone` (history tree mode)
+     * - `transactionBegin`: `depth`
+     * - `transactionCommit`: `command` (the command that will be executed, or null if empty), `commands`, `depth`,
+     *   `label` (as passed to commitTransaction, or null)
+     * - `transactionAbort`: `commands`, `depth`
+     * - `compress`: `commands` (before compression), `compressed` (after compression)
+     * - `snapshot`: `key`, `snapshot`
+     * - `import`: `state` (the imported state object), `commands`
+     * - `clear`: `commands` (the removed commands)
+     * - `error`: `operation`, `command`, `error`
+     * 
+     * Silent executions do not emit events.
+     * 
+     * @example
+     * const off = undoRedoManager.on('undo', (event) => {
+     *     console.log('Undid', event.commands.length, 'commands');
+     * });
+     * // ... later ...
+     * off();
+     */
+    on(type, listener) {
+        if (!this.eventListeners.has(type)) {
+            this.eventListeners.set(type, new Set());
+        }
+        this.eventListeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribes from a typed history event.
+     * 
+     * @param {string} type - The event type.
+     * @param {Function} listener - The listener passed to on or once.
+     * 
+     * @example
+     * undoRedoManager.off('execute', listener);
+     */
+    off(type, listener) {
+        const listeners = this.eventListeners.get(type);
+        if (!listeners) return;
+        for (const registered of listeners) {
+            if (registered === listener || registered.listener === listener) {
+                listeners.delete(registered);
+            }
+        }
+    }
+
+    /**
+     * Subscribes to the next occurrence of a typed history event.
+     * 
+     * @param {string} type - The event type.
+     * @param {Function} listener - The function to call with the event object.
+     * @returns {Function} A function that removes the listener if it has not been called yet.
+     * 
+     * @example
+     * undoRedoManager.once('import', () => console.log('History restored'));
+     */
+    once(type, listener) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            listener(event);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Emits a typed history event to its listeners.
+     * 
+     * @param {string} type - The event type.
+     * @param {Object} [details={}] - The event-specific properties.
+     * 
+     * @description
+     * The event object combines the details with the `type` and the current `state`.
+     */
+    emit(type, details = {}) {
+        const listeners = this.eventListeners.get(type);
+        if (!listeners || listeners.size === 0) return;
+
+        const event = { type, ...details, state: this.getState() };
+        for (const listener of [...listeners]) {
+            listener(event);
+        }
+    }
+
+    /**
+     * Returns the current undo/redo state.
+     * 
+     * @returns {Object} An object with `canUndo`, `canRedo`, `undoLabel` and `redoLabel` (the labels of
+     * the commands undo and redo would apply next, or null), `undoStackSize`, `redoStackSize`,
+     * `memoryUsage` (the estimated size of the history in bytes, or null without a `maxMemory` budget)
+     * and `maxMemory`.
+     * 
+     * @description
+     * This is the state object that change listeners receive. Estimating the memory usage walks the
+     * whole history, so without a budget it is left to getMemoryUsage.
+     * 
+     * @example
+     * const { canUndo, undoLabel } = undoRedoManager.getState();
+     * undoMenuItem.text = canUndo ? `Undo ${undoLabel}` : 'Undo';
+     */
+    getState() {
+        const undoCommand = this.findNextCommand(this.undoStack, 'undo');
+        const redoCommand = this.findNextCommand(this.redoStack, 'redo');
+        return {
+            canUndo: undoCommand !== null,
+            canRedo: redoCommand !== null,
+            undoLabel: undoCommand && this.getCommandLabel(undoCommand),
+            redoLabel: redoCommand && this.getCommandLabel(redoCommand),
+            isDirty: this.isDirty,
+            undoStackSize: this.undoStack.length,
+            redoStackSize: this.redoStack.length,
+            memoryUsage: this.maxMemory === Infinity ? null : this.getMemoryUsage().total,
+            maxMemory: this.maxMemory
+        };
+    }
+
     /**
      * Notifies all registered listeners of the current state.
      * 
@@ -427,12 +2603,7 @@ class Oops {
      * undoRedoManager.notifyListeners();
      */
     notifyListeners() {
-        const state = {
-            canUndo: this.canUndo,
-            canRedo: this.canRedo,
-            undoStackSize: this.undoStack.length,
-            redoStackSize: this.redoStack.length
-        };
+        const state = this.getState();
         for (const listener of this.changeListeners) {
             listener(state);
         }
@@ -452,9 +2623,16 @@ class Oops {
      * console.log(undoRedoManager.canRedo); // false
      */
     clear() {
+        const commands = [...this.undoStack, ...[...this.redoStack].reverse()];
+        // Clearing the history does not change the document, so it stays saved or unsaved
+        this.savePoint = this.isDirty ? UNREACHABLE : null;
+        this.checkpoints.clear();
         this.undoStack = [];
         this.redoStack = [];
+        if (this.historyTree) this.historyTree = new HistoryTree();
         this.snapshots.clear();
+        this.lastSnapshot = null;
+        this.emit('clear', { commands });
         this.notifyListeners();
     }
 
@@ -465,7 +2643,8 @@ class Oops {
      * 
      * @description
      * This getter provides a quick way to check if there are any actions
-     * in the undo stack that can be reversed.
+     * in the undo stack that can be reversed. When `actorId` is set, only the
+     * actor's own commands count.
      * 
      * @example
      * if (undoRedoManager.canUndo) {
@@ -475,7 +2654,7 @@ class Oops {
      * }
      */
     get canUndo() {
-        return this.undoStack?.length > 0;
+        return this.findNextCommand(this.undoStack, 'undo') !== null;
     }
 
     /**
@@ -485,7 +2664,8 @@ class Oops {
      * 
      * @description
      * This getter provides a quick way to check if there are any undone actions
-     * in the redo stack that can be reapplied.
+     * in the redo stack that can be reapplied. When `actorId` is set, only the
+     * actor's own commands count.
      * 
      * @example
      * if (undoRedoManager.canRedo) {
@@ -495,7 +2675,22 @@ class Oops {
      * }
      */
     get canRedo() {
-        return this.redoStack?.length > 0;
+        return this.findNextCommand(this.redoStack, 'redo') !== null;
+    }
+
+    /**
+     * Checks whether the history has moved away from the last save point.
+     * 
+     * @returns {boolean} False if the history is at the position marked with markSavePoint, or at its
+     * start if no save point was marked. True otherwise.
+     * 
+     * @example
+     * window.addEventListener('beforeunload', (event) => {
+     *     if (undoRedoManager.isDirty) event.preventDefault();
+     * });
+     */
+    get isDirty() {
+        return this.getPosition() !== this.savePoint;
     }
     
     /**
@@ -506,6 +2701,13 @@ class Oops {
      * @description
      * This method creates a serializable object containing the current state
      * of the undo and redo stacks, as well as any relevant configuration.
+     * In history tree mode, the whole tree including inactive branches is included.
+     * The save point and checkpoints are stored as history indexes, or as node ids in history
+     * tree mode, and as null once they are no longer in the history.
+     * The `id`, `actor`, labels and `timestamp` of each entry are stored in `entryMetadata`, in
+     * the order of the `undoStack`, `redoStack` and the nodes of the `historyTree`.
+     * The state records its format version and the version of every registered command type,
+     * so that importState can migrate it later.
      * The returned object can be easily converted to JSON for storage.
      * 
      * @example
@@ -514,26 +2716,100 @@ class Oops {
      * // Developer can now save jsonState to file, localStorage, etc.
      */
     exportState() {
+        const commandVersions = {};
+        for (const type of this.commandTypes.keys()) {
+            commandVersions[type] = this.getCommandVersion(type);
+        }
+        const entryMetadata = {
+            undoStack: this.undoStack.map(cmd => this.exportEntryMetadata(cmd)),
+            redoStack: this.redoStack.map(cmd => this.exportEntryMetadata(cmd)),
+            historyTree: []
+        };
+        const serializeNode = cmd => {
+            entryMetadata.historyTree.push(this.exportEntryMetadata(cmd));
+            return this.serializeCommand(cmd);
+        };
+
         return {
-            undoStack: this.undoStack.map(cmd => cmd.serialize()),
-            redoStack: this.redoStack.map(cmd => cmd.serialize()),
+            formatVersion: STATE_FORMAT_VERSION,
+            commandVersions,
+            undoStack: this.undoStack.map(cmd => this.serializeCommand(cmd)),
+            redoStack: this.redoStack.map(cmd => this.serializeCommand(cmd)),
+            entryMetadata,
             maxStackSize: this.maxStackSize,
+            maxMemory: this.maxMemory,
             snapshotInterval: this.snapshotInterval,
             compressThreshold: this.compressThreshold,
-            mergeWindow: this.mergeWindow
+            mergeWindow: this.mergeWindow,
+            historyTree: this.historyTree ? this.historyTree.serialize(serializeNode) : null,
+            savePoint: this.exportPosition(this.savePoint),
+            checkpoints: Array.from(this.checkpoints, ([name, { position, timestamp }]) => ({
+                name,
+                position: this.exportPosition(position),
+                timestamp
+            }))
         };
     }
 
+    /**
+     * Returns the metadata of a history entry for exportState.
+     * 
+     * @param {Command} command - The command of the entry.
+     * @returns {Object|null} The `id`, `actor`, `label`, `labelKey`, `labelParams` and `timestamp` of the
+     * entry, or null if it has none.
+     */
+    exportEntryMetadata(command) {
+        const metadata = this.commandMetadata.get(command);
+        if (!metadata) return null;
+        return {
+            id: metadata.id ?? null,
+            actor: metadata.actor ?? null,
+            label: metadata.label ?? null,
+            labelKey: metadata.labelKey ?? null,
+            labelParams: metadata.labelParams ?? null,
+            timestamp: metadata.timestamp ?? null
+        };
+    }
+
+    /**
+     * Restores the metadata of an imported history entry. Ids created afterwards continue after
+     * the imported ids of this actor, so that they stay unique.
+     * 
+     * @param {Command|null} command - The deserialized command of the entry.
+     * @param {Object|null} [metadata] - The metadata as returned by exportEntryMetadata.
+     */
+    restoreEntryMetadata(command, metadata) {
+        if (!command || !metadata) return;
+        const restored = {};
+        for (const [key, value] of Object.entries(metadata)) {
+            if (value !== null) restored[key] = value;
+        }
+        this.commandMetadata.set(command, restored);
+
+        const prefix = this.actorId ? `${this.actorId}:` : '';
+        if (typeof metadata.id === 'string' && metadata.id.startsWith(prefix)) {
+            const number = Number(metadata.id.slice(prefix.length));
+            if (Number.isInteger(number) && number >= this.nextCommandId) this.nextCommandId = number + 1;
+        }
+    }
+
     /**
      * Imports a previously exported state into the undo/redo manager.
      * 
      * @param {Object} state - The state object to import.
-     * @throws {Error} If the state object is invalid or commands can't be deserialized.
+     * @throws {Error} If the state object is invalid.
+     * @throws {StateImportError} If commands can't be migrated or deserialized. Its `report` lists every problem.
      * 
      * @description
      * This method takes a state object (typically created by exportState)
-     * and restores the undo/redo manager to that state. It deserializes
+     * and restores the undo/redo manager to that state. States exported by older versions
+     * are upgraded first, and commands whose type has a newer version are migrated with the
+     * functions registered by registerMigration. It then deserializes
      * the undo and redo stacks and restores configuration settings.
+     * If the state contains a history tree, the whole tree is restored and history
+     * tree mode is enabled. The save point and checkpoints are restored with it; states exported
+     * before save points existed count as saved at their current position.
+     * If anything fails, the current history is left untouched.
      * 
      * @example
      * // Assuming jsonState is retrieved from storage
@@ -545,24 +2821,137 @@ class Oops {
             throw new Error('Invalid state object');
         }
 
-        try {
-            this.undoStack = state.undoStack.map(cmd => this.deserializeCommand(cmd));
-            this.redoStack = state.redoStack.map(cmd => this.deserializeCommand(cmd));
-            this.maxStackSize = state.maxStackSize || this.maxStackSize;
-            this.snapshotInterval = state.snapshotInterval || this.snapshotInterval;
-            this.compressThreshold = state.compressThreshold || this.compressThreshold;
-            this.mergeWindow = state.mergeWindow || this.mergeWindow;
-
-            // Reset other internal state
-            this.isExecuting = false;
-            this.lastExecutionTime = 0;
-            this.transactionStack = [];
-            this.snapshots.clear();
+        const prepared = this.prepareImport(state);
+        if (!prepared.report.valid) {
+            const error = new StateImportError('Failed to import state: ' + prepared.report.issues.map(issue => issue.message).join('; '), prepared.report);
+            this.emit('error', { operation: 'import', command: null, error });
+            throw error;
+        }
 
-            this.notifyListeners();
-        } catch (error) {
-            throw new Error('Failed to import state: ' + error.message);
+        const migratedState = prepared.state;
+        const entryMetadata = migratedState.entryMetadata || {};
+        const restoreMetadata = (commands, metadata = []) => commands.forEach((cmd, i) => this.restoreEntryMetadata(cmd, metadata[i]));
+        restoreMetadata(prepared.undoStack, entryMetadata.undoStack);
+        restoreMetadata(prepared.redoStack, entryMetadata.redoStack);
+        restoreMetadata(prepared.treeCommands, entryMetadata.historyTree);
+        // Where merge groups were broken is not exported, so compression keeps the imported entries apart
+        for (const command of [...prepared.undoStack, ...prepared.redoStack]) {
+            this.groupStarts.add(command);
+        }
+
+        this.historyTree = prepared.historyTree;
+        if (this.historyTree) {
+            this.syncWithHistoryTree();
+        } else {
+            this.undoStack = prepared.undoStack;
+            this.redoStack = prepared.redoStack;
+        }
+        this.maxStackSize = migratedState.maxStackSize || this.maxStackSize;
+        this.maxMemory = migratedState.maxMemory || this.maxMemory;
+        this.snapshotInterval = migratedState.snapshotInterval || this.snapshotInterval;
+        this.compressThreshold = migratedState.compressThreshold || this.compressThreshold;
+        this.mergeWindow = migratedState.mergeWindow ?? this.mergeWindow;
+
+        const isNodeId = Boolean(migratedState.historyTree);
+        this.savePoint = this.importPosition(migratedState.savePoint, isNodeId);
+        this.checkpoints = new Map((migratedState.checkpoints || []).map(({ name, position, timestamp }) => (
+            [name, { position: this.importPosition(position, isNodeId), timestamp }]
+        )));
+
+        // Reset other internal state
+        this.lastExecutionTime = 0;
+        this.transactionStack = [];
+        this.snapshots.clear();
+        this.lastSnapshot = null;
+
+        this.emit('import', { state, commands: [...this.undoStack, ...[...this.redoStack].reverse()] });
+        this.notifyListeners();
+    }
+
+    /**
+     * Checks whether a state object can be imported, without importing it.
+     * 
+     * @param {Object} state - The state object to check.
+     * @returns {Object} A report with `valid` (boolean), the `formatVersion` the state was exported with, and
+     * `issues`: one entry per problem, with the `path` of the command in the state (e.g. `undoStack[3]`),
+     * its `type`, the `version` it was exported with and a `message`.
+     * 
+     * @example
+     * const report = undoRedoManager.validateState(JSON.parse(jsonState));
+     * if (!report.valid) {
+     *     report.issues.forEach(issue => console.warn(issue.path, issue.message));
+     * }
+     */
+    validateState(state) {
+        if (!state || typeof state !== 'object') {
+            return { valid: false, formatVersion: null, issues: [{ path: '', type: null, version: null, message: 'Invalid state object' }] };
+        }
+        return this.prepareImport(state).report;
+    }
+
+    /**
+     * Migrates a state object and deserializes its commands without changing the manager.
+     * 
+     * @param {Object} state - The state object to import.
+     * @returns {Object} The validation `report`, the migrated `state`, and the deserialized
+     * `undoStack`, `redoStack` and `historyTree` (null if the state has no tree), with the
+     * `treeCommands` in the order of the tree's serialized nodes.
+     */
+    prepareImport(state) {
+        const formatVersion = state.formatVersion || 1;
+        const issues = [];
+        const prepared = { report: { valid: true, formatVersion, issues }, state, undoStack: [], redoStack: [], historyTree: null, treeCommands: [] };
+        const fail = (path, type, version, message) => {
+            issues.push({ path, type, version, message });
+            prepared.report.valid = false;
+            return prepared;
+        };
+
+        if (!Number.isInteger(formatVersion) || formatVersion < 0) {
+            return fail('', null, formatVersion, `Invalid state format version: ${formatVersion}`);
+        }
+        if (formatVersion > STATE_FORMAT_VERSION) {
+            return fail('', null, formatVersion, `State format version ${formatVersion} is newer than the supported version ${STATE_FORMAT_VERSION}`);
+        }
+
+        let migratedState = state;
+        for (let version = formatVersion; version < STATE_FORMAT_VERSION; version++) {
+            migratedState = STATE_MIGRATIONS[version](migratedState);
+        }
+        prepared.state = migratedState;
+
+        const versions = migratedState.commandVersions || {};
+        const deserializeAt = (path, serializedCmd) => {
+            try {
+                return this.deserializeCommand(serializedCmd, versions);
+            } catch (error) {
+                const type = serializedCmd && serializedCmd.type;
+                fail(path, type || null, type ? versions[type] || 1 : null, `${path}: ${error.message}`);
+                return null;
+            }
+        };
+
+        if (migratedState.historyTree) {
+            let index = 0;
+            try {
+                prepared.historyTree = HistoryTree.deserialize(migratedState.historyTree, cmd => {
+                    const command = deserializeAt(`historyTree.nodes[${index++}]`, cmd);
+                    prepared.treeCommands.push(command);
+                    return command;
+                });
+            } catch (error) {
+                fail('historyTree', null, null, `historyTree: ${error.message}`);
+            }
+        } else {
+            if (!Array.isArray(migratedState.undoStack) || !Array.isArray(migratedState.redoStack)) {
+                return fail('', null, null, 'State has no undo and redo stacks');
+            }
+            prepared.undoStack = migratedState.undoStack.map((cmd, i) => deserializeAt(`undoStack[${i}]`, cmd));
+            prepared.redoStack = migratedState.redoStack.map((cmd, i) => deserializeAt(`redoStack[${i}]`, cmd));
+            if (this.historyTree) prepared.historyTree = HistoryTree.fromStacks(prepared.undoStack, prepared.redoStack);
         }
+
+        return prepared;
     }
 
     /**
@@ -604,32 +2993,62 @@ class Oops {
     }
 }
 
+// No canExecute()/canUndo(): the checks of sub-commands only hold once the ones before them have run
 class CompositeCommand {
-    constructor(commands) {
+    /**
+     * @param {Command[]} commands - The sub-commands, in execution order.
+     * @param {Object} [options={}] - The `label`, `labelKey` and `labelParams` of the history entry.
+     */
+    constructor(commands, options = {}) {
         this.commands = commands;
+        if (options.label) this.label = options.label;
+        if (options.labelKey) this.labelKey = options.labelKey;
+        if (options.labelParams) this.labelParams = options.labelParams;
     }
 
-    execute() {
-        for (const command of this.commands) {
-            command.execute();
+    async execute() {
+        let i = 0;
+        try {
+            for (; i < this.commands.length; i++) {
+                await this.commands[i].execute();
+            }
+        } catch (error) {
+            // Revert the sub-commands that already ran so the composite is all-or-nothing
+            for (let j = i - 1; j >= 0; j--) {
+                await this.commands[j].undo();
+            }
+            throw error;
         }
     }
 
-    undo() {
-        for (let i = this.commands.length - 1; i >= 0; i--) {
-            this.commands[i].undo();
+    async undo() {
+        let i = this.commands.length - 1;
+        try {
+            for (; i >= 0; i--) {
+                await this.commands[i].undo();
+            }
+        } catch (error) {
+            for (let j = i + 1; j < this.commands.length; j++) {
+                await this.commands[j].execute();
+            }
+            throw error;
         }
     }
 
-    serialize() {
+    serialize(serializeCommand = cmd => cmd.serialize()) {
+        const commands = this.commands.map(serializeCommand);
+        if (!this.label && !this.labelKey) return { type: 'CompositeCommand', data: commands };
+        const { label, labelKey, labelParams } = this;
         return {
             type: 'CompositeCommand',
-            data: this.commands.map(cmd => cmd.serialize())
+            data: { commands, label, labelKey, labelParams }
         };
     }
 
     static deserialize(data, deserializeCommand) {
-        return new CompositeCommand(data.map(deserializeCommand));
+        // Without a label, the data is just the list of commands
+        if (Array.isArray(data)) return new CompositeCommand(data.map(deserializeCommand));
+        return new CompositeCommand(data.commands.map(deserializeCommand), data);
     }
 
     canMerge(other) {
@@ -637,5 +3056,17 @@ class CompositeCommand {
     }
 }
 
+Oops.STATE_FORMAT_VERSION = STATE_FORMAT_VERSION;
+Oops.CompositeCommand = CompositeCommand;
+Oops.PatchCommand = PatchCommand;
+Oops.InverseCommand = InverseCommand;
+Oops.UndoConflictError = UndoConflictError;
+Oops.PreconditionError = PreconditionError;
+Oops.estimateSize = estimateSize;
+Oops.HistoryOperationError = HistoryOperationError;
+Oops.mergePolicies = mergePolicies;
+Oops.snapshotPolicies = snapshotPolicies;
+Oops.StateImportError = StateImportError;
+
 // export default Oops;
 module.exports = Oops;
\ No newline at end of file
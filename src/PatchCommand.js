@@ -0,0 +1,171 @@
+const { applyPatch, clone, diff, isEqual, pathsOverlap } = require('./jsonPatch.js');
+const estimateSize = require('./estimateSize.js');
+
+/**
+ * A command that changes a target object with JSON Patch (RFC 6902) operations.
+ *
+ * @description
+ * Executing the command applies the forward patches to the target, and undoing it applies
+ * the inverse patches. Usually created with `oops.mutate()`, which records the patches from
+ * changes made to a draft, so that no `undo` has to be written by hand.
+ *
+ * @example
+ * const command = new PatchCommand(state,
+ *     [{ op: 'replace', path: '/title', value: 'New title' }],
+ *     [{ op: 'replace', path: '/title', value: 'Old title' }]);
+ */
+class PatchCommand {
+    /**
+     * @param {Object|Array} target - The object the patches apply to.
+     * @param {Object[]} patches - The operations that execute the command.
+     * @param {Object[]} inversePatches - The operations that undo the command.
+     */
+    constructor(target, patches, inversePatches) {
+        this.target = target;
+        this.patches = patches;
+        this.inversePatches = inversePatches;
+        this.recipe = null;
+    }
+
+    /**
+     * Creates a command whose patches are recorded from a recipe when it is first executed.
+     *
+     * @param {Object|Array} target - The object to change.
+     * @param {Function} recipe - A function that receives a copy of the target (the draft) and changes it.
+     * @returns {PatchCommand} The command.
+     *
+     * @description
+     * The recipe runs when the command executes rather than when it is created, so it sees the
+     * target as left by the operations queued before it. It must be synchronous.
+     */
+    static fromRecipe(target, recipe) {
+        const command = new PatchCommand(target, [], []);
+        command.recipe = recipe;
+        return command;
+    }
+
+    execute() {
+        if (this.recipe) {
+            const draft = clone(this.target);
+            const result = this.recipe(draft);
+            if (result && typeof result.then === 'function') {
+                throw new Error('Patch recipes must be synchronous');
+            }
+            this.patches = diff(this.target, draft);
+            this.inversePatches = diff(draft, this.target);
+            this.recipe = null;
+        }
+        applyPatch(this.target, this.patches);
+    }
+
+    undo() {
+        applyPatch(this.target, this.inversePatches);
+    }
+
+    /**
+     * Returns the paths the command changes.
+     *
+     * @returns {string[]} The JSON Pointers of the forward patches, without duplicates.
+     */
+    getPaths() {
+        return [...new Set(this.patches.map(patch => patch.path))];
+    }
+
+    /**
+     * Returns the resources the command touches, for undoCommand.
+     *
+     * @returns {string[]} The paths the forward and inverse patches read or write, without duplicates.
+     */
+    getResources() {
+        const patches = [...this.patches, ...this.inversePatches];
+        return [...new Set(patches.flatMap(patch => (patch.from ? [patch.path, patch.from] : [patch.path])))];
+    }
+
+    /**
+     * Returns the estimated size of the patches, without the target they apply to.
+     *
+     * @returns {number} The estimated size in bytes.
+     */
+    getSize() {
+        return estimateSize(this.patches) + estimateSize(this.inversePatches);
+    }
+
+    /**
+     * Checks whether this command can be merged with the previous one.
+     *
+     * @param {Command} other - The previous command.
+     * @returns {boolean} True if both are PatchCommands that change the same paths of the same target.
+     */
+    canMerge(other) {
+        if (!(other instanceof PatchCommand) || other.target !== this.target) return false;
+        const paths = this.getPaths();
+        const otherPaths = other.getPaths();
+        return paths.length === otherPaths.length && paths.every(path => otherPaths.includes(path));
+    }
+
+    /**
+     * Merges this command with the previous one.
+     *
+     * @param {PatchCommand} other - The previous command.
+     * @returns {PatchCommand} A command that executes both and undoes both.
+     *
+     * @description
+     * If both commands only replace values, the merged command keeps the last value and the
+     * original one. Otherwise the patches of both commands are applied in sequence.
+     */
+    merge(other) {
+        const onlyReplaces = [...other.patches, ...this.patches].every(patch => patch.op === 'replace');
+        if (onlyReplaces) {
+            return new PatchCommand(this.target, this.patches, other.inversePatches);
+        }
+        return new PatchCommand(
+            this.target,
+            [...other.patches, ...this.patches],
+            [...this.inversePatches, ...other.inversePatches]
+        );
+    }
+
+    /**
+     * Returns a version of this command that can be undone after a later command, for per-actor undo.
+     *
+     * @param {Command} later - A command that was executed after this one.
+     * @returns {PatchCommand} A command without the patches whose paths overlap those changed by
+     * `later`, so that undoing it never overwrites the later change. It has no patches at all if
+     * `later` changed everything this command did.
+     */
+    transform(later) {
+        if (!(later instanceof PatchCommand) || later.target !== this.target) return this;
+        const laterPaths = later.getPaths();
+        const isKept = patch => !laterPaths.some(path => pathsOverlap(path, patch.path));
+        const inversePatches = this.inversePatches.filter(isKept);
+        if (inversePatches.length === this.inversePatches.length) return this;
+        return new PatchCommand(this.target, this.patches.filter(isKept), inversePatches);
+    }
+
+    /**
+     * Returns a version of this command that no longer depends on an earlier command that was undone,
+     * for per-actor undo.
+     *
+     * @param {Command} undone - The earlier command.
+     * @returns {PatchCommand} A command whose undo restores the values from before `undone` wherever
+     * this command overwrote a value set by `undone`.
+     */
+    rebase(undone) {
+        if (!(undone instanceof PatchCommand) || undone.target !== this.target) return this;
+        let changed = false;
+        const inversePatches = this.inversePatches.map(patch => {
+            const written = undone.patches.find(p => p.path === patch.path && (p.op === 'add' || p.op === 'replace'));
+            const original = undone.inversePatches.find(p => p.path === patch.path);
+            if (!written || !original || !isEqual(written.value, patch.value)) return patch;
+            changed = true;
+            return original;
+        });
+        return changed ? new PatchCommand(this.target, this.patches, inversePatches) : this;
+    }
+
+    serialize() {
+        throw new Error('PatchCommand can only be serialized by an Oops instance its target is registered with');
+    }
+}
+
+module.exports = PatchCommand;
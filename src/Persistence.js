@@ -0,0 +1,188 @@
+/**
+ * Saves the history of an Oops instance to a storage adapter and restores it again.
+ *
+ * @description
+ * Created by Oops when the `persistence` option is given, and available as `oops.persistence`.
+ * With autosave enabled, every change to the history schedules a save, and changes that happen
+ * within `debounce` milliseconds of each other are written once.
+ */
+class Persistence {
+    /**
+     * @param {Oops} manager - The undo/redo manager to persist.
+     * @param {Object} options - Persistence options.
+     * @param {Object} options.adapter - The storage adapter, e.g. a MemoryStorageAdapter or WebStorageAdapter.
+     * @param {string} [options.key='oops-state'] - The key to save the history under.
+     * @param {boolean} [options.autosave=true] - If true, the history is saved automatically after every change.
+     * @param {number} [options.debounce=1000] - How long to wait for further changes before saving, in milliseconds.
+     * @throws {Error} If no adapter is given.
+     */
+    constructor(manager, options = {}) {
+        if (!options.adapter) throw new Error('Persistence requires a storage adapter');
+        this.manager = manager;
+        this.adapter = options.adapter;
+        this.key = options.key || 'oops-state';
+        this.debounce = options.debounce ?? 1000;
+        this.saveTimer = null;
+        this.restoring = false;
+        this.lastSave = Promise.resolve();
+        this.changeListener = () => {
+            if (!this.restoring) this.scheduleSave();
+        };
+
+        if (options.autosave !== false) this.start();
+    }
+
+    /**
+     * Starts saving automatically after every change.
+     */
+    start() {
+        this.manager.addChangeListener(this.changeListener);
+    }
+
+    /**
+     * Stops saving automatically. A save that is already scheduled is cancelled; call flush first to keep it.
+     */
+    stop() {
+        this.manager.removeChangeListener(this.changeListener);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    }
+
+    /**
+     * Schedules a save after the debounce delay, replacing any save that is already scheduled.
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(() => {});
+        }, this.debounce);
+    }
+
+    /**
+     * Saves a scheduled change right away.
+     *
+     * @returns {Promise<void>} A promise that resolves once pending saves are written.
+     *
+     * @example
+     * window.addEventListener('beforeunload', () => undoRedoManager.persistence.flush());
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this.save().catch(() => {});
+        }
+        await this.lastSave;
+    }
+
+    /**
+     * Saves the current history.
+     *
+     * @returns {Promise<void>} A promise that resolves once the history is written.
+     * @throws {Error} If serialization or the adapter fails (as a rejection). The failure is also
+     * emitted as an `error` event with the operation `save`.
+     */
+    save() {
+        // Saves are chained so that an older state never overwrites a newer one
+        const run = this.lastSave.then(async () => {
+            try {
+                await this.adapter.save(this.key, this.manager.serializeState());
+            } catch (error) {
+                console.error("Error saving history:", error);
+                this.manager.emit('error', { operation: 'save', command: null, error });
+                throw error;
+            }
+        });
+        this.lastSave = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Restores the saved history.
+     *
+     * @returns {Promise<Object>} A promise that resolves with the outcome: `restored` is true if the saved
+     * history was imported. Otherwise `reason` is `'empty'` if nothing was saved, `'corrupt'` if the saved
+     * data could not be read, or `'invalid'` if it could not be imported, in which case `report` holds the
+     * validation report. `error` holds the underlying error, if any.
+     *
+     * @description
+     * Saved data that cannot be restored never replaces the current history. It is copied to
+     * `<key>.corrupt` so that it is not lost when the next autosave overwrites it, and the problem
+     * is emitted as an `error` event with the operation `restore`. The import waits for operations
+     * that are still in flight.
+     *
+     * @example
+     * const { restored } = await undoRedoManager.persistence.restore();
+     */
+    async restore() {
+        let json;
+        try {
+            json = await this.adapter.load(this.key);
+        } catch (error) {
+            return this.failRestore({ restored: false, reason: 'corrupt', error });
+        }
+        if (json === null || json === undefined) {
+            return { restored: false, reason: 'empty' };
+        }
+
+        let state;
+        try {
+            state = JSON.parse(json);
+        } catch (error) {
+            return this.failRestore({ restored: false, reason: 'corrupt', error }, json);
+        }
+
+        const report = this.manager.validateState(state);
+        if (!report.valid) {
+            const error = new Error('Saved history is invalid: ' + report.issues.map(issue => issue.message).join('; '));
+            return this.failRestore({ restored: false, reason: 'invalid', report, error }, json);
+        }
+
+        return this.manager.enqueue(() => {
+            this.restoring = true;
+            try {
+                this.manager.importState(state);
+                return { restored: true, report };
+            } catch (error) {
+                return this.failRestore({ restored: false, reason: 'invalid', report, error }, json);
+            } finally {
+                this.restoring = false;
+            }
+        });
+    }
+
+    /**
+     * Reports a failed restore and keeps a copy of the unreadable data.
+     *
+     * @param {Object} result - The outcome to return from restore.
+     * @param {string} [json] - The saved data, if it could be loaded.
+     * @returns {Promise<Object>} A promise that resolves with the outcome.
+     */
+    async failRestore(result, json) {
+        console.error("Error restoring history:", result.error);
+        this.manager.emit('error', { operation: 'restore', command: null, error: result.error });
+        if (json !== undefined) {
+            try {
+                await this.adapter.save(`${this.key}.corrupt`, json);
+            } catch (error) {
+                // Keeping the copy is best effort; the current history is unaffected either way
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Deletes the saved history.
+     *
+     * @returns {Promise<void>} A promise that resolves once the saved history is removed.
+     */
+    async remove() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.lastSave;
+        await this.adapter.remove(this.key);
+    }
+}
+
+module.exports = Persistence;
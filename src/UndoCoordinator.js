@@ -0,0 +1,349 @@
+const Oops = require('./Oops.js');
+const { ScopeConflictError } = require('./errors.js');
+
+/**
+ * The entry a command that spans several scopes has in one of their histories.
+ *
+ * @description
+ * Every affected scope gets its own entry, and all entries share one group. The command
+ * itself runs only once: the first entry to be undone or redone applies the change and
+ * moves the other entries along, which then do nothing when their scope moves them.
+ */
+class ScopedCommand {
+    constructor(group, scope) {
+        this.group = group;
+        this.scope = scope;
+        this.label = group.label;
+        this.labelKey = group.command.labelKey;
+        this.labelParams = group.command.labelParams;
+    }
+
+    async execute() {
+        if (this.group.applied) return;
+        if (this.group.recorded) this.checkOtherScopes('redo', manager => manager.redoStack);
+        await this.group.command.execute();
+        this.group.applied = true;
+        await this.moveOtherScopes(manager => manager.performRedo(1), 'redo');
+    }
+
+    async undo() {
+        if (!this.group.applied) return;
+        this.checkOtherScopes('undo', manager => manager.undoStack);
+        await this.group.command.undo();
+        this.group.applied = false;
+        await this.moveOtherScopes(manager => manager.performUndo(1), 'undo');
+    }
+
+    /**
+     * Makes sure that the entries in the other scopes are next in line.
+     *
+     * @param {string} operation - 'undo' or 'redo'.
+     * @param {Function} getStack - Returns the stack of a scope's manager that the entry has to be on top of.
+     * @throws {ScopeConflictError} If another scope has later changes or discarded its entry.
+     */
+    checkOtherScopes(operation, getStack) {
+        const conflicts = [];
+        for (const entry of this.group.entries) {
+            if (entry === this) continue;
+            const stack = getStack(entry.scope.manager);
+            if (stack[stack.length - 1] !== entry || entry.scope.manager.isExecuting) {
+                conflicts.push(entry.scope.name);
+            }
+        }
+        if (conflicts.length > 0) {
+            throw new ScopeConflictError(`Cannot ${operation} "${this.label}": scope ${conflicts.join(', ')} has changed since`, operation, conflicts);
+        }
+    }
+
+    /**
+     * Moves the entries in the other scopes after the command was undone or redone.
+     *
+     * @param {Function} move - Undoes or redoes the top entry of a scope's manager.
+     * @param {string} type - The event to emit on each scope: 'undo' or 'redo'.
+     * @returns {Promise<void>} A promise that resolves once every scope has been updated.
+     */
+    async moveOtherScopes(move, type) {
+        if (!this.group.recorded) return;
+        for (const entry of this.group.entries) {
+            if (entry === this) continue;
+            const manager = entry.scope.manager;
+            const commands = await move(manager);
+            manager.emit(type, { commands, steps: 1 });
+            manager.notifyListeners();
+        }
+    }
+
+    serialize() {
+        throw new Error('Commands that span several scopes cannot be serialized');
+    }
+}
+
+/**
+ * Owns one Oops instance per named scope, such as the panes of an editor, and routes
+ * undo and redo to the scope that has focus.
+ *
+ * @description
+ * Commands that affect several scopes are recorded in each of their histories, so they can be
+ * undone from any of them. Undoing or redoing such a command from one scope moves it in the
+ * others too. This is only possible while it is the next command to undo or redo in every
+ * affected scope; otherwise the operation fails with a ScopeConflictError and nothing changes.
+ *
+ * @example
+ * const coordinator = new UndoCoordinator();
+ * coordinator.createScope('canvas');
+ * coordinator.createScope('layers');
+ * coordinator.focus('canvas');
+ * await coordinator.execute(new DeleteShapeCommand(shape), { scopes: ['canvas', 'layers'] });
+ * coordinator.focus('layers');
+ * await coordinator.undo(); // restores the shape in both histories
+ */
+class UndoCoordinator {
+    /**
+     * @param {Object} [options={}] - Default options for the Oops instances of new scopes.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.scopes = new Map();
+        this.focusedScope = null;
+        this.changeListeners = new Set();
+        this.emptyHistory = new Oops(options); // provides the state while no scope has focus
+    }
+
+    /**
+     * Creates a scope with its own history.
+     *
+     * @param {string} name - The name of the scope.
+     * @param {Object} [options={}] - Options for the scope's Oops instance, added to the coordinator's defaults.
+     * @returns {Oops} The scope's Oops instance.
+     * @throws {Error} If a scope with the same name exists.
+     */
+    createScope(name, options = {}) {
+        if (this.scopes.has(name)) throw new Error(`Scope already exists: ${name}`);
+        const manager = new Oops({ ...this.options, ...options });
+        manager.addChangeListener(() => {
+            if (this.focusedScope === name) this.notifyListeners();
+        });
+        this.scopes.set(name, { name, manager });
+        return manager;
+    }
+
+    /**
+     * Removes a scope, e.g. when its pane is closed.
+     *
+     * @param {string} name - The name of the scope.
+     */
+    removeScope(name) {
+        this.scopes.delete(name);
+        if (this.focusedScope === name) this.focus(null);
+    }
+
+    /**
+     * Returns the Oops instance of a scope.
+     *
+     * @param {string} name - The name of the scope.
+     * @returns {Oops} The scope's Oops instance.
+     * @throws {Error} If the scope does not exist.
+     */
+    getScope(name) {
+        const scope = this.scopes.get(name);
+        if (!scope) throw new Error(`Unknown scope: ${name}`);
+        return scope.manager;
+    }
+
+    /**
+     * Gives a scope focus, so that undo and redo apply to it.
+     *
+     * @param {string|null} name - The name of the scope, or null to remove focus.
+     * @throws {Error} If the scope does not exist.
+     */
+    focus(name) {
+        if (name !== null) this.getScope(name);
+        this.focusedScope = name;
+        this.notifyListeners();
+    }
+
+    /**
+     * Returns the Oops instance of the focused scope.
+     *
+     * @returns {Oops} The focused scope's Oops instance.
+     * @throws {Error} If no scope has focus.
+     */
+    getFocusedScope() {
+        if (this.focusedScope === null) throw new Error('No scope has focus');
+        return this.getScope(this.focusedScope);
+    }
+
+    /**
+     * Executes a command in one or more scopes.
+     *
+     * @param {Command|string} command - The command to execute.
+     * @param {Object} [options={}] - Execution options, as accepted by Oops#execute.
+     * @param {string[]} [options.scopes] - The scopes the command affects. Defaults to the focused scope.
+     * @returns {Promise<*>} A promise that resolves with the result of the command execution, if any.
+     * @throws {Error} If a scope does not exist, if no scope is given and none has focus, or if the
+     * command fails (as a rejection).
+     *
+     * @description
+     * A command that affects several scopes runs once and is then recorded in the history of
+     * each of them. If it can't be recorded in one of them, e.g. because a middleware throws, it is
+     * removed from the others and undone again, so that it is recorded in all of its scopes or none.
+     */
+    async execute(command, options = {}) {
+        const { scopes = [this.focusedScope], ...executeOptions } = options;
+        if (scopes.length === 0) throw new Error('A command must affect at least one scope');
+        if (scopes.length === 1) {
+            const manager = scopes[0] === null ? this.getFocusedScope() : this.getScope(scopes[0]);
+            return manager.execute(command, executeOptions);
+        }
+
+        const [first, ...others] = scopes.map(name => ({ name, manager: this.getScope(name) }));
+        const resolved = first.manager.resolveCommand(command);
+        const group = {
+            command: resolved,
+            label: executeOptions.label || first.manager.getCommandLabel(resolved),
+            entries: [],
+            applied: false,
+            recorded: false
+        };
+        group.entries = [first, ...others].map(scope => new ScopedCommand(group, scope));
+
+        const result = await first.manager.execute(group.entries[0], executeOptions);
+        const outcomes = await Promise.allSettled(others.map((scope, i) => scope.manager.execute(group.entries[i + 1], executeOptions)));
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) {
+            await this.discard(group);
+            throw failure.reason;
+        }
+        group.recorded = true;
+        return result;
+    }
+
+    /**
+     * Reverts a command that spans several scopes after it could not be recorded in all of them.
+     *
+     * @param {Object} group - The group of the command's entries.
+     * @returns {Promise<void>} A promise that resolves once the entries are removed and the command is undone.
+     *
+     * @description
+     * The redo history that recording the entries cleared is not restored.
+     */
+    async discard(group) {
+        for (const entry of group.entries) {
+            const manager = entry.scope.manager;
+            await manager.enqueue(() => {
+                const index = manager.undoStack.lastIndexOf(entry);
+                if (index === -1) return;
+                // Positions at the entry move to the entry before it, as for a removed stale command
+                manager.removeStaleCommand(manager.undoStack, index);
+                manager.notifyListeners();
+            });
+        }
+        if (group.applied) {
+            await group.command.undo();
+            group.applied = false;
+        }
+    }
+
+    /**
+     * Undoes commands in the focused scope.
+     *
+     * @param {number} [steps=1] - The number of commands to undo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been undone.
+     * @throws {Error} If no scope has focus.
+     * @throws {HistoryOperationError} If a command fails (as a rejection). If a command shared with
+     * other scopes can't be undone there, its `cause` is a ScopeConflictError.
+     */
+    undo(steps = 1) {
+        return this.getFocusedScope().undo(steps);
+    }
+
+    /**
+     * Redoes commands in the focused scope.
+     *
+     * @param {number} [steps=1] - The number of commands to redo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been redone.
+     * @throws {Error} If no scope has focus.
+     * @throws {HistoryOperationError} If a command fails (as a rejection). If a command shared with
+     * other scopes can't be redone there, its `cause` is a ScopeConflictError.
+     */
+    redo(steps = 1) {
+        return this.getFocusedScope().redo(steps);
+    }
+
+    /**
+     * Checks if the focused scope has actions that can be undone.
+     *
+     * @returns {boolean} True if a scope has focus and can undo.
+     */
+    get canUndo() {
+        return this.focusedScope !== null && this.getFocusedScope().canUndo;
+    }
+
+    /**
+     * Checks if the focused scope has actions that can be redone.
+     *
+     * @returns {boolean} True if a scope has focus and can redo.
+     */
+    get canRedo() {
+        return this.focusedScope !== null && this.getFocusedScope().canRedo;
+    }
+
+    /**
+     * Adds a listener that is notified when focus moves or the focused scope changes.
+     *
+     * @param {Function} listener - Called with the state of the focused scope, as returned by
+     * Oops#getState, and its name as `scope`. All flags are false if no scope has focus.
+     *
+     * @example
+     * coordinator.addChangeListener(({ scope, canUndo, canRedo }) => {
+     *     undoButton.disabled = !canUndo;
+     * });
+     */
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    /**
+     * Removes a listener added with addChangeListener.
+     *
+     * @param {Function} listener - The listener to remove.
+     */
+    removeChangeListener(listener) {
+        this.changeListeners.delete(listener);
+    }
+
+    /**
+     * Returns the state of the focused scope.
+     *
+     * @returns {Object} The state, as returned by Oops#getState, with the name of the focused scope as `scope`.
+     * Without focus, `scope` is null and the state is that of an empty history.
+     */
+    getState() {
+        const manager = this.focusedScope === null ? this.emptyHistory : this.getFocusedScope();
+        return { scope: this.focusedScope, ...manager.getState() };
+    }
+
+    /**
+     * Returns the history of the focused scope.
+     *
+     * @returns {Object[]} The entries, as returned by Oops#getHistory, or an empty array if no scope has focus.
+     */
+    getHistory() {
+        return this.focusedScope === null ? [] : this.getFocusedScope().getHistory();
+    }
+
+    /**
+     * Notifies all change listeners of the current state.
+     *
+     * @description
+     * Called when focus moves and when the focused scope changes.
+     */
+    notifyListeners() {
+        const state = this.getState();
+        for (const listener of this.changeListeners) {
+            listener(state);
+        }
+    }
+}
+
+module.exports = UndoCoordinator;
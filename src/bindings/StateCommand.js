@@ -0,0 +1,81 @@
+const { applyPatch, clone, diff } = require('../jsonPatch.js');
+const estimateSize = require('../estimateSize.js');
+
+/**
+ * A command that records a change of a state store, created by the Redux and Zustand bindings.
+ *
+ * @description
+ * The change has already been applied to the store when the command is created, so its first
+ * execution does nothing. Undoing and redoing write the recorded state back to the store.
+ * The command either keeps the state before and after the change, which costs little for
+ * immutable stores that share structure between states, or only a structural diff of both.
+ */
+class StateCommand {
+    /**
+     * @param {Object} options - The change.
+     * @param {*} options.before - The state (or slice) before the change.
+     * @param {*} options.after - The state (or slice) after the change.
+     * @param {Function} options.read - Returns the current state (or slice) of the store.
+     * @param {Function} options.write - Replaces the state (or slice) of the store.
+     * @param {boolean} [options.diff=false] - If true, keeps JSON Patch operations instead of both states.
+     * @param {string} [options.label] - The label of the history entry, e.g. the action type.
+     * @param {*} [options.action] - The action that caused the change.
+     */
+    constructor({ before, after, read, write, diff: useDiff = false, label, action }) {
+        this.read = read;
+        this.write = write;
+        this.label = label;
+        this.action = action;
+        this.applied = true;
+        if (useDiff) {
+            this.patches = diff(before, after);
+            this.inversePatches = diff(after, before);
+        } else {
+            this.before = before;
+            this.after = after;
+        }
+    }
+
+    execute() {
+        if (this.applied) return;
+        this.write(this.patches ? this.patch(this.patches) : this.after);
+        this.applied = true;
+    }
+
+    undo() {
+        this.write(this.patches ? this.patch(this.inversePatches) : this.before);
+        this.applied = false;
+    }
+
+    /**
+     * Applies patches to a copy of the current state.
+     *
+     * @param {Object[]} patches - The operations to apply.
+     * @returns {*} The patched copy.
+     */
+    patch(patches) {
+        const [first] = patches;
+        // A primitive, or a value of a different type, replaces the whole state
+        if (first && first.path === '') return clone(first.value);
+        const state = clone(this.read());
+        applyPatch(state, patches);
+        return state;
+    }
+
+    /**
+     * Returns the estimated size of the recorded states or patches.
+     *
+     * @returns {number} The estimated size in bytes.
+     */
+    getSize() {
+        return this.patches
+            ? estimateSize(this.patches) + estimateSize(this.inversePatches)
+            : estimateSize([this.before, this.after]);
+    }
+
+    serialize() {
+        throw new Error('StateCommand cannot be serialized');
+    }
+}
+
+module.exports = StateCommand;
@@ -0,0 +1,26 @@
+const { useMemo, useSyncExternalStore } = require('react');
+const createStore = require('./store.js');
+
+/**
+ * A React hook that re-renders the component whenever the history changes.
+ *
+ * @param {Oops|UndoCoordinator} manager - The manager to observe.
+ * @returns {Object} The snapshot of createStore (`canUndo`, `canRedo`, `undoLabel`, `redoLabel`,
+ * `history` and the rest of the state) together with `undo`, `redo` and `execute` bound to the manager.
+ * The object only changes when the state does.
+ *
+ * @example
+ * const { useOops } = require('@heyputer/oops.js/src/bindings/react.js');
+ *
+ * function Toolbar({ undoRedoManager }) {
+ *     const { canUndo, undoLabel, undo } = useOops(undoRedoManager);
+ *     return <button disabled={!canUndo} onClick={() => undo()}>Undo {undoLabel}</button>;
+ * }
+ */
+function useOops(manager) {
+    const store = useMemo(() => createStore(manager), [manager]);
+    const snapshot = useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
+    return useMemo(() => ({ ...snapshot, ...store.actions }), [snapshot, store]);
+}
+
+module.exports = { useOops };
@@ -0,0 +1,75 @@
+const StateCommand = require('./StateCommand.js');
+
+// The action that undo and redo dispatch to write a recorded state back
+const RESTORE = '@@oops/RESTORE';
+
+/**
+ * Creates Redux middleware that records dispatched actions as undoable commands.
+ *
+ * @param {Oops} manager - The undo/redo manager to record the commands in.
+ * @param {Object} [options={}] - Middleware options.
+ * @param {Function} [options.filter=() => true] - `(action) => boolean`. Only actions it returns true for are undoable.
+ * @param {Function} [options.select=state => state] - Returns the part of the state to record.
+ * @param {boolean} [options.diff=false] - If true, commands keep a structural diff instead of both states.
+ * @param {Function} [options.label=action => action.type] - Returns the label of the history entry.
+ * @returns {Function} The middleware, for `applyMiddleware`.
+ *
+ * @description
+ * Undo and redo dispatch a restore action with the recorded state, so the root reducer has to be
+ * wrapped with withUndoRestore. Actions that do not change the recorded state are not recorded.
+ * Actions dispatched between beginTransaction and commitTransaction become a single history entry.
+ *
+ * @example
+ * const { createOopsMiddleware, withUndoRestore } = require('@heyputer/oops.js/src/bindings/redux.js');
+ *
+ * const store = createStore(
+ *     withUndoRestore(rootReducer),
+ *     applyMiddleware(createOopsMiddleware(undoRedoManager, { filter: action => action.type.startsWith('doc/') }))
+ * );
+ */
+function createOopsMiddleware(manager, options = {}) {
+    const { filter = () => true, select = state => state, diff = false, label = action => action.type } = options;
+
+    return store => next => action => {
+        if (!action || action.type === RESTORE || !filter(action)) return next(action);
+
+        const before = select(store.getState());
+        const result = next(action);
+        const after = select(store.getState());
+        if (before === after) return result;
+
+        const command = new StateCommand({
+            before,
+            after,
+            diff,
+            action,
+            label: label(action),
+            read: () => select(store.getState()),
+            write: state => store.dispatch({ type: RESTORE, payload: state })
+        });
+        // Failures are reported through the manager's error event
+        manager.execute(command).catch(() => {});
+        return result;
+    };
+}
+
+/**
+ * Wraps a reducer so that it handles the restore actions dispatched by undo and redo.
+ *
+ * @param {Function} reducer - The root reducer.
+ * @param {Object} [options={}] - Options.
+ * @param {Function} [options.restore=(state, recorded) => recorded] - Returns the new state from the
+ * current state and the recorded one. Needed if the middleware only records part of the state.
+ * @returns {Function} The wrapped reducer.
+ *
+ * @example
+ * const reducer = withUndoRestore(rootReducer, {
+ *     restore: (state, doc) => ({ ...state, doc })
+ * });
+ */
+function withUndoRestore(reducer, options = {}) {
+    const { restore = (state, recorded) => recorded } = options;
+    return (state, action) => (action.type === RESTORE ? restore(state, action.payload) : reducer(state, action));
+}
+
+module.exports = { createOopsMiddleware, withUndoRestore, RESTORE };
@@ -0,0 +1,87 @@
+/**
+ * Reads the current state of a manager into a frozen snapshot.
+ *
+ * @param {Oops|UndoCoordinator} manager - The manager to read.
+ * @returns {Object} The state from getState and the `history` as plain entries.
+ */
+function readSnapshot(manager) {
+    const history = manager.getHistory().map(({ index, id, label, labelKey, labelParams, timestamp, actor, undone, current }) => (
+        Object.freeze({ index, id, label, labelKey, labelParams, timestamp, actor, undone, current })
+    ));
+    return Object.freeze({
+        ...manager.getState(),
+        history: Object.freeze(history)
+    });
+}
+
+function isSameSnapshot(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => {
+        if (key !== 'history') return a[key] === b[key];
+        return a.history.length === b.history.length && a.history.every((entry, i) => (
+            Object.keys(entry).every(field => entry[field] === b.history[i][field])
+        ));
+    });
+}
+
+/**
+ * Adapts an Oops instance or UndoCoordinator to the `subscribe`/`getSnapshot` contract of React's
+ * useSyncExternalStore, which the framework bindings build on.
+ *
+ * @param {Oops|UndoCoordinator} manager - The manager to observe.
+ * @returns {Object} The store: `subscribe(listener)`, which returns a function that unsubscribes,
+ * `getSnapshot()`, and `actions` with `undo`, `redo` and `execute` bound to the manager.
+ *
+ * @description
+ * The snapshot is a frozen object with the state from getState, including the labels of the entries
+ * that undo and redo would apply next (`undoLabel` and `redoLabel`), and the `history` as returned by
+ * getHistory, without the command objects. getSnapshot returns the same object until the state
+ * changes, so it can be compared by identity. Changes made with the `silent` option are not seen
+ * until the next notification.
+ *
+ * @example
+ * const store = Oops.createStore(undoRedoManager);
+ * const unsubscribe = store.subscribe(() => render(store.getSnapshot()));
+ */
+function createStore(manager) {
+    const listeners = new Set();
+    let snapshot = null;
+    let stale = true;
+
+    const handleChange = () => {
+        stale = true;
+        for (const listener of listeners) {
+            listener();
+        }
+    };
+
+    return {
+        subscribe(listener) {
+            if (listeners.size === 0) manager.addChangeListener(handleChange);
+            listeners.add(listener);
+            return () => {
+                listeners.delete(listener);
+                if (listeners.size === 0) manager.removeChangeListener(handleChange);
+            };
+        },
+
+        getSnapshot() {
+            // Without subscribers nothing marks the snapshot as stale, so it is read every time
+            if (stale || listeners.size === 0) {
+                const next = readSnapshot(manager);
+                if (!snapshot || !isSameSnapshot(snapshot, next)) snapshot = next;
+                stale = false;
+            }
+            return snapshot;
+        },
+
+        actions: {
+            undo: (steps) => manager.undo(steps),
+            redo: (steps) => manager.redo(steps),
+            execute: (command, options) => manager.execute(command, options)
+        }
+    };
+}
+
+module.exports = createStore;
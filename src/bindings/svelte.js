@@ -0,0 +1,36 @@
+const createStore = require('./store.js');
+
+/**
+ * Creates a Svelte readable store of the history.
+ *
+ * @param {Oops|UndoCoordinator} manager - The manager to observe.
+ * @returns {Object} A store that follows the Svelte store contract: `subscribe(run)` calls `run` with
+ * the snapshot of createStore now and after every change, and returns a function that unsubscribes.
+ * It also has `undo`, `redo` and `execute` bound to the manager.
+ *
+ * @example
+ * // history.js
+ * const { createOopsStore } = require('@heyputer/oops.js/src/bindings/svelte.js');
+ * export const history = createOopsStore(undoRedoManager);
+ *
+ * // Toolbar.svelte
+ * // <button disabled={!$history.canUndo} on:click={() => history.undo()}>Undo {$history.undoLabel}</button>
+ */
+function createOopsStore(manager) {
+    const store = createStore(manager);
+    return {
+        subscribe(run) {
+            let last = store.getSnapshot();
+            run(last);
+            return store.subscribe(() => {
+                const snapshot = store.getSnapshot();
+                if (snapshot === last) return;
+                last = snapshot;
+                run(snapshot);
+            });
+        },
+        ...store.actions
+    };
+}
+
+module.exports = { createOopsStore };
@@ -0,0 +1,28 @@
+const { getCurrentScope, onScopeDispose, shallowReadonly, shallowRef } = require('vue');
+const createStore = require('./store.js');
+
+/**
+ * A Vue composable that exposes the history as a read-only ref.
+ *
+ * @param {Oops|UndoCoordinator} manager - The manager to observe.
+ * @returns {Object} `state`, a read-only ref holding the snapshot of createStore, `undo`, `redo` and
+ * `execute` bound to the manager, and `stop()`, which stops updating `state`. Inside a component or
+ * effect scope, updates stop automatically when it is disposed.
+ *
+ * @example
+ * const { useOops } = require('@heyputer/oops.js/src/bindings/vue.js');
+ *
+ * const { state, undo } = useOops(undoRedoManager);
+ * // <button :disabled="!state.canUndo" @click="undo()">Undo {{ state.undoLabel }}</button>
+ */
+function useOops(manager) {
+    const store = createStore(manager);
+    const state = shallowRef(store.getSnapshot());
+    const stop = store.subscribe(() => {
+        state.value = store.getSnapshot();
+    });
+    if (getCurrentScope()) onScopeDispose(stop);
+    return { state: shallowReadonly(state), ...store.actions, stop };
+}
+
+module.exports = { useOops };
@@ -0,0 +1,65 @@
+const StateCommand = require('./StateCommand.js');
+
+/**
+ * Zustand middleware that records state changes as undoable commands.
+ *
+ * @param {Oops} manager - The undo/redo manager to record the commands in.
+ * @param {Object} [options={}] - Middleware options.
+ * @param {Function} [options.filter=() => true] - `(actionName) => boolean`. Only changes it returns true for
+ * are undoable. `actionName` is the third argument of `set`, as used by the devtools middleware, or `'setState'`.
+ * @param {Function} [options.select=state => state] - Returns the part of the state to record.
+ * @param {Function} [options.restore=(state, recorded) => recorded] - Returns the new state from the current
+ * state and the recorded one. Needed if only part of the state is recorded.
+ * @param {boolean} [options.diff=false] - If true, commands keep a structural diff instead of both states.
+ * @returns {Function} A function that wraps the store's state creator.
+ *
+ * @description
+ * Every call to `set` or `setState` that changes the recorded state is recorded; undo and redo write
+ * the recorded state back without being recorded themselves. Changes made between beginTransaction and
+ * commitTransaction become a single history entry.
+ *
+ * @example
+ * const { undoable } = require('@heyputer/oops.js/src/bindings/zustand.js');
+ *
+ * const useStore = create(undoable(undoRedoManager)((set) => ({
+ *     count: 0,
+ *     increment: () => set(state => ({ count: state.count + 1 }), false, 'increment')
+ * })));
+ */
+function undoable(manager, options = {}) {
+    const {
+        filter = () => true,
+        select = state => state,
+        restore = (state, recorded) => recorded,
+        diff = false
+    } = options;
+
+    return createState => (set, get, api) => {
+        const recordingSet = (partial, replace, action) => {
+            const name = action === undefined ? 'setState' : (action.type || String(action));
+            if (!filter(name)) return set(partial, replace, action);
+
+            const before = select(get());
+            set(partial, replace, action);
+            const after = select(get());
+            if (before === after) return;
+
+            const command = new StateCommand({
+                before,
+                after,
+                diff,
+                action,
+                label: name,
+                read: () => select(get()),
+                write: state => set(restore(get(), state), true)
+            });
+            // Failures are reported through the manager's error event
+            manager.execute(command).catch(() => {});
+        };
+
+        api.setState = recordingSet;
+        return createState(recordingSet, get, api);
+    };
+}
+
+module.exports = { undoable };
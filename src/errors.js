@@ -0,0 +1,139 @@
+/**
+ * Thrown when an undo, redo or history jump fails partway through.
+ *
+ * @description
+ * Commands that had already been applied by the failed operation are reverted in reverse
+ * order, so the operation either completes fully or leaves the history where it started.
+ * If reverting fails as well, `rolledBack` is false and the stacks reflect the commands
+ * that are actually applied.
+ *
+ * @property {string} operation - The operation that failed: 'undo', 'redo' or 'jump'.
+ * @property {Command} command - The command whose undo or execute threw.
+ * @property {Command[]} completed - The commands the operation had already applied, in order.
+ * @property {boolean} rolledBack - Whether all completed commands were reverted.
+ * @property {Error|null} rollbackError - The error that stopped the rollback, if any.
+ * @property {Object} state - The manager state after the rollback, as returned by getState.
+ * @property {Error} cause - The original error.
+ */
+class HistoryOperationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'HistoryOperationError';
+        this.operation = details.operation;
+        this.command = details.command;
+        this.completed = details.completed || [];
+        this.rolledBack = details.rolledBack;
+        this.rollbackError = details.rollbackError || null;
+        this.state = details.state;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Thrown when importState cannot import a state object.
+ *
+ * @description
+ * The report lists every command that could not be migrated or deserialized, so that
+ * all problems with a saved document can be shown at once.
+ *
+ * @property {Object} report - The validation report, as returned by validateState.
+ */
+class StateImportError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'StateImportError';
+        this.report = report;
+    }
+}
+
+/**
+ * Thrown when a command shared by several scopes of an UndoCoordinator can't be undone or
+ * redone, because it is not the next command to undo or redo in all of them.
+ *
+ * @description
+ * Nothing is changed in any scope. It is the `cause` of the HistoryOperationError that the
+ * undo or redo rejects with.
+ *
+ * @property {string} operation - The operation that failed: 'undo' or 'redo'.
+ * @property {string[]} scopes - The scopes that have changed since the command was recorded.
+ */
+class ScopeConflictError extends Error {
+    constructor(message, operation, scopes) {
+        super(message);
+        this.name = 'ScopeConflictError';
+        this.operation = operation;
+        this.scopes = scopes;
+    }
+}
+
+/**
+ * Thrown when undoCommand can't revert a command because later commands touch the same resources.
+ *
+ * @property {Object} report - The report, as returned by checkUndoCommand, listing the conflicting commands.
+ */
+class UndoConflictError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'UndoConflictError';
+        this.report = report;
+    }
+}
+
+/**
+ * Thrown when a command can't run because its `canExecute()` or `canUndo()` check returned false,
+ * e.g. because the element it changes was deleted.
+ *
+ * @description
+ * Undo and redo report it as the `cause` of a HistoryOperationError when the `stalePolicy` is 'error'.
+ *
+ * @property {string} operation - The operation that was refused: 'execute', 'undo' or 'redo'.
+ * @property {Command} command - The command whose check failed.
+ */
+class PreconditionError extends Error {
+    constructor(message, operation, command) {
+        super(message);
+        this.name = 'PreconditionError';
+        this.operation = operation;
+        this.command = command;
+    }
+}
+
+/**
+ * Thrown when HistorySync refuses an undo or redo because another tab changed the shared history
+ * after it was requested.
+ *
+ * @description
+ * Nothing is changed in any tab. Requesting the operation again applies it to the current history.
+ *
+ * @property {string} operation - The operation that was refused: 'undo' or 'redo'.
+ */
+class SyncConflictError extends Error {
+    constructor(message, operation) {
+        super(message);
+        this.name = 'SyncConflictError';
+        this.operation = operation;
+    }
+}
+
+/**
+ * Thrown by Journal.replay when a replayed step fails or leaves a different history than it did
+ * when it was recorded.
+ *
+ * @property {Object} entry - The journal entry of the step.
+ * @property {Object|null} expected - The history recorded after the step, with `undoStackSize`,
+ * `redoStackSize` and the serialized `top` command.
+ * @property {Object|null} actual - The history after replaying the step, or null if the step failed.
+ * @property {Error|null} cause - The error thrown by the step, if it failed.
+ */
+class ReplayMismatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ReplayMismatchError';
+        this.entry = details.entry;
+        this.expected = details.expected || null;
+        this.actual = details.actual || null;
+        this.cause = details.cause || null;
+    }
+}
+
+module.exports = { HistoryOperationError, StateImportError, ScopeConflictError, UndoConflictError, PreconditionError, SyncConflictError, ReplayMismatchError };
@@ -0,0 +1,63 @@
+/**
+ * Estimates how many bytes an object occupies in memory.
+ *
+ * @param {*} value - The value to measure.
+ * @returns {number} The estimated size in bytes.
+ *
+ * @description
+ * Strings count two bytes per character, numbers eight bytes, and binary data such as
+ * ArrayBuffers and typed arrays their byte length. Objects, arrays, Maps and Sets count
+ * their keys and values. Functions are not counted, and an object that is reachable more
+ * than once is only counted the first time. The result is a rough guide, not an exact
+ * measurement: commands that reference large shared objects, such as the document they
+ * edit, should implement `getSize()` instead.
+ *
+ * @example
+ * getSize() {
+ *     return Oops.estimateSize(this.before) + Oops.estimateSize(this.after);
+ * }
+ */
+function estimateSize(value) {
+    const seen = new Set();
+    const pending = [value];
+    let size = 0;
+
+    while (pending.length > 0) {
+        const item = pending.pop();
+        switch (typeof item) {
+            case 'string':
+                size += item.length * 2;
+                continue;
+            case 'number':
+            case 'bigint':
+                size += 8;
+                continue;
+            case 'boolean':
+                size += 4;
+                continue;
+            case 'object':
+                break;
+            default:
+                continue;
+        }
+        if (item === null || seen.has(item)) continue;
+        seen.add(item);
+
+        if (item instanceof ArrayBuffer || ArrayBuffer.isView(item)) {
+            size += item.byteLength;
+        } else if (item instanceof Map) {
+            for (const [key, entry] of item) pending.push(key, entry);
+        } else if (item instanceof Set) {
+            for (const entry of item) pending.push(entry);
+        } else {
+            for (const key of Object.keys(item)) {
+                if (!Array.isArray(item)) size += key.length * 2;
+                pending.push(item[key]);
+            }
+        }
+    }
+
+    return size;
+}
+
+module.exports = estimateSize;
@@ -1,2 +1,22 @@
 const Oops = require('./Oops.js');
-module.exports = Oops;
\ No newline at end of file
+const MemoryStorageAdapter = require('./storage/MemoryStorageAdapter.js');
+const WebStorageAdapter = require('./storage/WebStorageAdapter.js');
+const UndoCoordinator = require('./UndoCoordinator.js');
+const DomBinding = require('./DomBinding.js');
+const HistorySync = require('./HistorySync.js');
+const Journal = require('./Journal.js');
+const createStore = require('./bindings/store.js');
+const { ScopeConflictError, SyncConflictError, ReplayMismatchError } = require('./errors.js');
+
+Oops.MemoryStorageAdapter = MemoryStorageAdapter;
+Oops.WebStorageAdapter = WebStorageAdapter;
+Oops.UndoCoordinator = UndoCoordinator;
+Oops.DomBinding = DomBinding;
+Oops.HistorySync = HistorySync;
+Oops.Journal = Journal;
+Oops.createStore = createStore;
+Oops.ScopeConflictError = ScopeConflictError;
+Oops.SyncConflictError = SyncConflictError;
+Oops.ReplayMismatchError = ReplayMismatchError;
+
+module.exports = Oops;
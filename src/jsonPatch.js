@@ -0,0 +1,221 @@
+/**
+ * Helpers for JSON Patch (RFC 6902) documents, used by PatchCommand.
+ *
+ * The targets are expected to hold JSON data: plain objects, arrays, strings,
+ * numbers, booleans and null.
+ */
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+/**
+ * Copies a JSON value, so that patches and targets never share objects.
+ *
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (!isObject(value)) return value;
+    const copy = {};
+    for (const key of Object.keys(value)) {
+        copy[key] = clone(value[key]);
+    }
+    return copy;
+}
+
+/**
+ * Checks whether two JSON values are equal.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are deeply equal.
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Converts a JSON Pointer (RFC 6901) into its reference tokens.
+ *
+ * @param {string} pointer - The pointer, e.g. `/items/0/title`.
+ * @returns {string[]} The unescaped tokens.
+ * @throws {Error} If the pointer is not empty and does not start with a slash.
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (pointer[0] !== '/') throw new Error(`Invalid JSON pointer: ${pointer}`);
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Appends a reference token to a JSON Pointer.
+ *
+ * @param {string} pointer - The pointer to extend.
+ * @param {string|number} token - The object key or array index.
+ * @returns {string} The extended pointer.
+ */
+function appendPointer(pointer, token) {
+    return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Resolves the parent of the location a pointer refers to.
+ *
+ * @param {Object} target - The document.
+ * @param {string} pointer - The pointer.
+ * @returns {{parent: Object|Array, key: string}} The parent container and the last token.
+ * @throws {Error} If the pointer refers to the document root or to a path that does not exist.
+ */
+function resolveParent(target, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw new Error('Patches cannot replace the target itself');
+    let parent = target;
+    for (const token of tokens.slice(0, -1)) {
+        if (!isObject(parent) || !Object.prototype.hasOwnProperty.call(parent, token)) {
+            throw new Error(`Path does not exist: ${pointer}`);
+        }
+        parent = parent[token];
+    }
+    if (!isObject(parent)) throw new Error(`Path does not exist: ${pointer}`);
+    return { parent, key: tokens[tokens.length - 1] };
+}
+
+function toIndex(array, key, pointer, allowEnd) {
+    if (allowEnd && key === '-') return array.length;
+    const index = Number(key);
+    if (!/^(0|[1-9][0-9]*)$/.test(key) || index > array.length || (!allowEnd && index === array.length)) {
+        throw new Error(`Invalid array index: ${pointer}`);
+    }
+    return index;
+}
+
+function getValue(target, pointer) {
+    const { parent, key } = resolveParent(target, pointer);
+    if (Array.isArray(parent)) return parent[toIndex(parent, key, pointer, false)];
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Path does not exist: ${pointer}`);
+    return parent[key];
+}
+
+function addValue(target, pointer, value) {
+    const { parent, key } = resolveParent(target, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(parent, key, pointer, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+}
+
+function removeValue(target, pointer) {
+    const { parent, key } = resolveParent(target, pointer);
+    if (Array.isArray(parent)) {
+        return parent.splice(toIndex(parent, key, pointer, false), 1)[0];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Path does not exist: ${pointer}`);
+    const value = parent[key];
+    delete parent[key];
+    return value;
+}
+
+/**
+ * Applies JSON Patch operations to a target in place.
+ *
+ * @param {Object|Array} target - The document to change.
+ * @param {Object[]} patches - The operations: `add`, `remove`, `replace`, `move`, `copy` and `test`.
+ * @throws {Error} If an operation is unknown, refers to a path that does not exist, or a `test` fails.
+ * Operations before the failing one have already been applied.
+ */
+function applyPatch(target, patches) {
+    for (const patch of patches) {
+        switch (patch.op) {
+            case 'add':
+                addValue(target, patch.path, clone(patch.value));
+                break;
+            case 'remove':
+                removeValue(target, patch.path);
+                break;
+            case 'replace':
+                removeValue(target, patch.path);
+                addValue(target, patch.path, clone(patch.value));
+                break;
+            case 'move':
+                addValue(target, patch.path, removeValue(target, patch.from));
+                break;
+            case 'copy':
+                addValue(target, patch.path, clone(getValue(target, patch.from)));
+                break;
+            case 'test':
+                if (!isEqual(getValue(target, patch.path), patch.value)) {
+                    throw new Error(`Test failed: ${patch.path}`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown patch operation: ${patch.op}`);
+        }
+    }
+}
+
+/**
+ * Computes the operations that turn one JSON value into another.
+ *
+ * @param {*} from - The original value.
+ * @param {*} to - The changed value.
+ * @param {string} [pointer=''] - The location of both values in the document.
+ * @param {Object[]} [patches=[]] - The list to add the operations to.
+ * @returns {Object[]} The `add`, `remove` and `replace` operations.
+ *
+ * @description
+ * Objects are compared key by key and arrays index by index, with elements added or
+ * removed at the end. Any other change replaces the value.
+ */
+function diff(from, to, pointer = '', patches = []) {
+    if (isEqual(from, to)) return patches;
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+        const common = Math.min(from.length, to.length);
+        for (let i = 0; i < common; i++) {
+            diff(from[i], to[i], appendPointer(pointer, i), patches);
+        }
+        for (let i = from.length - 1; i >= common; i--) {
+            patches.push({ op: 'remove', path: appendPointer(pointer, i) });
+        }
+        for (let i = common; i < to.length; i++) {
+            patches.push({ op: 'add', path: appendPointer(pointer, i), value: clone(to[i]) });
+        }
+    } else if (isObject(from) && isObject(to) && !Array.isArray(from) && !Array.isArray(to)) {
+        for (const key of Object.keys(from)) {
+            if (!Object.prototype.hasOwnProperty.call(to, key)) {
+                patches.push({ op: 'remove', path: appendPointer(pointer, key) });
+            }
+        }
+        for (const key of Object.keys(to)) {
+            if (Object.prototype.hasOwnProperty.call(from, key)) {
+                diff(from[key], to[key], appendPointer(pointer, key), patches);
+            } else {
+                patches.push({ op: 'add', path: appendPointer(pointer, key), value: clone(to[key]) });
+            }
+        }
+    } else {
+        patches.push({ op: 'replace', path: pointer, value: clone(to) });
+    }
+
+    return patches;
+}
+
+/**
+ * Checks whether two JSON Pointers refer to the same location, or one is inside the other.
+ *
+ * @param {string} a - The first pointer.
+ * @param {string} b - The second pointer.
+ * @returns {boolean} True if the locations overlap.
+ */
+function pathsOverlap(a, b) {
+    return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+module.exports = { applyPatch, clone, diff, isEqual, pathsOverlap };
@@ -0,0 +1,102 @@
+/**
+ * Built-in merge policies, available as `Oops.mergePolicies`.
+ *
+ * A merge policy decides whether a command may be merged into the previous history entry.
+ * It is a function `(previous, command, context) => boolean` that is only called if
+ * `command.canMerge(previous)` returned true. `context` has the `timestamp` of the new command
+ * and the `previousTimestamp` of the previous entry, i.e. of the last command merged into it
+ * (null if unknown, e.g. after importState).
+ */
+
+/**
+ * Merges commands that follow each other within a time window.
+ *
+ * @param {number} ms - The longest time between two commands that are merged, in milliseconds.
+ * @returns {Function} The policy.
+ *
+ * @example
+ * undoRedoManager.setMergePolicy(MoveCommand, Oops.mergePolicies.timeWindow(500));
+ */
+function timeWindow(ms) {
+    return (previous, command, { timestamp, previousTimestamp }) => (
+        previousTimestamp !== null && timestamp - previousTimestamp < ms
+    );
+}
+
+/**
+ * Merges commands until the group is ended with `oops.breakMergeGroup()`.
+ *
+ * @returns {Function} The policy.
+ *
+ * @example
+ * undoRedoManager.setMergePolicy(DrawCommand, Oops.mergePolicies.untilBreak());
+ * canvas.addEventListener('pointerup', () => undoRedoManager.breakMergeGroup());
+ */
+function untilBreak() {
+    return () => true;
+}
+
+/**
+ * Merges commands while the same key is held down, e.g. while an arrow key moves a shape.
+ *
+ * @returns {Function} The policy, with `keyDown(key, timestamp = Date.now())` and `keyUp(key)` methods
+ * to call from keyboard event handlers. Auto-repeated keydown events of the held key continue the group.
+ *
+ * @example
+ * const policy = Oops.mergePolicies.whileKeyHeld();
+ * undoRedoManager.setMergePolicy(NudgeCommand, policy);
+ * window.addEventListener('keydown', event => policy.keyDown(event.key));
+ * window.addEventListener('keyup', event => policy.keyUp(event.key));
+ */
+function whileKeyHeld() {
+    let heldKey = null;
+    let pressedAt = null;
+
+    const policy = (previous, command, { previousTimestamp }) => (
+        heldKey !== null && previousTimestamp !== null && previousTimestamp >= pressedAt
+    );
+    policy.keyDown = (key, timestamp = Date.now()) => {
+        if (key === heldKey) return;
+        heldKey = key;
+        pressedAt = timestamp;
+    };
+    policy.keyUp = (key) => {
+        if (key !== undefined && key !== heldKey) return;
+        heldKey = null;
+        pressedAt = null;
+    };
+    return policy;
+}
+
+/**
+ * Merges typed text word by word: a new group starts when a word begins after whitespace.
+ *
+ * @param {Function} [getText=command => command.text] - Returns the text a command inserted.
+ * For the previous entry, this is the text of all commands merged into it.
+ * @returns {Function} The policy.
+ *
+ * @example
+ * undoRedoManager.setMergePolicy('insertText', Oops.mergePolicies.wordBoundary());
+ */
+function wordBoundary(getText = command => command.text) {
+    return (previous, command) => {
+        const before = getText(previous) || '';
+        const text = getText(command) || '';
+        return !(/\s$/.test(before) && /^\S/.test(text));
+    };
+}
+
+/**
+ * Combines policies: commands are only merged if every policy allows it.
+ *
+ * @param {...Function} policies - The policies to combine.
+ * @returns {Function} The policy.
+ *
+ * @example
+ * const policy = Oops.mergePolicies.all(Oops.mergePolicies.wordBoundary(), Oops.mergePolicies.timeWindow(2000));
+ */
+function all(...policies) {
+    return (previous, command, context) => policies.every(policy => policy(previous, command, context));
+}
+
+module.exports = { timeWindow, untilBreak, whileKeyHeld, wordBoundary, all };
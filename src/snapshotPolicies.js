@@ -0,0 +1,47 @@
+/**
+ * Built-in snapshot policies, available as `Oops.snapshotPolicies`.
+ *
+ * A snapshot policy decides which snapshots are kept after a new one was taken. It is a function
+ * `(keys, context) => keysToKeep`, where `keys` are the keys of all snapshots (the size of the undo
+ * stack they were taken at) in ascending order, and `context` has the current `undoStackSize`.
+ */
+
+/**
+ * Keeps the most recent snapshots.
+ *
+ * @param {number} count - How many snapshots to keep.
+ * @returns {Function} The policy.
+ *
+ * @example
+ * const undoRedoManager = new Oops({ snapshotPolicy: Oops.snapshotPolicies.keepLast(5) });
+ */
+function keepLast(count) {
+    return keys => keys.slice(Math.max(0, keys.length - count));
+}
+
+/**
+ * Keeps recent snapshots close together and older ones further and further apart, so that any
+ * position can be reached from a snapshot at a distance that grows with its age.
+ *
+ * @returns {Function} The policy. Going back from the newest snapshot, each kept snapshot is at
+ * least twice as far from the newest as the previous one.
+ *
+ * @example
+ * const undoRedoManager = new Oops({ snapshotPolicy: Oops.snapshotPolicies.exponential() });
+ */
+function exponential() {
+    return keys => {
+        const newest = keys[keys.length - 1];
+        const kept = [];
+        let threshold = 0;
+        for (let i = keys.length - 1; i >= 0; i--) {
+            const distance = newest - keys[i];
+            if (distance < threshold) continue;
+            kept.unshift(keys[i]);
+            threshold = Math.max(1, distance) * 2;
+        }
+        return kept;
+    };
+}
+
+module.exports = { keepLast, exponential };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores saved history as files in a directory. Node.js only, so it is not part of the
+ * browser bundle and has to be required from this file directly.
+ *
+ * @description
+ * Each key is stored in its own `.json` file. Files are written to a temporary file first
+ * and then renamed over the previous one, so an interrupted save never leaves a partial file.
+ *
+ * @example
+ * const FileStorageAdapter = require('@heyputer/oops.js/src/storage/FileStorageAdapter.js');
+ * const undoRedoManager = new Oops({
+ *     persistence: { adapter: new FileStorageAdapter('./history') }
+ * });
+ */
+class FileStorageAdapter {
+    /**
+     * @param {string} directory - The directory to store files in. It is created on the first save.
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    getFilePath(key) {
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    async load(key) {
+        try {
+            return await fs.promises.readFile(this.getFilePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(key, value) {
+        const filePath = this.getFilePath(key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(tempPath, value, 'utf8');
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.getFilePath(key), { force: true });
+    }
+}
+
+module.exports = FileStorageAdapter;
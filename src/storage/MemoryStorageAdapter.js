@@ -0,0 +1,34 @@
+/**
+ * Stores saved history in memory. Useful for tests and as a reference implementation
+ * of the storage adapter interface.
+ *
+ * @description
+ * A storage adapter has three methods, each of which may return a Promise:
+ * - `load(key)` returns the string saved under the key, or null if there is none.
+ * - `save(key, value)` stores a string under the key.
+ * - `remove(key)` deletes the key.
+ *
+ * @example
+ * const undoRedoManager = new Oops({
+ *     persistence: { adapter: new Oops.MemoryStorageAdapter() }
+ * });
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.items = new Map();
+    }
+
+    load(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    save(key, value) {
+        this.items.set(key, value);
+    }
+
+    remove(key) {
+        this.items.delete(key);
+    }
+}
+
+module.exports = MemoryStorageAdapter;
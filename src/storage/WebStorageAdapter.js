@@ -0,0 +1,33 @@
+/**
+ * Stores saved history in `localStorage`, `sessionStorage` or any object with the same
+ * `getItem`/`setItem`/`removeItem` methods.
+ *
+ * @example
+ * const undoRedoManager = new Oops({
+ *     persistence: { adapter: new Oops.WebStorageAdapter(window.sessionStorage) }
+ * });
+ */
+class WebStorageAdapter {
+    /**
+     * @param {Storage} [storage=globalThis.localStorage] - The storage object to use.
+     * @throws {Error} If no storage object is given and `localStorage` is not available.
+     */
+    constructor(storage = globalThis.localStorage) {
+        if (!storage) throw new Error('No storage object available');
+        this.storage = storage;
+    }
+
+    load(key) {
+        return this.storage.getItem(key);
+    }
+
+    save(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    remove(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+module.exports = WebStorageAdapter;
@@ -0,0 +1,83 @@
+/**
+ * One end of a fake broadcast channel, with the parts of the BroadcastChannel interface that
+ * HistorySync uses.
+ */
+class FakeChannel {
+    constructor(hub) {
+        this.hub = hub;
+        this.listeners = new Set();
+        this.closed = false;
+    }
+
+    /**
+     * Sends a message to every other open channel of the hub.
+     *
+     * @param {*} message - The message. It is copied through JSON.
+     * @throws {Error} If the channel is closed.
+     */
+    postMessage(message) {
+        if (this.closed) throw new Error('Channel is closed');
+        const data = JSON.stringify(message);
+        for (const channel of this.hub.channels) {
+            if (channel !== this) setTimeout(() => channel.dispatch(JSON.parse(data)), 0);
+        }
+    }
+
+    dispatch(data) {
+        if (this.closed) return;
+        for (const listener of [...this.listeners]) {
+            listener({ data });
+        }
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') this.listeners.add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (type === 'message') this.listeners.delete(listener);
+    }
+
+    /**
+     * Disconnects the channel, like a tab that was closed or crashed.
+     */
+    close() {
+        this.closed = true;
+        this.hub.channels.delete(this);
+    }
+}
+
+/**
+ * Connects fake broadcast channels in one process, to test HistorySync without a browser.
+ *
+ * @description
+ * Like a BroadcastChannel, a message is delivered asynchronously to every other channel of the
+ * hub, in the order it was sent, but not back to the sender. Messages are copied through JSON,
+ * so anything that would not survive structured cloning fails here too.
+ *
+ * Require it from this file directly.
+ *
+ * @example
+ * const hub = new FakeChannelHub();
+ * const first = new Oops.HistorySync(new Oops(), { channel: hub.createChannel() });
+ * const second = new Oops.HistorySync(new Oops(), { channel: hub.createChannel() });
+ * await Promise.all([first.start(), second.start()]);
+ */
+class FakeChannelHub {
+    constructor() {
+        this.channels = new Set();
+    }
+
+    /**
+     * Creates a channel connected to the other channels of the hub.
+     *
+     * @returns {FakeChannel} The channel.
+     */
+    createChannel() {
+        const channel = new FakeChannel(this);
+        this.channels.add(channel);
+        return channel;
+    }
+}
+
+module.exports = FakeChannelHub;
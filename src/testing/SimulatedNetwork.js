@@ -0,0 +1,65 @@
+const SimulatedPeer = require('./SimulatedPeer.js');
+
+/**
+ * Connects several users' Oops instances in one process, to test collaborative undo without a server.
+ *
+ * @description
+ * Messages are held until deliver is called and then delivered to every other peer in the order
+ * they were sent, like a server that relays operations in a single order. Delivering after each
+ * step keeps the peers' histories identical; holding messages back simulates latency. Messages
+ * are copied through JSON, so anything that would not survive a real network fails here too.
+ *
+ * Node.js only; require it from this file directly.
+ *
+ * @example
+ * const network = new SimulatedNetwork();
+ * const alice = network.addPeer('alice');
+ * const bob = network.addPeer('bob');
+ * await alice.execute(new MoveShapeCommand(shapes, 'circle', 10, 0));
+ * await network.deliver();
+ */
+class SimulatedNetwork {
+    constructor() {
+        this.peers = [];
+        this.pending = [];
+    }
+
+    /**
+     * Adds a user to the network.
+     *
+     * @param {string} actorId - The id of the user.
+     * @param {Object} [options={}] - Options for the peer's Oops instance.
+     * @returns {SimulatedPeer} The peer.
+     */
+    addPeer(actorId, options = {}) {
+        const peer = new SimulatedPeer(this, actorId, options);
+        this.peers.push(peer);
+        return peer;
+    }
+
+    /**
+     * Queues a message for the other peers.
+     *
+     * @param {SimulatedPeer} from - The peer that sends the message.
+     * @param {Object} message - The message.
+     */
+    send(from, message) {
+        this.pending.push({ from, message: JSON.parse(JSON.stringify(message)) });
+    }
+
+    /**
+     * Delivers the queued messages, including messages sent while delivering.
+     *
+     * @returns {Promise<void>} A promise that resolves once every peer has applied the messages.
+     */
+    async deliver() {
+        while (this.pending.length > 0) {
+            const { from, message } = this.pending.shift();
+            for (const peer of this.peers) {
+                if (peer !== from) await peer.receive(message);
+            }
+        }
+    }
+}
+
+module.exports = SimulatedNetwork;
@@ -0,0 +1,106 @@
+const Oops = require('../Oops.js');
+
+/**
+ * A user in a SimulatedNetwork, with its own Oops instance.
+ *
+ * @description
+ * Commands, undos and redos go through the peer, which applies them to its own instance
+ * and sends them to the other peers. Commands are sent in serialized form, so their types
+ * must be registered on every peer's instance, like they would be in separate browsers.
+ */
+class SimulatedPeer {
+    /**
+     * @param {SimulatedNetwork} network - The network the peer sends messages to.
+     * @param {string} actorId - The id of the user.
+     * @param {Object} [options={}] - Options for the peer's Oops instance. `actorId` is set automatically.
+     */
+    constructor(network, actorId, options = {}) {
+        this.network = network;
+        this.actorId = actorId;
+        this.oops = new Oops({ ...options, actorId });
+    }
+
+    /**
+     * Executes a command locally and sends it to the other peers.
+     *
+     * @param {Command} command - The command to execute.
+     * @param {Object} [options={}] - Execution options, as accepted by Oops#execute.
+     * @returns {Promise<*>} A promise that resolves with the result of the command execution.
+     */
+    async execute(command, options = {}) {
+        const id = this.oops.createCommandId();
+        const timestamp = Date.now();
+        const result = await this.oops.execute(command, { ...options, id, timestamp });
+        this.network.send(this, {
+            type: 'execute',
+            actor: this.actorId,
+            id,
+            timestamp,
+            label: options.label,
+            command: this.oops.serializeCommand(command)
+        });
+        return result;
+    }
+
+    /**
+     * Changes a target object locally, as Oops#mutate does, and sends the patches to the other peers.
+     *
+     * @param {Object|Array} target - The object to change.
+     * @param {Function} recipe - A synchronous function that changes the draft.
+     * @param {Object} [options={}] - Execution options.
+     * @returns {Promise<void>} A promise that resolves once the change is applied.
+     */
+    mutate(target, recipe, options = {}) {
+        return this.execute(Oops.PatchCommand.fromRecipe(target, recipe), options);
+    }
+
+    /**
+     * Undoes the peer's own commands and tells the other peers to do the same.
+     *
+     * @param {number} [steps=1] - The number of commands to undo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been undone.
+     */
+    async undo(steps = 1) {
+        await this.oops.undo(steps);
+        this.network.send(this, { type: 'undo', actor: this.actorId, steps });
+    }
+
+    /**
+     * Redoes the peer's own commands and tells the other peers to do the same.
+     *
+     * @param {number} [steps=1] - The number of commands to redo.
+     * @returns {Promise<void>} A promise that resolves once the commands have been redone.
+     */
+    async redo(steps = 1) {
+        await this.oops.redo(steps);
+        this.network.send(this, { type: 'redo', actor: this.actorId, steps });
+    }
+
+    /**
+     * Applies a message sent by another peer.
+     *
+     * @param {Object} message - The message.
+     * @returns {Promise<void>} A promise that resolves once the message is applied.
+     * @throws {Error} If the message type is unknown (as a rejection).
+     */
+    async receive(message) {
+        const options = { actor: message.actor };
+        switch (message.type) {
+            case 'execute': {
+                const command = this.oops.deserializeCommand(message.command);
+                await this.oops.execute(command, { ...options, id: message.id, timestamp: message.timestamp, label: message.label });
+                break;
+            }
+            case 'undo':
+                await this.oops.undo(message.steps, options);
+                break;
+            case 'redo':
+                await this.oops.redo(message.steps, options);
+                break;
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    }
+}
+
+module.exports = SimulatedPeer;
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { createRoot } = require('react-dom/client');
+const { effectScope } = require('vue');
+const Oops = require('../src/index.js');
+const { useOops } = require('../src/bindings/react.js');
+const { useOops: useOopsVue } = require('../src/bindings/vue.js');
+const { createOopsStore } = require('../src/bindings/svelte.js');
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('framework bindings', () => {
+    let undoRedoManager;
+
+    const command = label => ({ label, execute: jest.fn(), undo: jest.fn() });
+
+    beforeEach(() => {
+        undoRedoManager = new Oops({ mergeWindow: 0 });
+    });
+
+    describe('createStore', () => {
+        test('getSnapshot returns the same object until the state changes', async () => {
+            const store = Oops.createStore(undoRedoManager);
+            const listener = jest.fn();
+            store.subscribe(listener);
+
+            const first = store.getSnapshot();
+            expect(store.getSnapshot()).toBe(first);
+            undoRedoManager.notifyListeners();
+            expect(store.getSnapshot()).toBe(first);
+
+            await undoRedoManager.execute(command('Draw'));
+            const second = store.getSnapshot();
+            expect(second).not.toBe(first);
+            expect(second).toEqual(expect.objectContaining({ canUndo: true, canRedo: false, undoLabel: 'Draw', redoLabel: null }));
+            expect(second.history).toEqual([expect.objectContaining({ index: 0, label: 'Draw', undone: false, current: true })]);
+            expect(Object.isFrozen(second)).toBe(true);
+            expect(listener).toHaveBeenCalled();
+        });
+
+        test('snapshots stay stable and current without subscribers', async () => {
+            const store = Oops.createStore(undoRedoManager);
+            const first = store.getSnapshot();
+            expect(store.getSnapshot()).toBe(first);
+
+            await undoRedoManager.execute(command('Draw'));
+            expect(store.getSnapshot().canUndo).toBe(true);
+        });
+
+        test('unsubscribing removes the change listener', () => {
+            const store = Oops.createStore(undoRedoManager);
+            const unsubscribe = store.subscribe(() => {});
+            expect(undoRedoManager.changeListeners.size).toBe(1);
+            unsubscribe();
+            expect(undoRedoManager.changeListeners.size).toBe(0);
+        });
+
+        test('works with an UndoCoordinator', async () => {
+            const coordinator = new Oops.UndoCoordinator();
+            const store = Oops.createStore(coordinator);
+            expect(store.getSnapshot()).toEqual(expect.objectContaining({ scope: null, canUndo: false, history: [] }));
+
+            coordinator.createScope('canvas');
+            coordinator.focus('canvas');
+            await store.actions.execute(command('Draw'));
+            expect(store.getSnapshot()).toEqual(expect.objectContaining({ scope: 'canvas', undoLabel: 'Draw' }));
+        });
+    });
+
+    describe('React', () => {
+        let container;
+        let root;
+        let renders;
+
+        function Toolbar({ manager }) {
+            const state = useOops(manager);
+            renders.push(state);
+            return React.createElement('button', { disabled: !state.canUndo, onClick: () => state.undo() }, `Undo ${state.undoLabel}`);
+        }
+
+        beforeEach(() => {
+            renders = [];
+            container = document.createElement('div');
+            root = createRoot(container);
+        });
+
+        afterEach(() => {
+            React.act(() => root.unmount());
+        });
+
+        test('useOops re-renders with the current state and bound actions', async () => {
+            React.act(() => root.render(React.createElement(Toolbar, { manager: undoRedoManager })));
+            const button = container.querySelector('button');
+            expect(button.disabled).toBe(true);
+
+            await React.act(() => undoRedoManager.execute(command('Draw')));
+            expect(button.disabled).toBe(false);
+            expect(button.textContent).toBe('Undo Draw');
+
+            await React.act(async () => {
+                button.click();
+                await undoRedoManager.enqueue(() => {});
+            });
+            expect(button.disabled).toBe(true);
+            expect(renders[renders.length - 1].canRedo).toBe(true);
+        });
+
+        test('useOops does not re-render when nothing changed', async () => {
+            React.act(() => root.render(React.createElement(Toolbar, { manager: undoRedoManager })));
+            const count = renders.length;
+            React.act(() => undoRedoManager.notifyListeners());
+            expect(renders).toHaveLength(count);
+        });
+    });
+
+    describe('Vue', () => {
+        test('useOops updates a read-only ref until its scope is disposed', async () => {
+            const scope = effectScope();
+            const { state, undo } = scope.run(() => useOopsVue(undoRedoManager));
+            expect(state.value.canUndo).toBe(false);
+
+            await undoRedoManager.execute(command('Draw'));
+            expect(state.value.undoLabel).toBe('Draw');
+            await undo();
+            expect(state.value.canRedo).toBe(true);
+
+            scope.stop();
+            expect(undoRedoManager.changeListeners.size).toBe(0);
+        });
+    });
+
+    describe('Svelte', () => {
+        test('createOopsStore follows the store contract', async () => {
+            const store = createOopsStore(undoRedoManager);
+            const values = [];
+            const unsubscribe = store.subscribe(value => values.push(value));
+            expect(values).toHaveLength(1);
+
+            await undoRedoManager.execute(command('Draw'));
+            undoRedoManager.notifyListeners();
+            expect(values).toHaveLength(2);
+            expect(values[1].undoLabel).toBe('Draw');
+
+            await store.undo();
+            expect(values[2].redoLabel).toBe('Draw');
+            unsubscribe();
+            expect(undoRedoManager.changeListeners.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const Oops = require('../src/index.js');
+const SimulatedNetwork = require('../src/testing/SimulatedNetwork.js');
+
+describe('Collaborative undo', () => {
+    let network;
+
+    class InsertTextCommand {
+        constructor(doc, position, text) {
+            this.doc = doc;
+            this.position = position;
+            this.text = text;
+        }
+
+        execute() {
+            this.doc.text = this.doc.text.slice(0, this.position) + this.text + this.doc.text.slice(this.position);
+        }
+
+        undo() {
+            this.doc.text = this.doc.text.slice(0, this.position) + this.doc.text.slice(this.position + this.text.length);
+        }
+
+        transform(later) {
+            if (later.position > this.position) return this;
+            return new InsertTextCommand(this.doc, this.position + later.text.length, this.text);
+        }
+
+        rebase(undone) {
+            if (undone.position >= this.position) return this;
+            return new InsertTextCommand(this.doc, this.position - undone.text.length, this.text);
+        }
+    }
+
+    const addPeer = (actorId) => {
+        const peer = network.addPeer(actorId, { mergeWindow: 0 });
+        peer.board = { color: 'white', shapes: {} };
+        peer.doc = { text: '' };
+        peer.oops.registerPatchTarget('board', peer.board);
+        peer.oops.registerCommandType('insertText', {
+            commandClass: InsertTextCommand,
+            serialize: (command) => ({ position: command.position, text: command.text }),
+            deserialize: (data) => new InsertTextCommand(peer.doc, data.position, data.text)
+        });
+        return peer;
+    };
+
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+        network = new SimulatedNetwork();
+        alice = addPeer('alice');
+        bob = addPeer('bob');
+    });
+
+    test('each user undoes only their own commands', async () => {
+        await alice.mutate(alice.board, draft => { draft.shapes.circle = { x: 0 }; });
+        await network.deliver();
+        await bob.mutate(bob.board, draft => { draft.shapes.square = { x: 5 }; });
+        await network.deliver();
+
+        await alice.undo();
+        await network.deliver();
+
+        for (const peer of [alice, bob]) {
+            expect(peer.board.shapes).toEqual({ square: { x: 5 } });
+        }
+        expect(alice.oops.canUndo).toBe(false);
+        expect(alice.oops.canRedo).toBe(true);
+        expect(bob.oops.canUndo).toBe(true);
+        expect(bob.oops.canRedo).toBe(false);
+    });
+
+    test('an undo does not overwrite a later change by another user', async () => {
+        await alice.mutate(alice.board, draft => { draft.color = 'blue'; });
+        await network.deliver();
+        await bob.mutate(bob.board, draft => { draft.color = 'red'; });
+        await network.deliver();
+
+        await alice.undo();
+        await network.deliver();
+        expect(alice.board.color).toBe('red');
+        expect(bob.board.color).toBe('red');
+
+        // Bob's change was rebased, so undoing it restores the color from before Alice's change
+        await bob.undo();
+        await network.deliver();
+        expect(alice.board.color).toBe('white');
+        expect(bob.board.color).toBe('white');
+    });
+
+    test('later commands are rebased over the undone command', async () => {
+        await alice.execute(new InsertTextCommand(alice.doc, 0, 'Hello'));
+        await network.deliver();
+        await bob.execute(new InsertTextCommand(bob.doc, 5, ' world'));
+        await network.deliver();
+
+        await alice.undo();
+        await network.deliver();
+        expect(alice.doc.text).toBe(' world');
+        expect(bob.doc.text).toBe(' world');
+
+        await bob.undo();
+        await network.deliver();
+        expect(alice.doc.text).toBe('');
+        expect(bob.doc.text).toBe('');
+    });
+
+    test('an older command is undone at its transformed position', async () => {
+        await alice.execute(new InsertTextCommand(alice.doc, 0, 'world'));
+        await network.deliver();
+        await bob.execute(new InsertTextCommand(bob.doc, 0, 'Hello '));
+        await network.deliver();
+
+        await alice.undo();
+        await network.deliver();
+        expect(alice.doc.text).toBe('Hello ');
+        expect(bob.doc.text).toBe('Hello ');
+    });
+
+    test('redo applies the undone change again for everyone', async () => {
+        await alice.mutate(alice.board, draft => { draft.shapes.circle = { x: 0 }; });
+        await alice.undo();
+        await alice.redo();
+        await network.deliver();
+
+        expect(alice.board.shapes).toEqual({ circle: { x: 0 } });
+        expect(bob.board.shapes).toEqual({ circle: { x: 0 } });
+        expect(alice.oops.canRedo).toBe(false);
+    });
+
+    test('a new command only clears the redo history of its own user', async () => {
+        await alice.mutate(alice.board, draft => { draft.shapes.circle = { x: 0 }; });
+        await alice.undo();
+        await network.deliver();
+        await bob.mutate(bob.board, draft => { draft.color = 'red'; });
+        await network.deliver();
+
+        expect(alice.oops.canRedo).toBe(true);
+        await alice.redo();
+        await network.deliver();
+        expect(bob.board).toEqual({ color: 'red', shapes: { circle: { x: 0 } } });
+    });
+
+    test('history entries record their actor and id on every peer', async () => {
+        await alice.mutate(alice.board, draft => { draft.color = 'blue'; });
+        await network.deliver();
+
+        const [entry] = bob.oops.getHistory();
+        expect(entry.actor).toBe('alice');
+        expect(entry.id).toBe('alice:1');
+        expect(alice.oops.getHistory()[0].id).toBe('alice:1');
+    });
+
+    test('merges happen identically on every peer', async () => {
+        network = new SimulatedNetwork();
+        alice = network.addPeer('alice', { mergeWindow: 1000 });
+        bob = network.addPeer('bob', { mergeWindow: 1000 });
+        for (const peer of [alice, bob]) {
+            peer.board = { color: 'white' };
+            peer.oops.registerPatchTarget('board', peer.board);
+        }
+
+        await alice.mutate(alice.board, draft => { draft.color = 'blue'; });
+        await alice.mutate(alice.board, draft => { draft.color = 'green'; });
+        // Delivered later than they were executed
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await network.deliver();
+
+        expect(alice.oops.undoStack).toHaveLength(1);
+        expect(bob.oops.undoStack).toHaveLength(1);
+        await alice.undo();
+        await network.deliver();
+        expect(bob.board.color).toBe('white');
+    });
+
+    test('compression only merges commands of the same user and keeps their metadata', async () => {
+        const doc = { value: 0 };
+        const makeCommand = (delta) => ({
+            delta,
+            execute() { doc.value += this.delta; },
+            undo() { doc.value -= this.delta; },
+            canMerge: () => true,
+            merge(previous) { return makeCommand(previous.delta + this.delta); }
+        });
+        let compressing = false;
+        const oops = new Oops({ actorId: 'alice', mergePolicy: () => compressing });
+
+        await oops.execute(makeCommand(1), { id: 'a1' });
+        await oops.execute(makeCommand(2), { id: 'a2', label: 'Add two' });
+        await oops.execute(makeCommand(10), { actor: 'bob', id: 'b1' });
+        await oops.execute(makeCommand(20), { actor: 'bob', id: 'b2' });
+        compressing = true;
+        oops.compressHistory();
+
+        expect(oops.getHistory().map(({ actor, id, label }) => ({ actor, id, label }))).toEqual([
+            { actor: 'alice', id: 'a1', label: 'Add two' },
+            { actor: 'bob', id: 'b1', label: 'Command' }
+        ]);
+        expect(oops.canUndo).toBe(true);
+        await oops.undo();
+        expect(doc.value).toBe(30);
+    });
+
+    test('actorId cannot be combined with history tree mode', () => {
+        expect(() => new Oops({ actorId: 'alice', historyTree: true })).toThrow('History tree mode cannot be combined with actorId');
+    });
+
+    test('goTo and goToCheckpoint cannot be combined with actorId', async () => {
+        const oops = new Oops({ actorId: 'alice' });
+        await oops.execute({ execute() {}, undo() {} });
+        await oops.createCheckpoint('start');
+
+        expect(() => oops.goTo(-1)).toThrow('goTo cannot be combined with actorId');
+        expect(() => oops.goToCheckpoint('start')).toThrow('goToCheckpoint cannot be combined with actorId');
+        expect(oops.undoStack).toHaveLength(1);
+    });
+});
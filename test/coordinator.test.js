@@ -0,0 +1,174 @@
+const Oops = require('../src/index.js');
+
+describe('UndoCoordinator', () => {
+    let coordinator;
+    let canvas;
+    let layers;
+    let values;
+
+    const makeCommand = (value) => ({
+        value,
+        execute: jest.fn(() => { values.push(value); }),
+        undo: jest.fn(() => { values.splice(values.lastIndexOf(value), 1); })
+    });
+
+    beforeEach(() => {
+        values = [];
+        coordinator = new Oops.UndoCoordinator({ mergeWindow: 0 });
+        canvas = coordinator.createScope('canvas');
+        layers = coordinator.createScope('layers');
+        coordinator.createScope('text');
+        console.error = jest.fn();
+    });
+
+    test('undo and redo are routed to the focused scope', async () => {
+        coordinator.focus('canvas');
+        await coordinator.execute(makeCommand('circle'));
+        coordinator.focus('layers');
+        await coordinator.execute(makeCommand('rename'));
+
+        await coordinator.undo();
+        expect(values).toEqual(['circle']);
+        expect(canvas.canUndo).toBe(true);
+
+        coordinator.focus('canvas');
+        await coordinator.undo();
+        expect(values).toEqual([]);
+        await coordinator.redo();
+        expect(values).toEqual(['circle']);
+    });
+
+    test('a command that spans scopes runs once and is recorded in each of them', async () => {
+        const command = makeCommand('delete');
+        command.label = 'Delete shape';
+        await coordinator.execute(command, { scopes: ['canvas', 'layers'] });
+
+        expect(command.execute).toHaveBeenCalledTimes(1);
+        expect(canvas.undoStack).toHaveLength(1);
+        expect(layers.undoStack).toHaveLength(1);
+        expect(layers.getHistory()[0].label).toBe('Delete shape');
+    });
+
+    test('undoing a shared command from one scope undoes it in all of them', async () => {
+        const command = makeCommand('delete');
+        coordinator.focus('canvas');
+        await coordinator.execute(makeCommand('circle'));
+        await coordinator.execute(command, { scopes: ['canvas', 'layers'], label: 'Delete shape' });
+        const listener = jest.fn();
+        layers.on('undo', listener);
+
+        coordinator.focus('layers');
+        await coordinator.undo();
+
+        expect(command.undo).toHaveBeenCalledTimes(1);
+        expect(values).toEqual(['circle']);
+        expect(canvas.undoStack).toHaveLength(1);
+        expect(canvas.redoStack).toHaveLength(1);
+        expect(layers.canUndo).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        coordinator.focus('canvas');
+        await coordinator.redo();
+        expect(command.execute).toHaveBeenCalledTimes(2);
+        expect(values).toEqual(['circle', 'delete']);
+        expect(layers.canUndo).toBe(true);
+    });
+
+    test('a shared command cannot be undone while another scope has later changes', async () => {
+        await coordinator.execute(makeCommand('delete'), { scopes: ['canvas', 'layers'], label: 'Delete shape' });
+        await coordinator.execute(makeCommand('rename'), { scopes: ['layers'] });
+
+        coordinator.focus('canvas');
+        const error = await coordinator.undo().catch(e => e);
+
+        expect(error).toBeInstanceOf(Oops.HistoryOperationError);
+        expect(error.cause).toBeInstanceOf(Oops.ScopeConflictError);
+        expect(error.cause.scopes).toEqual(['layers']);
+        expect(error.cause.message).toBe('Cannot undo "Delete shape": scope layers has changed since');
+        expect(values).toEqual(['delete', 'rename']);
+        expect(canvas.undoStack).toHaveLength(1);
+
+        coordinator.focus('layers');
+        await coordinator.undo(2);
+        expect(values).toEqual([]);
+        expect(canvas.canUndo).toBe(false);
+    });
+
+    test('a shared command cannot be redone after another scope discarded it', async () => {
+        await coordinator.execute(makeCommand('delete'), { scopes: ['canvas', 'layers'] });
+        coordinator.focus('canvas');
+        await coordinator.undo();
+        await coordinator.execute(makeCommand('rename'), { scopes: ['layers'] });
+
+        const error = await coordinator.redo().catch(e => e);
+        expect(error.cause.scopes).toEqual(['layers']);
+        expect(values).toEqual(['rename']);
+    });
+
+    test('a shared command that cannot be recorded in every scope is recorded in none', async () => {
+        layers.use(() => { throw new Error('Vetoed'); });
+        coordinator.focus('canvas');
+        await coordinator.execute(makeCommand('circle'));
+
+        await expect(coordinator.execute(makeCommand('delete'), { scopes: ['canvas', 'layers'] })).rejects.toThrow('Vetoed');
+
+        expect(values).toEqual(['circle']);
+        expect(canvas.undoStack).toHaveLength(1);
+        expect(layers.undoStack).toHaveLength(0);
+        await coordinator.undo();
+        expect(values).toEqual([]);
+    });
+
+    test('the state has the same shape with and without focus', async () => {
+        coordinator = new Oops.UndoCoordinator({ maxMemory: 1000 });
+        coordinator.createScope('canvas');
+
+        const unfocused = coordinator.getState();
+        coordinator.focus('canvas');
+        const focused = coordinator.getState();
+
+        expect(Object.keys(unfocused).sort()).toEqual(Object.keys(focused).sort());
+        expect(unfocused).toEqual(expect.objectContaining({ scope: null, canUndo: false, maxMemory: 1000 }));
+    });
+
+    test('change listeners follow the focused scope', async () => {
+        const listener = jest.fn();
+        coordinator.addChangeListener(listener);
+
+        coordinator.focus('canvas');
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ scope: 'canvas', canUndo: false }));
+
+        await coordinator.execute(makeCommand('circle'));
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ scope: 'canvas', canUndo: true }));
+        expect(coordinator.canUndo).toBe(true);
+
+        listener.mockClear();
+        await coordinator.execute(makeCommand('rename'), { scopes: ['layers'] });
+        expect(listener).not.toHaveBeenCalled();
+
+        coordinator.focus(null);
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ scope: null, canUndo: false }));
+        expect(coordinator.canUndo).toBe(false);
+    });
+
+    test('shared commands work past the snapshot interval', async () => {
+        coordinator.focus('canvas');
+        for (let i = 0; i < 12; i++) {
+            await coordinator.execute(makeCommand(i), { scopes: ['canvas', 'layers'] });
+        }
+
+        expect(values).toHaveLength(12);
+        expect(canvas.undoStack).toHaveLength(12);
+        expect(layers.undoStack).toHaveLength(12);
+
+        await coordinator.undo(12);
+        expect(values).toEqual([]);
+        expect(layers.canUndo).toBe(false);
+    });
+
+    test('unknown scopes and missing focus are reported', () => {
+        expect(() => coordinator.focus('timeline')).toThrow('Unknown scope: timeline');
+        expect(() => coordinator.undo()).toThrow('No scope has focus');
+        expect(() => coordinator.createScope('canvas')).toThrow('Scope already exists: canvas');
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * @jest-environment jsdom
+ */
+const Oops = require('../src/index.js');
+
+describe('DomBinding', () => {
+    let undoRedoManager;
+    let binding;
+    let value;
+
+    const setValue = (next) => {
+        const previous = value;
+        return { execute: () => { value = next; }, undo: () => { value = previous; } };
+    };
+
+    const press = (target, key, modifiers = {}) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    // Shortcuts run asynchronously through the operation queue
+    const settle = () => undoRedoManager.enqueue(() => {});
+
+    beforeEach(async () => {
+        document.body.innerHTML = `
+            <button data-oops-action="undo">Undo</button>
+            <button data-oops-action="redo">Redo</button>
+            <input id="field" type="text">
+            <div id="editor" data-oops-editor contenteditable="true"></div>
+            <div id="canvas" tabindex="0"></div>`;
+        value = 0;
+        undoRedoManager = new Oops({ mergeWindow: 0 });
+        binding = new Oops.DomBinding(undoRedoManager, { isMac: false });
+        await undoRedoManager.execute(setValue(1));
+        await undoRedoManager.execute(setValue(2));
+    });
+
+    afterEach(() => {
+        binding.destroy();
+    });
+
+    test('shortcuts undo and redo', async () => {
+        const canvas = document.getElementById('canvas');
+        const event = press(canvas, 'z', { ctrlKey: true });
+        await settle();
+        expect(event.defaultPrevented).toBe(true);
+        expect(value).toBe(1);
+
+        press(canvas, 'Z', { ctrlKey: true, shiftKey: true });
+        await settle();
+        expect(value).toBe(2);
+
+        press(canvas, 'z', { ctrlKey: true });
+        press(canvas, 'y', { ctrlKey: true });
+        await settle();
+        expect(value).toBe(2);
+    });
+
+    test('Mod means Cmd on macOS', async () => {
+        binding.destroy();
+        binding = new Oops.DomBinding(undoRedoManager, { isMac: true });
+
+        press(document.body, 'z', { ctrlKey: true });
+        await settle();
+        expect(value).toBe(2);
+        press(document.body, 'z', { metaKey: true });
+        await settle();
+        expect(value).toBe(1);
+    });
+
+    test('text fields keep their own undo unless they are marked as editors', async () => {
+        const event = press(document.getElementById('field'), 'z', { ctrlKey: true });
+        await settle();
+        expect(event.defaultPrevented).toBe(false);
+        expect(value).toBe(2);
+
+        press(document.getElementById('editor'), 'z', { ctrlKey: true });
+        await settle();
+        expect(value).toBe(1);
+    });
+
+    test('historyUndo and historyRedo input events are handled in editors', async () => {
+        const editor = document.getElementById('editor');
+        const event = new InputEvent('beforeinput', { inputType: 'historyUndo', bubbles: true, cancelable: true });
+        editor.dispatchEvent(event);
+        await settle();
+        expect(event.defaultPrevented).toBe(true);
+        expect(value).toBe(1);
+
+        const native = new InputEvent('beforeinput', { inputType: 'historyUndo', bubbles: true, cancelable: true });
+        document.getElementById('field').dispatchEvent(native);
+        await settle();
+        expect(native.defaultPrevented).toBe(false);
+        expect(value).toBe(1);
+    });
+
+    test('buttons trigger their action and are disabled when it is not available', async () => {
+        const [undoButton, redoButton] = document.querySelectorAll('[data-oops-action]');
+        expect(undoButton.disabled).toBe(false);
+        expect(redoButton.disabled).toBe(true);
+        expect(redoButton.getAttribute('aria-disabled')).toBe('true');
+
+        undoButton.click();
+        undoButton.click();
+        await settle();
+        expect(value).toBe(0);
+        expect(undoButton.disabled).toBe(true);
+        expect(redoButton.disabled).toBe(false);
+    });
+
+    test('custom shortcuts replace the defaults and destroy removes the listeners', async () => {
+        binding.destroy();
+        binding = new Oops.DomBinding(undoRedoManager, { isMac: false, shortcuts: { undo: ['Alt+Backspace'] } });
+
+        press(document.body, 'z', { ctrlKey: true });
+        press(document.body, 'Backspace', { altKey: true });
+        await settle();
+        expect(value).toBe(1);
+
+        binding.destroy();
+        press(document.body, 'Backspace', { altKey: true });
+        await settle();
+        expect(value).toBe(1);
+        expect(() => new Oops.DomBinding(undoRedoManager, { shortcuts: { undo: ['Hyper+Z'] } })).toThrow('Unknown modifier in shortcut: Hyper+Z');
+    });
+
+    test('works with an UndoCoordinator', async () => {
+        binding.destroy();
+        const coordinator = new Oops.UndoCoordinator({ mergeWindow: 0 });
+        coordinator.createScope('canvas');
+        coordinator.focus('canvas');
+        binding = new Oops.DomBinding(coordinator, { isMac: false });
+        const undoButton = document.querySelector('[data-oops-action="undo"]');
+        expect(undoButton.disabled).toBe(true);
+
+        await coordinator.execute(setValue(5));
+        expect(undoButton.disabled).toBe(false);
+        undoButton.click();
+        await coordinator.getFocusedScope().enqueue(() => {});
+        expect(value).toBe(2);
+    });
+
+    test('does nothing when an UndoCoordinator has no focused scope', async () => {
+        binding.destroy();
+        const coordinator = new Oops.UndoCoordinator({ mergeWindow: 0 });
+        coordinator.createScope('canvas');
+        binding = new Oops.DomBinding(coordinator, { isMac: false });
+        const errors = [];
+        const onError = event => errors.push(event.error);
+        window.addEventListener('error', onError);
+
+        press(document.getElementById('canvas'), 'z', { ctrlKey: true });
+        await binding.run('redo');
+
+        window.removeEventListener('error', onError);
+        expect(errors).toEqual([]);
+    });
+});
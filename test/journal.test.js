@@ -0,0 +1,230 @@
+const Oops = require('../src/index.js');
+
+describe('Journal', () => {
+    let doc;
+    let manager;
+
+    class AppendCommand {
+        constructor(target, text) {
+            this.doc = target;
+            this.text = text;
+        }
+
+        execute() {
+            this.doc.text += this.text;
+        }
+
+        undo() {
+            this.doc.text = this.doc.text.slice(0, -this.text.length);
+        }
+
+        canUndo() {
+            return this.doc.text.endsWith(this.text);
+        }
+
+        canMerge(other) {
+            return other instanceof AppendCommand;
+        }
+
+        merge(previous) {
+            return new AppendCommand(this.doc, previous.text + this.text);
+        }
+    }
+
+    class SetCommand {
+        constructor(target, text) {
+            this.doc = target;
+            this.text = text;
+        }
+
+        execute() {
+            this.doc.text = this.text;
+        }
+    }
+
+    const createManager = (target, options = {}) => {
+        const oops = new Oops({ mergeWindow: 1000, ...options });
+        oops.registerCommandType('append', {
+            commandClass: AppendCommand,
+            serialize: (command) => ({ text: command.text }),
+            deserialize: (data) => new AppendCommand(target, data.text)
+        });
+        oops.registerCommandType('set', {
+            commandClass: SetCommand,
+            serialize: (command) => ({ text: command.text }),
+            deserialize: (data) => new SetCommand(target, data.text)
+        });
+        return oops;
+    };
+
+    beforeEach(() => {
+        doc = { text: '' };
+        manager = createManager(doc);
+    });
+
+    test('records operations as an append-only list of entries', async () => {
+        const onEntry = jest.fn();
+        const journal = new Oops.Journal(manager, { onEntry });
+
+        await manager.execute(new AppendCommand(doc, 'a'), { label: 'Type' });
+        await manager.undo();
+        await manager.redo();
+
+        expect(journal.entries.map(entry => entry.type)).toEqual(['start', 'execute', 'undo', 'redo']);
+        expect(journal.entries.map(entry => entry.seq)).toEqual([1, 2, 3, 4]);
+        expect(journal.entries[1]).toMatchObject({
+            command: { type: 'append', data: { text: 'a' } },
+            options: { label: 'Type' },
+            merged: false,
+            check: { undoStackSize: 1, redoStackSize: 0, top: { type: 'append', data: { text: 'a' } } }
+        });
+        expect(typeof journal.entries[1].options.timestamp).toBe('number');
+        expect(journal.entries[2]).toMatchObject({ steps: 1, check: { undoStackSize: 0, redoStackSize: 1 } });
+        expect(onEntry).toHaveBeenCalledTimes(4);
+    });
+
+    test('records merges, transactions and failures', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const journal = new Oops.Journal(manager);
+
+        await manager.execute(new AppendCommand(doc, 'a'));
+        await manager.execute(new AppendCommand(doc, 'b'));
+        await manager.transaction(async (oops) => {
+            await oops.execute(new AppendCommand(doc, 'c'));
+        });
+        await expect(manager.execute({ execute: () => { throw new Error('Boom'); }, undo() {} })).rejects.toThrow('Boom');
+
+        const types = journal.entries.map(entry => entry.type);
+        expect(types).toEqual(['start', 'execute', 'execute', 'transactionBegin', 'execute', 'transactionCommit', 'error']);
+        expect(journal.entries[2].merged).toBe(true);
+        expect(journal.entries[4].transaction).toBe(true);
+        expect(journal.entries[6]).toMatchObject({ operation: 'execute', message: 'Boom' });
+        console.error.mockRestore();
+    });
+
+    test('replays a journal on a fresh instance', async () => {
+        const journal = new Oops.Journal(manager);
+        await manager.execute(new AppendCommand(doc, 'a'));
+        await manager.execute(new AppendCommand(doc, 'b'));
+        await manager.breakMergeGroup();
+        await manager.execute(new AppendCommand(doc, 'c'));
+        await manager.undo();
+        await manager.transaction(async (oops) => {
+            await oops.execute(new AppendCommand(doc, 'd'));
+            await oops.execute(new AppendCommand(doc, 'e'));
+        });
+        await manager.goTo(0);
+        const text = journal.toJSONL();
+
+        const replayedDoc = { text: '' };
+        const replayed = createManager(replayedDoc);
+        const onStep = jest.fn();
+        const steps = await Oops.Journal.replay(Oops.Journal.parse(text), replayed, { onStep });
+
+        expect(steps).toBe(journal.entries.length);
+        expect(onStep).toHaveBeenCalledTimes(steps);
+        expect(replayedDoc.text).toBe(doc.text);
+        expect(replayed.getHistory().map(entry => entry.undone)).toEqual(manager.getHistory().map(entry => entry.undone));
+    });
+
+    test('replays labelled transactions', async () => {
+        const journal = new Oops.Journal(manager);
+        await manager.transaction(async (oops) => {
+            await oops.execute(new AppendCommand(doc, 'a'));
+        }, 'Type a');
+        await manager.transaction(async (oops) => {
+            await oops.execute(new AppendCommand(doc, 'b'));
+            await oops.execute(new AppendCommand(doc, 'c'));
+        }, { labelKey: 'history.typing', labelParams: { count: 2 } });
+
+        expect(journal.entries.filter(entry => entry.type === 'transactionCommit').map(entry => entry.label)).toEqual([
+            'Type a',
+            { labelKey: 'history.typing', labelParams: { count: 2 } }
+        ]);
+        const replayed = createManager({ text: '' });
+        await Oops.Journal.replay(Oops.Journal.parse(journal.toJSONL()), replayed);
+        expect(replayed.getHistory().map(entry => entry.label)).toEqual(['Type a', 'CompositeCommand']);
+        expect(replayed.undoStack[1].labelKey).toBe('history.typing');
+    });
+
+    test('reports the step where the replay differs', async () => {
+        const journal = new Oops.Journal(manager);
+        await manager.execute(new AppendCommand(doc, 'a'));
+        await manager.execute(new AppendCommand(doc, 'b'));
+
+        // Without merging, the second command becomes a history entry of its own
+        const replayed = createManager({ text: '' }, { mergePolicy: () => false });
+        const error = await Oops.Journal.replay(journal.entries, replayed).catch(e => e);
+
+        expect(error).toBeInstanceOf(Oops.ReplayMismatchError);
+        expect(error.entry.seq).toBe(3);
+        expect(error.expected.undoStackSize).toBe(1);
+        expect(error.actual.undoStackSize).toBe(2);
+    });
+
+    test('reports a step that fails during replay', async () => {
+        const journal = new Oops.Journal(manager);
+        await manager.execute(new AppendCommand(doc, 'a'));
+
+        const error = await Oops.Journal.replay(journal.entries, new Oops()).catch(e => e);
+
+        expect(error).toBeInstanceOf(Oops.ReplayMismatchError);
+        expect(error.entry.type).toBe('execute');
+        expect(error.cause.message).toMatch('Unknown command type: append');
+    });
+
+    test('parse rejects invalid lines', () => {
+        expect(Oops.Journal.parse('{"seq":1}\n\n{"seq":2}\n')).toEqual([{ seq: 1 }, { seq: 2 }]);
+        expect(() => Oops.Journal.parse('{"seq":1}\nnot json')).toThrow('Invalid journal entry on line 2');
+    });
+
+    test('stops recording', async () => {
+        const journal = new Oops.Journal(manager);
+        journal.stop();
+
+        await manager.execute(new AppendCommand(doc, 'a'));
+        await manager.undo();
+
+        expect(journal.entries.map(entry => entry.type)).toEqual(['start']);
+        expect(manager.middleware).toEqual([]);
+    });
+
+    test('records the requested steps, so that skipped stale commands replay the same way', async () => {
+        manager = createManager(doc, { stalePolicy: 'skip' });
+        const journal = new Oops.Journal(manager);
+        for (const text of ['z', 'a', 'b']) {
+            await manager.breakMergeGroup();
+            await manager.execute(new AppendCommand(doc, text));
+        }
+        await manager.execute(new SetCommand(doc, 'za'), { undoable: false });
+        await manager.undo();
+
+        expect(doc.text).toBe('z');
+        expect(journal.entries[journal.entries.length - 1]).toMatchObject({ type: 'undo', steps: 1, stalePolicy: 'skip' });
+
+        const replayDoc = { text: '' };
+        await Oops.Journal.replay(journal.entries, createManager(replayDoc));
+
+        expect(replayDoc.text).toBe('z');
+    });
+
+    test('replays goTo as a jump over the same number of entries', async () => {
+        const journal = new Oops.Journal(manager);
+        for (const text of ['z', 'a', 'b']) {
+            await manager.breakMergeGroup();
+            await manager.execute(new AppendCommand(doc, text));
+        }
+        await manager.goTo(0);
+        await manager.goTo(1);
+
+        expect(journal.entries.slice(-2)).toEqual([
+            expect.objectContaining({ type: 'undo', steps: 2, jump: true }),
+            expect.objectContaining({ type: 'redo', steps: 1, jump: true })
+        ]);
+
+        const replayDoc = { text: '' };
+        await Oops.Journal.replay(journal.entries, createManager(replayDoc));
+
+        expect(replayDoc.text).toBe('za');
+    });
+});
@@ -1,4 +1,5 @@
-const Oops = require('../src/oops.js');
+const Oops = require('../src/Oops.js');
+const { HistoryOperationError } = require('../src/errors.js');
 
 describe('Oops', () => {
     let undoRedoManager;
@@ -7,68 +8,68 @@ describe('Oops', () => {
         undoRedoManager = new Oops();
     });
 
-    test('execute adds command to undo stack', () => {
+    test('execute adds command to undo stack', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn()
         };
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
         expect(undoRedoManager.canUndo).toBe(true);
         expect(undoRedoManager.canRedo).toBe(false);
     });
 
-    test('undo moves command from undo to redo stack', () => {
+    test('undo moves command from undo to redo stack', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn()
         };
-        undoRedoManager.execute(mockCommand);
-        undoRedoManager.undo();
+        await undoRedoManager.execute(mockCommand);
+        await undoRedoManager.undo();
         expect(undoRedoManager.canUndo).toBe(false);
         expect(undoRedoManager.canRedo).toBe(true);
         expect(mockCommand.undo).toHaveBeenCalled();
     });
 
-    test('redo moves command from redo to undo stack', () => {
+    test('redo moves command from redo to undo stack', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn()
         };
-        undoRedoManager.execute(mockCommand);
-        undoRedoManager.undo();
-        undoRedoManager.redo();
+        await undoRedoManager.execute(mockCommand);
+        await undoRedoManager.undo();
+        await undoRedoManager.redo();
         expect(undoRedoManager.canUndo).toBe(true);
         expect(undoRedoManager.canRedo).toBe(false);
         expect(mockCommand.execute).toHaveBeenCalledTimes(2);
     });
 
-    test('clear resets undo and redo stacks', () => {
+    test('clear resets undo and redo stacks', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn()
         };
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
         undoRedoManager.clear();
         expect(undoRedoManager.canUndo).toBe(false);
         expect(undoRedoManager.canRedo).toBe(false);
     });
 
-    test('registerCommand allows execution by string', () => {
+    test('registerCommand allows execution by string', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn()
         };
         undoRedoManager.registerCommand('testCommand', () => mockCommand);
-        undoRedoManager.execute('testCommand');
+        await undoRedoManager.execute('testCommand');
         expect(mockCommand.execute).toHaveBeenCalled();
     });
 
-    test('beginTransaction and commitTransaction group commands', () => {
+    test('beginTransaction and commitTransaction group commands', async () => {
         const mockCommand1 = {
             execute: jest.fn(),
             undo: jest.fn(),
@@ -80,16 +81,16 @@ describe('Oops', () => {
             serialize: jest.fn()
         };
         undoRedoManager.beginTransaction();
-        undoRedoManager.execute(mockCommand1);
-        undoRedoManager.execute(mockCommand2);
-        undoRedoManager.commitTransaction();
+        await undoRedoManager.execute(mockCommand1);
+        await undoRedoManager.execute(mockCommand2);
+        await undoRedoManager.commitTransaction();
         expect(undoRedoManager.canUndo).toBe(true);
-        undoRedoManager.undo();
+        await undoRedoManager.undo();
         expect(mockCommand2.undo).toHaveBeenCalled();
         expect(mockCommand1.undo).toHaveBeenCalled();
     });
 
-    test('abortTransaction undoes commands in transaction', () => {
+    test('abortTransaction undoes commands in transaction', async () => {
         const mockCommand1 = {
             execute: jest.fn(),
             undo: jest.fn(),
@@ -101,22 +102,22 @@ describe('Oops', () => {
             serialize: jest.fn()
         };
         undoRedoManager.beginTransaction();
-        undoRedoManager.execute(mockCommand1);
-        undoRedoManager.execute(mockCommand2);
-        undoRedoManager.abortTransaction();
+        await undoRedoManager.execute(mockCommand1);
+        await undoRedoManager.execute(mockCommand2);
+        await undoRedoManager.abortTransaction();
         expect(mockCommand2.undo).toHaveBeenCalled();
         expect(mockCommand1.undo).toHaveBeenCalled();
         expect(undoRedoManager.canUndo).toBe(false);
     });
 
-    test('exportState and importState restore system state', () => {
+    test('exportState and importState restore system state', async () => {
         const mockCommand = {
             execute: jest.fn(),
             undo: jest.fn(),
             serialize: jest.fn().mockReturnValue({ type: 'MockCommand', data: {} })
         };
         undoRedoManager.registerCommand('MockCommand', () => mockCommand);
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
         const state = undoRedoManager.exportState();
         const newUndoRedoManager = new Oops();
         newUndoRedoManager.registerCommand('MockCommand', () => mockCommand);
@@ -125,33 +126,33 @@ describe('Oops', () => {
         expect(newUndoRedoManager.canRedo).toBe(false);
     });
 
-    test('addChangeListener and removeChangeListener manage listeners', () => {
+    test('addChangeListener and removeChangeListener manage listeners', async () => {
         const listener = jest.fn();
         undoRedoManager.addChangeListener(listener);
-        undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() });
+        await undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() });
         expect(listener).toHaveBeenCalled();
         undoRedoManager.removeChangeListener(listener);
-        undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() });
+        await undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() });
         expect(listener).toHaveBeenCalledTimes(1);
     });
 
-    test('maxStackSize limits the undo stack size', () => {
+    test('maxStackSize limits the undo stack size', async () => {
         const limitedUndoRedoManager = new Oops({ maxStackSize: 2 });
         const mockCommand1 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         const mockCommand2 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         const mockCommand3 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
 
-        limitedUndoRedoManager.execute(mockCommand1);
-        limitedUndoRedoManager.execute(mockCommand2);
-        limitedUndoRedoManager.execute(mockCommand3);
+        await limitedUndoRedoManager.execute(mockCommand1);
+        await limitedUndoRedoManager.execute(mockCommand2);
+        await limitedUndoRedoManager.execute(mockCommand3);
 
         expect(limitedUndoRedoManager.canUndo).toBe(true);
-        limitedUndoRedoManager.undo();
-        limitedUndoRedoManager.undo();
+        await limitedUndoRedoManager.undo();
+        await limitedUndoRedoManager.undo();
         expect(limitedUndoRedoManager.canUndo).toBe(false);
     });
 
-    test('mergeWindow allows merging of commands', () => {
+    test('mergeWindow allows merging of commands', async () => {
         const mergeableUndoRedoManager = new Oops({ mergeWindow: 100 });
         const mockCommand1 = { 
             execute: jest.fn(), 
@@ -168,15 +169,15 @@ describe('Oops', () => {
             merge: jest.fn().mockReturnValue({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() })
         };
 
-        mergeableUndoRedoManager.execute(mockCommand1);
+        await mergeableUndoRedoManager.execute(mockCommand1);
         jest.advanceTimersByTime(50);
-        mergeableUndoRedoManager.execute(mockCommand2);
+        await mergeableUndoRedoManager.execute(mockCommand2);
 
         expect(mockCommand2.canMerge).toHaveBeenCalledWith(mockCommand1);
         expect(mockCommand2.merge).toHaveBeenCalledWith(mockCommand1);
     });
 
-    test('createSnapshot and recoverFromSnapshot work correctly', () => {
+    test('createSnapshot and recoverFromSnapshot work correctly', async () => {
         const mockCommand1 = { 
             execute: jest.fn(), 
             undo: jest.fn(), 
@@ -189,9 +190,9 @@ describe('Oops', () => {
         };
     
         undoRedoManager.registerCommand('MockCommand', (data) => ({ ...mockCommand1, ...data }));
-        undoRedoManager.execute(mockCommand1);
+        await undoRedoManager.execute(mockCommand1);
         undoRedoManager.createSnapshot();
-        undoRedoManager.execute(mockCommand2);
+        await undoRedoManager.execute(mockCommand2);
     
         // Mock the snapshot
         undoRedoManager.snapshots = new Map([[1, {
@@ -203,11 +204,11 @@ describe('Oops', () => {
     
         expect(undoRedoManager.canUndo).toBe(true);
         expect(undoRedoManager.canRedo).toBe(false);
-        undoRedoManager.undo();
+        await undoRedoManager.undo();
         expect(undoRedoManager.canUndo).toBe(false);
     });
 
-    test('compressHistory merges compatible commands', () => {
+    test('compressHistory merges compatible commands', async () => {
         const mockCommand1 = { 
             execute: jest.fn(), 
             undo: jest.fn(), 
@@ -223,8 +224,8 @@ describe('Oops', () => {
             merge: jest.fn().mockReturnValue({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() })
         };
 
-        undoRedoManager.execute(mockCommand1);
-        undoRedoManager.execute(mockCommand2);
+        await undoRedoManager.execute(mockCommand1);
+        await undoRedoManager.execute(mockCommand2);
         
         undoRedoManager.compressHistory();
 
@@ -232,7 +233,7 @@ describe('Oops', () => {
         expect(mockCommand2.merge).toHaveBeenCalledWith(mockCommand1);
     });
 
-    test('serializeState and deserializeState work correctly', () => {
+    test('serializeState and deserializeState work correctly', async () => {
         const mockCommand = { 
             execute: jest.fn(), 
             undo: jest.fn(), 
@@ -240,7 +241,7 @@ describe('Oops', () => {
         };
 
         undoRedoManager.registerCommand('MockCommand', () => ({ ...mockCommand }));
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
 
         const serializedState = undoRedoManager.serializeState();
         const newUndoRedoManager = new Oops();
@@ -251,18 +252,18 @@ describe('Oops', () => {
         expect(newUndoRedoManager.canRedo).toBe(false);
     });
 
-    test('execute handles errors gracefully', () => {
+    test('execute handles errors gracefully', async () => {
         const errorCommand = {
             execute: jest.fn().mockImplementation(() => { throw new Error('Execution failed'); }),
             undo: jest.fn(),
             serialize: jest.fn()
         };
 
-        expect(() => undoRedoManager.execute(errorCommand)).toThrow('Execution failed');
+        await expect(undoRedoManager.execute(errorCommand)).rejects.toThrow('Execution failed');
         expect(undoRedoManager.canUndo).toBe(false);
     });
 
-    test('undo and redo handle errors gracefully', () => {
+    test('undo and redo handle errors gracefully', async () => {
         const errorCommand = {
             execute: jest.fn(),
             undo: jest.fn().mockImplementation(() => { throw new Error('Undo failed'); }),
@@ -270,84 +271,2166 @@ describe('Oops', () => {
         };
 
         undoRedoManager.registerCommand('ErrorCommand', () => ({ ...errorCommand }));
-        undoRedoManager.execute(errorCommand);
+        await undoRedoManager.execute(errorCommand);
 
         console.error = jest.fn(); // Mock console.error
-        undoRedoManager.undo();
+        await expect(undoRedoManager.undo()).rejects.toThrow(HistoryOperationError);
         expect(console.error).toHaveBeenCalled();
+        expect(undoRedoManager.canUndo).toBe(true);
+        expect(undoRedoManager.canRedo).toBe(false);
+    });
+
+    test('a failed multi-step undo re-applies the commands it already undid', async () => {
+        const values = [];
+        const makeCommand = (value, failUndo = false) => ({
+            execute: jest.fn().mockImplementation(() => { values.push(value); }),
+            undo: jest.fn().mockImplementation(() => {
+                if (failUndo) throw new Error('Undo failed');
+                values.pop();
+            }),
+            serialize: jest.fn()
+        });
+        const failing = makeCommand(2, true);
+        await undoRedoManager.execute(makeCommand(1));
+        await undoRedoManager.execute(failing);
+        await undoRedoManager.execute(makeCommand(3));
+
+        console.error = jest.fn();
+        const error = await undoRedoManager.undo(3).catch(e => e);
+
+        expect(error).toBeInstanceOf(HistoryOperationError);
+        expect(error.operation).toBe('undo');
+        expect(error.command).toBe(failing);
+        expect(error.completed).toHaveLength(1);
+        expect(error.rolledBack).toBe(true);
+        expect(error.cause.message).toBe('Undo failed');
+        expect(error.state).toEqual(expect.objectContaining({ canUndo: true, canRedo: false, undoStackSize: 3, redoStackSize: 0 }));
+        expect(values).toEqual([1, 2, 3]);
+    });
+
+    test('a failed rollback is reported with the state the manager ended up in', async () => {
+        let broken = false;
+        const commandA = {
+            execute: jest.fn(),
+            undo: jest.fn().mockImplementation(() => { if (broken) throw new Error('Undo failed'); }),
+            serialize: jest.fn()
+        };
+        const commandB = {
+            execute: jest.fn().mockImplementation(() => { if (broken) throw new Error('Redo failed'); }),
+            undo: jest.fn(),
+            serialize: jest.fn()
+        };
+        await undoRedoManager.execute(commandA);
+        await undoRedoManager.execute(commandB);
+        await undoRedoManager.undo(2);
+
+        broken = true;
+        console.error = jest.fn();
+        const error = await undoRedoManager.redo(2).catch(e => e);
+
+        expect(error.operation).toBe('redo');
+        expect(error.command).toBe(commandB);
+        expect(error.completed).toEqual([commandA]);
+        expect(error.rolledBack).toBe(false);
+        expect(error.rollbackError.message).toBe('Undo failed');
+        expect(error.message).toBe('Failed to redo command: Redo failed (rollback failed: Undo failed)');
+        expect(error.state).toEqual(expect.objectContaining({ canUndo: true, canRedo: true, undoStackSize: 1, redoStackSize: 1 }));
+    });
+
+    test('CompositeCommand reverts its sub-commands if one of them fails', async () => {
+        const mockCommand1 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+        const mockCommand2 = {
+            execute: jest.fn().mockImplementation(() => { throw new Error('Execution failed'); }),
+            undo: jest.fn(),
+            serialize: jest.fn()
+        };
+        console.error = jest.fn();
+        await expect(undoRedoManager.execute(new Oops.CompositeCommand([mockCommand1, mockCommand2]))).rejects.toThrow('Execution failed');
+        expect(mockCommand1.undo).toHaveBeenCalled();
+        expect(mockCommand2.undo).not.toHaveBeenCalled();
+        expect(undoRedoManager.canUndo).toBe(false);
+    });
+
+    test('commands in a transaction run immediately and are recorded on commit', async () => {
+        let value = 0;
+        const increment = { execute: jest.fn(() => { value++; }), undo: jest.fn(() => { value--; }), serialize: jest.fn() };
+        const double = { execute: jest.fn(() => { value *= 2; }), undo: jest.fn(() => { value /= 2; }), serialize: jest.fn() };
+
+        undoRedoManager.beginTransaction();
+        await undoRedoManager.execute(increment);
+        expect(value).toBe(1);
+        expect(undoRedoManager.canUndo).toBe(false);
+        await undoRedoManager.execute(double);
+        expect(value).toBe(2);
+        await undoRedoManager.commitTransaction();
+
+        expect(increment.execute).toHaveBeenCalledTimes(1);
+        expect(undoRedoManager.undoStack).toHaveLength(1);
+        await undoRedoManager.undo();
+        expect(value).toBe(0);
+        await undoRedoManager.redo();
+        expect(value).toBe(2);
+    });
+
+    test('abortTransaction only undoes commands that ran, in reverse order', async () => {
+        const calls = [];
+        const makeCommand = (name) => ({
+            execute: jest.fn(() => { calls.push(`execute ${name}`); }),
+            undo: jest.fn(() => { calls.push(`undo ${name}`); }),
+            serialize: jest.fn()
+        });
+        const failing = { ...makeCommand('c'), execute: jest.fn(() => { throw new Error('Execution failed'); }) };
+        console.error = jest.fn();
+
+        undoRedoManager.beginTransaction();
+        await undoRedoManager.execute(makeCommand('a'));
+        await undoRedoManager.execute(makeCommand('b'));
+        await expect(undoRedoManager.execute(failing)).rejects.toThrow('Execution failed');
+        await undoRedoManager.abortTransaction();
+
+        expect(calls).toEqual(['execute a', 'execute b', 'undo b', 'undo a']);
+        expect(failing.undo).not.toHaveBeenCalled();
+        expect(undoRedoManager.canUndo).toBe(false);
+    });
+
+    test('transaction commits when the callback succeeds', async () => {
+        const mockCommand1 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+        const mockCommand2 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+
+        const result = await undoRedoManager.transaction(async (manager) => {
+            await manager.execute(mockCommand1);
+            await manager.execute(mockCommand2);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(undoRedoManager.undoStack).toHaveLength(1);
+        expect(undoRedoManager.undoStack[0]).toBeInstanceOf(Oops.CompositeCommand);
+        expect(undoRedoManager.transactionStack).toHaveLength(0);
+    });
+
+    test('transaction rolls back when the callback throws', async () => {
+        const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+
+        await expect(undoRedoManager.transaction(async (manager) => {
+            await manager.execute(mockCommand);
+            throw new Error('Validation failed');
+        })).rejects.toThrow('Validation failed');
+
+        expect(mockCommand.undo).toHaveBeenCalled();
         expect(undoRedoManager.canUndo).toBe(false);
+        expect(undoRedoManager.transactionStack).toHaveLength(0);
     });
 
-    test('transactions can be nested', () => {
+    test('transactions can be nested', async () => {
         const mockCommand1 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         const mockCommand2 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         const mockCommand3 = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
 
         undoRedoManager.beginTransaction();
-        undoRedoManager.execute(mockCommand1);
+        await undoRedoManager.execute(mockCommand1);
         undoRedoManager.beginTransaction();
-        undoRedoManager.execute(mockCommand2);
-        undoRedoManager.commitTransaction();
-        undoRedoManager.execute(mockCommand3);
-        undoRedoManager.commitTransaction();
+        await undoRedoManager.execute(mockCommand2);
+        await undoRedoManager.commitTransaction();
+        await undoRedoManager.execute(mockCommand3);
+        await undoRedoManager.commitTransaction();
 
         expect(undoRedoManager.canUndo).toBe(true);
-        undoRedoManager.undo();
+        await undoRedoManager.undo();
         expect(mockCommand3.undo).toHaveBeenCalled();
         expect(mockCommand2.undo).toHaveBeenCalled();
         expect(mockCommand1.undo).toHaveBeenCalled();
     });
 
-    test('snapshotInterval creates snapshots at regular intervals', () => {
+    test('snapshotInterval creates snapshots at regular intervals', async () => {
         const snapshotUndoRedoManager = new Oops({ snapshotInterval: 2 });
         const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         
         snapshotUndoRedoManager.createSnapshot = jest.fn();
         
-        snapshotUndoRedoManager.execute(mockCommand);
+        await snapshotUndoRedoManager.execute(mockCommand);
         expect(snapshotUndoRedoManager.createSnapshot).not.toHaveBeenCalled();
         
-        snapshotUndoRedoManager.execute(mockCommand);
+        await snapshotUndoRedoManager.execute(mockCommand);
         expect(snapshotUndoRedoManager.createSnapshot).toHaveBeenCalledTimes(1);
         
-        snapshotUndoRedoManager.execute(mockCommand);
+        await snapshotUndoRedoManager.execute(mockCommand);
         expect(snapshotUndoRedoManager.createSnapshot).toHaveBeenCalledTimes(1);
         
-        snapshotUndoRedoManager.execute(mockCommand);
+        await snapshotUndoRedoManager.execute(mockCommand);
         expect(snapshotUndoRedoManager.createSnapshot).toHaveBeenCalledTimes(2);
     });
 
-    test('silent execution does not notify listeners', () => {
+    test('silent execution does not notify listeners', async () => {
         const listener = jest.fn();
         undoRedoManager.addChangeListener(listener);
         
         const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         
-        undoRedoManager.execute(mockCommand, { silent: true });
+        await undoRedoManager.execute(mockCommand, { silent: true });
         expect(listener).not.toHaveBeenCalled();
         
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
         expect(listener).toHaveBeenCalledTimes(1);
     });
 
-    test('non-undoable execution does not add to undo stack', () => {
+    test('non-undoable execution does not add to undo stack', async () => {
         const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
         
-        undoRedoManager.execute(mockCommand, { undoable: false });
+        await undoRedoManager.execute(mockCommand, { undoable: false });
         expect(undoRedoManager.canUndo).toBe(false);
         
-        undoRedoManager.execute(mockCommand);
+        await undoRedoManager.execute(mockCommand);
         expect(undoRedoManager.canUndo).toBe(true);
     });
 
-    test('execute cleans up after error', () => {
+    test('execute cleans up after error', async () => {
         const errorCommand = {
             execute: jest.fn().mockImplementation(() => { throw new Error('Execution failed'); }),
             undo: jest.fn(),
             serialize: jest.fn()
         };
     
-        expect(() => undoRedoManager.execute(errorCommand)).toThrow('Execution failed');
+        await expect(undoRedoManager.execute(errorCommand)).rejects.toThrow('Execution failed');
         expect(undoRedoManager.isExecuting).toBe(false);
     });
+
+    test('execute, undo and redo wait for async commands', async () => {
+        let value = 0;
+        const asyncCommand = {
+            execute: jest.fn().mockImplementation(() => new Promise(resolve => setTimeout(() => { value = 1; resolve('done'); }, 10))),
+            undo: jest.fn().mockImplementation(() => new Promise(resolve => setTimeout(() => { value = 0; resolve(); }, 10))),
+            serialize: jest.fn()
+        };
+
+        await expect(undoRedoManager.execute(asyncCommand)).resolves.toBe('done');
+        expect(value).toBe(1);
+        expect(undoRedoManager.canUndo).toBe(true);
+
+        await undoRedoManager.undo();
+        expect(value).toBe(0);
+        expect(undoRedoManager.canRedo).toBe(true);
+
+        await undoRedoManager.redo();
+        expect(value).toBe(1);
+        expect(undoRedoManager.canUndo).toBe(true);
+    });
+
+    test('operations issued while a command is in flight are queued in order', async () => {
+        const calls = [];
+        const makeCommand = (name, delay) => ({
+            execute: jest.fn().mockImplementation(() => new Promise(resolve => setTimeout(() => { calls.push(`execute ${name}`); resolve(); }, delay))),
+            undo: jest.fn().mockImplementation(() => { calls.push(`undo ${name}`); }),
+            serialize: jest.fn()
+        });
+
+        const first = undoRedoManager.execute(makeCommand('a', 20));
+        const second = undoRedoManager.execute(makeCommand('b', 5));
+        const undo1 = undoRedoManager.undo();
+        const undo2 = undoRedoManager.undo();
+
+        await Promise.all([first, second, undo1, undo2]);
+
+        expect(calls).toEqual(['execute a', 'execute b', 'undo b', 'undo a']);
+        expect(undoRedoManager.canUndo).toBe(false);
+        expect(undoRedoManager.isExecuting).toBe(false);
+    });
+
+    test('rejected async commands reject execute and do not block the queue', async () => {
+        const failingCommand = {
+            execute: jest.fn().mockRejectedValue(new Error('Request failed')),
+            undo: jest.fn(),
+            serialize: jest.fn()
+        };
+        const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+
+        console.error = jest.fn();
+        const failed = undoRedoManager.execute(failingCommand);
+        const next = undoRedoManager.execute(mockCommand);
+
+        await expect(failed).rejects.toThrow('Request failed');
+        await next;
+        expect(console.error).toHaveBeenCalled();
+        expect(mockCommand.execute).toHaveBeenCalled();
+        expect(undoRedoManager.undoStack).toEqual([mockCommand]);
+    });
+
+    test('multi-step undo and redo keep the stacks in order', async () => {
+        const values = [];
+        const makeCommand = (value) => ({
+            value,
+            execute: jest.fn().mockImplementation(() => { values.push(value); }),
+            undo: jest.fn().mockImplementation(() => { values.pop(); }),
+            serialize: jest.fn()
+        });
+
+        for (const value of ['a', 'b', 'c']) {
+            await undoRedoManager.execute(makeCommand(value));
+        }
+        await undoRedoManager.undo(2);
+        expect(values).toEqual(['a']);
+        await undoRedoManager.redo();
+        expect(values).toEqual(['a', 'b']);
+        await undoRedoManager.redo();
+        expect(values).toEqual(['a', 'b', 'c']);
+    });
+
+    test('getHistory lists undo and redo entries with labels and indexes', async () => {
+        class MoveLayerCommand {
+            execute() {}
+            undo() {}
+            serialize() {}
+        }
+        await undoRedoManager.execute(new MoveLayerCommand());
+        await undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn(), label: 'Rename' });
+        await undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() }, { label: 'Resize' });
+        await undoRedoManager.undo();
+
+        const history = undoRedoManager.getHistory();
+        expect(history.map(entry => entry.index)).toEqual([0, 1, 2]);
+        expect(history.map(entry => entry.label)).toEqual(['MoveLayerCommand', 'Rename', 'Resize']);
+        expect(history.map(entry => entry.undone)).toEqual([false, false, true]);
+        expect(history.map(entry => entry.current)).toEqual([false, true, false]);
+        expect(typeof history[0].timestamp).toBe('number');
+    });
+
+    test('goTo jumps to a history index with a single notification', async () => {
+        const values = [];
+        const makeCommand = (value) => ({
+            execute: jest.fn().mockImplementation(() => { values.push(value); }),
+            undo: jest.fn().mockImplementation(() => { values.pop(); }),
+            serialize: jest.fn()
+        });
+        const manager = new Oops({ mergeWindow: 0 });
+        for (const value of [1, 2, 3, 4]) {
+            await manager.execute(makeCommand(value));
+        }
+        const listener = jest.fn();
+        manager.addChangeListener(listener);
+
+        await manager.goTo(0);
+        expect(values).toEqual([1]);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ undoStackSize: 1, redoStackSize: 3 }));
+
+        await manager.goTo(2);
+        expect(values).toEqual([1, 2, 3]);
+        expect(listener).toHaveBeenCalledTimes(2);
+
+        await manager.goTo(-1);
+        expect(values).toEqual([]);
+
+        await expect(manager.goTo(4)).rejects.toThrow('Invalid history index: 4');
+    });
+
+    describe('command type registry', () => {
+        class SetValueCommand {
+            constructor(target, key, value) {
+                this.target = target;
+                this.key = key;
+                this.value = value;
+                this.previous = undefined;
+            }
+
+            execute() {
+                this.previous = this.target[this.key];
+                this.target[this.key] = this.value;
+            }
+
+            undo() {
+                this.target[this.key] = this.previous;
+            }
+        }
+
+        let doc;
+
+        const registerSetValue = (manager) => manager.registerCommandType('setValue', {
+            commandClass: SetValueCommand,
+            serialize: (command) => ({ key: command.key, value: command.value, previous: command.previous }),
+            deserialize: (data) => Object.assign(new SetValueCommand(doc, data.key, data.value), { previous: data.previous }),
+            create: () => new SetValueCommand(doc, 'created', true)
+        });
+
+        beforeEach(() => {
+            doc = {};
+            registerSetValue(undoRedoManager);
+        });
+
+        test('exportState and importState round-trip nested transactions', async () => {
+            await undoRedoManager.transaction(async (manager) => {
+                await manager.execute(new SetValueCommand(doc, 'a', 1));
+                await manager.transaction(async () => {
+                    await manager.execute(new SetValueCommand(doc, 'b', 2));
+                    await manager.execute(new SetValueCommand(doc, 'c', 3));
+                });
+            });
+            await undoRedoManager.execute(new SetValueCommand(doc, 'a', 4));
+            await undoRedoManager.undo();
+
+            const state = JSON.parse(undoRedoManager.serializeState());
+            expect(state.undoStack[0].type).toBe('CompositeCommand');
+            expect(state.undoStack[0].data[1].type).toBe('CompositeCommand');
+            expect(state.undoStack[0].data[1].data[0]).toEqual({ type: 'setValue', data: { key: 'b', value: 2 } });
+
+            const restored = new Oops();
+            registerSetValue(restored);
+            restored.importState(state);
+            await restored.redo();
+            expect(doc).toEqual({ a: 4, b: 2, c: 3 });
+            await restored.undo(2);
+            expect(doc).toEqual({ a: undefined, b: undefined, c: undefined });
+        });
+
+        test('execute creates registered command types by name', async () => {
+            await undoRedoManager.execute('setValue');
+            expect(doc.created).toBe(true);
+        });
+
+        test('serializeCommand falls back to the command\'s own serialize method', () => {
+            const mockCommand = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn().mockReturnValue({ type: 'MockCommand', data: {} }) };
+            expect(undoRedoManager.serializeCommand(mockCommand)).toEqual({ type: 'MockCommand', data: {} });
+        });
+
+        test('registerCommandType requires a deserialize function', () => {
+            expect(() => undoRedoManager.registerCommandType('broken', {})).toThrow('Command type broken must have a deserialize function');
+        });
+    });
+
+    describe('state versioning and migrations', () => {
+        class OffsetCommand {
+            constructor(dx, dy) {
+                this.dx = dx;
+                this.dy = dy;
+            }
+
+            execute() {}
+            undo() {}
+        }
+
+        const registerOffset = (manager, version) => manager.registerCommandType('offset', {
+            version,
+            commandClass: OffsetCommand,
+            serialize: (command) => version === 1 ? { offset: command.dx } : { dx: command.dx, dy: command.dy },
+            deserialize: (data) => new OffsetCommand(data.dx, data.dy)
+        });
+
+        test('exportState records the format and command type versions', async () => {
+            registerOffset(undoRedoManager, 3);
+            const state = undoRedoManager.exportState();
+            expect(state.formatVersion).toBe(Oops.STATE_FORMAT_VERSION);
+            expect(state.commandVersions).toEqual({ CompositeCommand: 1, InverseCommand: 1, PatchCommand: 1, offset: 3 });
+        });
+
+        test('importState runs registered migrations in sequence, including nested commands', async () => {
+            const oldManager = new Oops();
+            registerOffset(oldManager, 1);
+            await oldManager.transaction(async (manager) => {
+                await manager.execute(new OffsetCommand(5, 0));
+                await manager.execute(new OffsetCommand(7, 0));
+            });
+            const state = JSON.parse(oldManager.serializeState());
+
+            registerOffset(undoRedoManager, 3);
+            undoRedoManager.registerMigration('offset', 1, (data) => ({ x: data.offset }));
+            undoRedoManager.registerMigration('offset', 2, (data) => ({ dx: data.x, dy: 0 }));
+            undoRedoManager.importState(state);
+
+            const [composite] = undoRedoManager.undoStack;
+            expect(composite.commands.map(cmd => [cmd.dx, cmd.dy])).toEqual([[5, 0], [7, 0]]);
+        });
+
+        test('states without a format version are treated as version 1', () => {
+            registerOffset(undoRedoManager, 2);
+            undoRedoManager.registerMigration('offset', 1, (data) => ({ dx: data.offset, dy: 0 }));
+            undoRedoManager.importState({ undoStack: [{ type: 'offset', data: { offset: 3 } }], redoStack: [] });
+            expect(undoRedoManager.undoStack[0].dx).toBe(3);
+        });
+
+        test('importState reports every command that cannot be migrated and keeps the current history', async () => {
+            registerOffset(undoRedoManager, 2);
+            const current = { execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() };
+            await undoRedoManager.execute(current);
+            const state = {
+                formatVersion: 2,
+                commandVersions: { offset: 1 },
+                undoStack: [{ type: 'offset', data: { offset: 1 } }, { type: 'unknown', data: {} }],
+                redoStack: [{ type: 'offset', data: { offset: 2 } }]
+            };
+
+            const error = (() => {
+                try {
+                    undoRedoManager.importState(state);
+                } catch (e) {
+                    return e;
+                }
+            })();
+
+            expect(error).toBeInstanceOf(Oops.StateImportError);
+            expect(error.message).toMatch(/^Failed to import state: /);
+            expect(error.report.valid).toBe(false);
+            expect(error.report.issues).toEqual([
+                { path: 'undoStack[0]', type: 'offset', version: 1, message: 'undoStack[0]: No migration registered for offset from version 1 to 2' },
+                { path: 'undoStack[1]', type: 'unknown', version: 1, message: 'undoStack[1]: Unknown command type: unknown' },
+                { path: 'redoStack[0]', type: 'offset', version: 1, message: 'redoStack[0]: No migration registered for offset from version 1 to 2' }
+            ]);
+            expect(undoRedoManager.undoStack).toEqual([current]);
+        });
+
+        test('validateState rejects states from newer versions', () => {
+            registerOffset(undoRedoManager, 1);
+            expect(undoRedoManager.validateState({ formatVersion: 99, undoStack: [], redoStack: [] }).issues[0].message)
+                .toBe(`State format version 99 is newer than the supported version ${Oops.STATE_FORMAT_VERSION}`);
+            expect(undoRedoManager.validateState({
+                commandVersions: { offset: 2 },
+                formatVersion: 2,
+                undoStack: [{ type: 'offset', data: {} }],
+                redoStack: []
+            }).issues[0].message).toBe('undoStack[0]: offset version 2 is newer than the supported version 1');
+            expect(undoRedoManager.validateState({ formatVersion: 2, undoStack: [], redoStack: [] }).valid).toBe(true);
+        });
+
+        test('importState rejects invalid format versions with a report', () => {
+            for (const formatVersion of [-1, 1.5, '2']) {
+                const state = { formatVersion, undoStack: [], redoStack: [] };
+                expect(undoRedoManager.validateState(state).issues).toEqual([
+                    { path: '', type: null, version: formatVersion, message: `Invalid state format version: ${formatVersion}` }
+                ]);
+                expect(() => undoRedoManager.importState(state)).toThrow(Oops.StateImportError);
+            }
+        });
+
+        test('entry ids, actors, labels and timestamps are exported and imported', async () => {
+            const oldManager = new Oops({ actorId: 'alice', mergeWindow: 0 });
+            registerOffset(oldManager, 2);
+            await oldManager.execute(new OffsetCommand(1, 0), { label: 'Nudge', timestamp: 100 });
+            await oldManager.execute(new OffsetCommand(2, 0), { actor: 'bob', id: 'bob:7', timestamp: 200 });
+            await oldManager.execute(new OffsetCommand(3, 0), { timestamp: 300 });
+            await oldManager.undo();
+            const state = JSON.parse(oldManager.serializeState());
+
+            const restored = new Oops({ actorId: 'alice' });
+            registerOffset(restored, 2);
+            restored.importState(state);
+
+            expect(restored.getHistory().map(({ id, actor, label, timestamp }) => ({ id, actor, label, timestamp }))).toEqual([
+                { id: 'alice:1', actor: 'alice', label: 'Nudge', timestamp: 100 },
+                { id: 'bob:7', actor: 'bob', label: 'OffsetCommand', timestamp: 200 },
+                { id: 'alice:2', actor: 'alice', label: 'OffsetCommand', timestamp: 300 }
+            ]);
+            expect(restored.canUndo).toBe(true);
+            expect(restored.createCommandId()).toBe('alice:3');
+            await restored.undo();
+            expect(restored.undoStack).toHaveLength(1);
+        });
+
+        test('entry metadata is kept for the nodes of a history tree', async () => {
+            const oldManager = new Oops({ historyTree: true });
+            registerOffset(oldManager, 2);
+            await oldManager.execute(new OffsetCommand(1, 0), { id: 'first' });
+            await oldManager.undo();
+            await oldManager.execute(new OffsetCommand(2, 0), { id: 'second' });
+
+            registerOffset(undoRedoManager, 2);
+            undoRedoManager.importState(JSON.parse(oldManager.serializeState()));
+
+            expect(undoRedoManager.getBranches().map(branch => undoRedoManager.getCommandId(branch.command))).toEqual(['first', 'second']);
+        });
+    });
+
+    describe('typed events', () => {
+        const makeCommand = () => ({ execute: jest.fn(), undo: jest.fn(), serialize: jest.fn() });
+
+        test('execute, undo and redo emit events carrying their commands', async () => {
+            const events = [];
+            for (const type of ['execute', 'undo', 'redo']) {
+                undoRedoManager.on(type, event => events.push(event));
+            }
+            const mockCommand1 = makeCommand();
+            const mockCommand2 = makeCommand();
+
+            await undoRedoManager.execute(mockCommand1);
+            await undoRedoManager.execute(mockCommand2);
+            await undoRedoManager.undo(2);
+            await undoRedoManager.redo();
+
+            expect(events.map(event => event.type)).toEqual(['execute', 'execute', 'undo', 'redo']);
+            expect(events[0].command).toBe(mockCommand1);
+            expect(events[2].commands).toEqual([mockCommand2, mockCommand1]);
+            expect(events[3].commands).toEqual([mockCommand1]);
+            expect(events[3].state).toEqual(expect.objectContaining({ canUndo: true, canRedo: true, undoStackSize: 1, redoStackSize: 1 }));
+        });
+
+        test('merging emits a merge event with both commands', async () => {
+            const merged = makeCommand();
+            const mockCommand1 = makeCommand();
+            const mockCommand2 = { ...makeCommand(), canMerge: jest.fn().mockReturnValue(true), merge: jest.fn().mockReturnValue(merged) };
+            const listener = jest.fn();
+            undoRedoManager.on('merge', listener);
+
+            await undoRedoManager.execute(mockCommand1);
+            await undoRedoManager.execute(mockCommand2);
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'merge',
+                command: merged,
+                commands: [mockCommand1, mockCommand2]
+            }));
+        });
+
+        test('transactions emit begin, commit and abort events', async () => {
+            const types = [];
+            for (const type of ['transactionBegin', 'transactionCommit', 'transactionAbort']) {
+                undoRedoManager.on(type, event => types.push(`${type}:${event.depth}`));
+            }
+
+            undoRedoManager.beginTransaction();
+            await undoRedoManager.execute(makeCommand());
+            undoRedoManager.beginTransaction();
+            await undoRedoManager.abortTransaction();
+            await undoRedoManager.commitTransaction();
+
+            expect(types).toEqual(['transactionBegin:1', 'transactionBegin:2', 'transactionAbort:2', 'transactionCommit:1']);
+        });
+
+        test('clear, import, snapshot and compress emit events', async () => {
+            const listener = jest.fn();
+            for (const type of ['clear', 'import', 'snapshot', 'compress']) {
+                undoRedoManager.on(type, listener);
+            }
+            const mockCommand = { ...makeCommand(), serialize: jest.fn().mockReturnValue({ type: 'MockCommand', data: {} }) };
+            undoRedoManager.registerCommand('MockCommand', () => makeCommand());
+
+            await undoRedoManager.execute(mockCommand);
+            undoRedoManager.createSnapshot();
+            undoRedoManager.compressHistory();
+            undoRedoManager.importState(undoRedoManager.exportState());
+            undoRedoManager.clear();
+
+            expect(listener.mock.calls.map(([event]) => event.type)).toEqual(['snapshot', 'compress', 'import', 'clear']);
+            expect(listener.mock.calls[3][0].commands).toHaveLength(1);
+        });
+
+        test('failures emit an error event', async () => {
+            const listener = jest.fn();
+            undoRedoManager.on('error', listener);
+            const failing = { ...makeCommand(), undo: jest.fn().mockRejectedValue(new Error('Undo failed')) };
+            console.error = jest.fn();
+
+            await undoRedoManager.execute(failing);
+            await expect(undoRedoManager.undo()).rejects.toThrow('Undo failed');
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'error', operation: 'undo', command: failing }));
+        });
+
+        test('once, off and the returned unsubscribe function remove listeners', async () => {
+            const onceListener = jest.fn();
+            const offListener = jest.fn();
+            const unsubscribedListener = jest.fn();
+            undoRedoManager.once('execute', onceListener);
+            undoRedoManager.on('execute', offListener);
+            const unsubscribe = undoRedoManager.on('execute', unsubscribedListener);
+
+            await undoRedoManager.execute(makeCommand());
+            undoRedoManager.off('execute', offListener);
+            unsubscribe();
+            await undoRedoManager.execute(makeCommand());
+
+            expect(onceListener).toHaveBeenCalledTimes(1);
+            expect(offListener).toHaveBeenCalledTimes(1);
+            expect(unsubscribedListener).toHaveBeenCalledTimes(1);
+        });
+
+        test('silent execution does not emit events', async () => {
+            const listener = jest.fn();
+            undoRedoManager.on('execute', listener);
+            await undoRedoManager.execute(makeCommand(), { silent: true });
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('history tree mode', () => {
+        let treeManager;
+        let values;
+
+        const makeCommand = (value) => ({
+            value,
+            execute: jest.fn().mockImplementation(() => { values.push(value); }),
+            undo: jest.fn().mockImplementation(() => { values.pop(); }),
+            serialize: jest.fn().mockReturnValue({ type: 'PushCommand', data: { value } })
+        });
+
+        beforeEach(() => {
+            values = [];
+            treeManager = new Oops({ historyTree: true, mergeWindow: 0 });
+            treeManager.registerCommand('PushCommand', (data) => makeCommand(data.value));
+        });
+
+        test('executing after an undo starts a new branch', async () => {
+            await treeManager.execute(makeCommand('a'));
+            await treeManager.execute(makeCommand('b'));
+            await treeManager.undo();
+            await treeManager.execute(makeCommand('c'));
+
+            expect(values).toEqual(['a', 'c']);
+            expect(treeManager.canRedo).toBe(false);
+
+            const branches = treeManager.getBranches();
+            expect(branches.map(branch => branch.command.value)).toEqual(['b', 'c']);
+            expect(branches.map(branch => branch.active)).toEqual([false, true]);
+            expect(branches.map(branch => branch.depth)).toEqual([2, 2]);
+        });
+
+        test('switchBranch moves to a sibling branch', async () => {
+            await treeManager.execute(makeCommand('a'));
+            await treeManager.execute(makeCommand('b'));
+            await treeManager.undo();
+            await treeManager.execute(makeCommand('c'));
+
+            await expect(treeManager.switchBranch()).resolves.toBe(true);
+            expect(values).toEqual(['a', 'b']);
+            await expect(treeManager.switchBranch(-1)).resolves.toBe(true);
+            expect(values).toEqual(['a', 'c']);
+
+            await treeManager.undo();
+            await treeManager.redo();
+            expect(values).toEqual(['a', 'c']);
+        });
+
+        test('jumpTo moves to any node by id', async () => {
+            await treeManager.execute(makeCommand('a'));
+            await treeManager.execute(makeCommand('b'));
+            await treeManager.execute(makeCommand('c'));
+            await treeManager.undo(2);
+            await treeManager.execute(makeCommand('d'));
+
+            const [oldBranch] = treeManager.getBranches();
+            await treeManager.jumpTo(oldBranch.id);
+            expect(values).toEqual(['a', 'b', 'c']);
+            expect(treeManager.undoStack.map(cmd => cmd.value)).toEqual(['a', 'b', 'c']);
+
+            await treeManager.jumpTo(0);
+            expect(values).toEqual([]);
+            expect(treeManager.canUndo).toBe(false);
+            expect(treeManager.redoStack.map(cmd => cmd.value)).toEqual(['c', 'b', 'a']);
+
+            await expect(treeManager.jumpTo(99)).rejects.toThrow('Unknown history node: 99');
+        });
+
+        test('a failed jump moves back to where it started', async () => {
+            await treeManager.execute(makeCommand('a'));
+            await treeManager.execute(makeCommand('b'));
+            await treeManager.undo();
+            const broken = makeCommand('c');
+            await treeManager.execute(broken);
+            await treeManager.undo();
+            await treeManager.execute(makeCommand('d'));
+            broken.execute.mockImplementation(() => { throw new Error('Execution failed'); });
+
+            const [, brokenBranch] = treeManager.getBranches();
+            const error = await treeManager.jumpTo(brokenBranch.id).catch(e => e);
+
+            expect(error).toBeInstanceOf(HistoryOperationError);
+            expect(error.operation).toBe('jump');
+            expect(error.command).toBe(broken);
+            expect(error.rolledBack).toBe(true);
+            expect(values).toEqual(['a', 'd']);
+            expect(treeManager.undoStack.map(cmd => cmd.value)).toEqual(['a', 'd']);
+        });
+
+        test('exportState and importState round-trip the whole tree', async () => {
+            await treeManager.execute(makeCommand('a'));
+            await treeManager.execute(makeCommand('b'));
+            await treeManager.undo();
+            await treeManager.execute(makeCommand('c'));
+            await treeManager.undo();
+
+            const restored = new Oops();
+            restored.registerCommand('PushCommand', (data) => makeCommand(data.value));
+            restored.deserializeState(treeManager.serializeState());
+
+            expect(restored.getBranches().map(branch => branch.command.value)).toEqual(['b', 'c']);
+            expect(restored.undoStack.map(cmd => cmd.value)).toEqual(['a']);
+            expect(restored.redoStack.map(cmd => cmd.value)).toEqual(['c']);
+        });
+
+        test('tree methods throw when history tree mode is not enabled', () => {
+            expect(() => undoRedoManager.getBranches()).toThrow('History tree mode is not enabled');
+            expect(() => undoRedoManager.jumpTo(0)).toThrow('History tree mode is not enabled');
+        });
+    });
+
+    describe('memory budget', () => {
+        const makeSizedCommand = (value, size) => ({
+            value,
+            execute: jest.fn(),
+            undo: jest.fn(),
+            getSize: () => size,
+            serialize: () => ({ type: 'SizedCommand', data: { value } })
+        });
+
+        test('commands report their own size, or are estimated', async () => {
+            await undoRedoManager.execute(makeSizedCommand('a', 1000));
+            expect(undoRedoManager.getMemoryUsage().commands).toBe(1000);
+
+            expect(Oops.estimateSize({ text: 'abcd', count: 1 })).toBe(2 * 4 + 2 * 4 + 2 * 5 + 8);
+            expect(Oops.estimateSize({ pixels: new Uint8Array(1024) })).toBe(2 * 6 + 1024);
+            const shared = { text: 'abcd' };
+            expect(Oops.estimateSize([shared, shared])).toBe(Oops.estimateSize(shared));
+        });
+
+        test('the oldest commands are evicted when the budget is exceeded', async () => {
+            const manager = new Oops({ maxMemory: 2500, mergeWindow: 0 });
+            const listener = jest.fn();
+            manager.on('evict', listener);
+            const commands = [makeSizedCommand('a', 1000), makeSizedCommand('b', 1000), makeSizedCommand('c', 1000)];
+
+            for (const command of commands) {
+                await manager.execute(command);
+            }
+
+            expect(manager.undoStack.map(cmd => cmd.value)).toEqual(['b', 'c']);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ commands: [commands[0]], snapshots: [] }));
+            expect(manager.getState()).toEqual(expect.objectContaining({ memoryUsage: 2000, maxMemory: 2500 }));
+        });
+
+        test('the most recent command is kept even if it exceeds the budget', async () => {
+            const manager = new Oops({ maxMemory: 500 });
+            const listener = jest.fn();
+            manager.on('evict', listener);
+            await manager.execute(makeSizedCommand('a', 1000));
+            expect(manager.undoStack.map(cmd => cmd.value)).toEqual(['a']);
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        test('memory usage is only estimated with a budget', async () => {
+            const manager = new Oops();
+            const command = makeSizedCommand('a', 100);
+            command.getSize = jest.fn(() => 100);
+            await manager.execute(command);
+
+            expect(manager.getState().memoryUsage).toBeNull();
+            expect(command.getSize).not.toHaveBeenCalled();
+            expect(manager.getMemoryUsage().total).toBe(100);
+        });
+
+        test('stale snapshots are evicted before commands', async () => {
+            const manager = new Oops({ maxMemory: 5000, snapshotInterval: 2, mergeWindow: 0, estimateSize: () => 1000 });
+            await manager.execute(makeSizedCommand('a', 100));
+            await manager.execute(makeSizedCommand('b', 100));
+            await manager.execute(makeSizedCommand('c', 100));
+            await manager.execute(makeSizedCommand('d', 100));
+            expect(Array.from(manager.snapshots.keys())).toEqual([2, 4]);
+
+            await manager.undo(3);
+            await manager.execute(makeSizedCommand('e', 100));
+            await manager.execute(makeSizedCommand('f', 3500));
+
+            // The snapshot at 4 was taken of commands that were undone and discarded
+            expect(Array.from(manager.snapshots.keys())).toEqual([2]);
+            expect(manager.undoStack.map(cmd => cmd.value)).toEqual(['a', 'e', 'f']);
+        });
+
+        test('the size of a merged command is estimated again', async () => {
+            const manager = new Oops();
+            const first = makeSizedCommand('a', 100);
+            first.canMerge = () => false;
+            const second = makeSizedCommand('b', 100);
+            second.canMerge = () => true;
+            second.merge = (previous) => makeSizedCommand('ab', 300);
+
+            await manager.execute(first);
+            await manager.execute(second);
+
+            expect(manager.getMemoryUsage().commands).toBe(300);
+        });
+
+        test('in history tree mode, other branches count towards the budget', async () => {
+            const manager = new Oops({ historyTree: true, maxMemory: 2500, mergeWindow: 0 });
+            await manager.execute(makeSizedCommand('a', 1000));
+            await manager.execute(makeSizedCommand('b', 1000));
+            await manager.undo();
+            await manager.execute(makeSizedCommand('c', 1000));
+
+            expect(manager.undoStack.map(cmd => cmd.value)).toEqual(['c']);
+            expect(manager.getBranches().map(branch => branch.command.value)).toEqual(['b', 'c']);
+            expect(manager.getMemoryUsage().commands).toBe(2000);
+        });
+    });
+
+    describe('patch commands', () => {
+        let state;
+
+        beforeEach(() => {
+            state = { title: 'Draft', todos: [{ text: 'a', done: false }], tags: { urgent: true } };
+        });
+
+        test('mutate records patches that undo and redo the change', async () => {
+            await undoRedoManager.mutate(state, draft => {
+                draft.title = 'Final';
+                draft.todos.push({ text: 'b', done: false });
+                draft.todos[0].done = true;
+                delete draft.tags.urgent;
+            });
+
+            const command = undoRedoManager.undoStack[0];
+            expect(command).toBeInstanceOf(Oops.PatchCommand);
+            expect(command.patches).toEqual([
+                { op: 'replace', path: '/title', value: 'Final' },
+                { op: 'replace', path: '/todos/0/done', value: true },
+                { op: 'add', path: '/todos/1', value: { text: 'b', done: false } },
+                { op: 'remove', path: '/tags/urgent' }
+            ]);
+            expect(state).toEqual({ title: 'Final', todos: [{ text: 'a', done: true }, { text: 'b', done: false }], tags: {} });
+
+            await undoRedoManager.undo();
+            expect(state).toEqual({ title: 'Draft', todos: [{ text: 'a', done: false }], tags: { urgent: true } });
+
+            await undoRedoManager.redo();
+            expect(state.todos).toHaveLength(2);
+        });
+
+        test('the recipe sees the changes of earlier queued commands', async () => {
+            undoRedoManager.mutate(state, draft => { draft.todos.push({ text: 'b', done: false }); });
+            await undoRedoManager.mutate(state, draft => { draft.todos[1].done = true; });
+            expect(state.todos[1]).toEqual({ text: 'b', done: true });
+        });
+
+        test('a failing recipe leaves the target and the history unchanged', async () => {
+            console.error = jest.fn();
+            await expect(undoRedoManager.mutate(state, draft => {
+                draft.title = 'Changed';
+                throw new Error('Recipe failed');
+            })).rejects.toThrow('Recipe failed');
+            expect(state.title).toBe('Draft');
+            expect(undoRedoManager.canUndo).toBe(false);
+        });
+
+        test('changes to the same paths are merged', async () => {
+            await undoRedoManager.mutate(state, draft => { draft.title = 'D'; });
+            await undoRedoManager.mutate(state, draft => { draft.title = 'Do'; });
+            await undoRedoManager.mutate(state, draft => { draft.todos[0].done = true; });
+
+            expect(undoRedoManager.undoStack).toHaveLength(2);
+            expect(undoRedoManager.undoStack[0].patches).toEqual([{ op: 'replace', path: '/title', value: 'Do' }]);
+
+            await undoRedoManager.undo(2);
+            expect(state.title).toBe('Draft');
+        });
+
+        test('merged commands with structural changes apply their patches in sequence', async () => {
+            await undoRedoManager.mutate(state, draft => { draft.tags.draft = true; });
+            await undoRedoManager.mutate(state, draft => { delete draft.tags.draft; });
+
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            expect(undoRedoManager.undoStack[0].patches).toEqual([
+                { op: 'add', path: '/tags/draft', value: true },
+                { op: 'remove', path: '/tags/draft' }
+            ]);
+
+            await undoRedoManager.undo();
+            expect(state.tags).toEqual({ urgent: true });
+            await undoRedoManager.redo();
+            expect(state.tags).toEqual({ urgent: true });
+        });
+
+        test('PatchCommand applies move, copy and test operations', async () => {
+            const command = new Oops.PatchCommand(state,
+                [
+                    { op: 'test', path: '/title', value: 'Draft' },
+                    { op: 'copy', from: '/todos/0', path: '/todos/-' },
+                    { op: 'move', from: '/tags/urgent', path: '/urgent' }
+                ],
+                [
+                    { op: 'move', from: '/urgent', path: '/tags/urgent' },
+                    { op: 'remove', path: '/todos/1' }
+                ]);
+
+            await undoRedoManager.execute(command);
+            expect(state).toEqual({ title: 'Draft', todos: [{ text: 'a', done: false }, { text: 'a', done: false }], tags: {}, urgent: true });
+
+            await undoRedoManager.undo();
+            expect(state).toEqual({ title: 'Draft', todos: [{ text: 'a', done: false }], tags: { urgent: true } });
+
+            console.error = jest.fn();
+            const failing = new Oops.PatchCommand(state, [{ op: 'test', path: '/title', value: 'Final' }], []);
+            await expect(undoRedoManager.execute(failing)).rejects.toThrow('Test failed: /title');
+        });
+
+        test('paths with special characters are escaped', async () => {
+            await undoRedoManager.mutate(state, draft => { draft.tags['a/b~c'] = 1; });
+            expect(undoRedoManager.undoStack[0].patches).toEqual([{ op: 'add', path: '/tags/a~1b~0c', value: 1 }]);
+            await undoRedoManager.undo();
+            expect(state.tags).toEqual({ urgent: true });
+        });
+
+        test('patch commands are exported and imported through a registered target', async () => {
+            undoRedoManager.registerPatchTarget('document', state);
+            await undoRedoManager.mutate(state, draft => { draft.title = 'Final'; });
+
+            const copy = { title: 'Final', todos: [], tags: {} };
+            const restored = new Oops();
+            restored.registerPatchTarget('document', copy);
+            restored.deserializeState(undoRedoManager.serializeState());
+
+            await restored.undo();
+            expect(copy.title).toBe('Draft');
+        });
+
+        test('patch commands on unregistered targets cannot be exported', async () => {
+            await undoRedoManager.mutate(state, draft => { draft.title = 'Final'; });
+            expect(() => undoRedoManager.exportState()).toThrow('PatchCommand target is not registered');
+        });
+
+        test('mutate works past the snapshot interval without a registered target', async () => {
+            undoRedoManager = new Oops({ snapshotInterval: 3, mergeWindow: 0 });
+            const counter = { n: 0 };
+            const states = [];
+            const errors = [];
+            undoRedoManager.addChangeListener(state => states.push(state));
+            undoRedoManager.on('error', event => errors.push(event));
+
+            for (let i = 0; i < 7; i++) {
+                await undoRedoManager.mutate(counter, draft => { draft.n++; });
+            }
+
+            expect(counter.n).toBe(7);
+            expect(undoRedoManager.undoStack).toHaveLength(7);
+            expect(states).toHaveLength(7);
+            expect(undoRedoManager.snapshots.size).toBe(0);
+            expect(errors.map(event => event.operation)).toEqual(['snapshot', 'snapshot']);
+            expect(errors[0].error.message).toMatch('PatchCommand target is not registered');
+            await undoRedoManager.undo(7);
+            expect(counter.n).toBe(0);
+        });
+
+        test('a snapshot that cannot be serialized keeps the previous one at its key', async () => {
+            undoRedoManager = new Oops({ snapshotInterval: 2, mergeWindow: 0 });
+            undoRedoManager.on('error', () => {});
+            const serializable = () => ({ execute() {}, undo() {}, serialize: () => ({ type: 'MockCommand', data: {} }) });
+            await undoRedoManager.execute(serializable());
+            await undoRedoManager.execute(serializable());
+            const snapshot = undoRedoManager.snapshots.get(2);
+            await undoRedoManager.undo();
+
+            await undoRedoManager.mutate({ n: 0 }, draft => { draft.n++; });
+
+            expect(undoRedoManager.snapshots.get(2)).toBe(snapshot);
+            expect(() => undoRedoManager.createSnapshot()).toThrow('PatchCommand target is not registered');
+            expect(undoRedoManager.snapshots.get(2)).toBe(snapshot);
+        });
+    });
+
+    describe('selective undo', () => {
+        let shapes;
+
+        class SetColorCommand {
+            constructor(id, color) {
+                this.id = id;
+                this.color = color;
+                this.previous = null;
+            }
+
+            execute() {
+                this.previous = shapes[this.id];
+                shapes[this.id] = this.color;
+            }
+
+            undo() {
+                shapes[this.id] = this.previous;
+            }
+
+            getResources() {
+                return [`shape/${this.id}`];
+            }
+        }
+
+        beforeEach(() => {
+            shapes = { a: 'white', b: 'white' };
+        });
+
+        test('undoCommand reverts an earlier command as a new history entry', async () => {
+            await undoRedoManager.execute(new SetColorCommand('a', 'red'), { label: 'Color A' });
+            await undoRedoManager.execute(new SetColorCommand('b', 'blue'));
+            const [entry] = undoRedoManager.getHistory();
+
+            await undoRedoManager.undoCommand(entry.id);
+
+            expect(shapes).toEqual({ a: 'white', b: 'blue' });
+            expect(undoRedoManager.undoStack).toHaveLength(3);
+            expect(undoRedoManager.undoStack[2]).toBeInstanceOf(Oops.InverseCommand);
+            expect(undoRedoManager.getHistory()[2].label).toBe('Undo Color A');
+
+            await undoRedoManager.undo();
+            expect(shapes).toEqual({ a: 'red', b: 'blue' });
+        });
+
+        test('undoCommand accepts an index into the undo stack', async () => {
+            await undoRedoManager.execute(new SetColorCommand('a', 'red'));
+            await undoRedoManager.execute(new SetColorCommand('b', 'blue'));
+
+            await undoRedoManager.undoCommand(1);
+            expect(shapes).toEqual({ a: 'red', b: 'white' });
+        });
+
+        test('later commands on the same resources are reported as conflicts', async () => {
+            console.error = jest.fn();
+            const listener = jest.fn();
+            undoRedoManager.on('error', listener);
+            await undoRedoManager.execute(new SetColorCommand('a', 'red'));
+            await undoRedoManager.execute(new SetColorCommand('b', 'blue'));
+            await undoRedoManager.execute(new SetColorCommand('a', 'green'));
+
+            const report = undoRedoManager.checkUndoCommand(0);
+            expect(report.canUndo).toBe(false);
+            expect(report.resources).toEqual(['shape/a']);
+            expect(report.conflicts).toEqual([
+                { index: 2, id: undoRedoManager.getHistory()[2].id, command: undoRedoManager.undoStack[2], resources: ['shape/a'] }
+            ]);
+
+            const error = await undoRedoManager.undoCommand(0).catch(e => e);
+            expect(error).toBeInstanceOf(Oops.UndoConflictError);
+            expect(error.report.conflicts).toHaveLength(1);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ operation: 'undoCommand' }));
+            expect(shapes).toEqual({ a: 'green', b: 'blue' });
+            expect(undoRedoManager.undoStack).toHaveLength(3);
+        });
+
+        test('commands that do not declare their resources are assumed to conflict', async () => {
+            await undoRedoManager.execute(new SetColorCommand('a', 'red'));
+            await undoRedoManager.execute({ execute: jest.fn(), undo: jest.fn() });
+
+            const report = undoRedoManager.checkUndoCommand(0);
+            expect(report.canUndo).toBe(false);
+            expect(report.conflicts[0].resources).toBeNull();
+        });
+
+        test('a command that was already reverted cannot be reverted again', async () => {
+            await undoRedoManager.execute(new SetColorCommand('a', 'red'));
+            await undoRedoManager.undoCommand(0);
+
+            expect(undoRedoManager.checkUndoCommand(0).canUndo).toBe(false);
+        });
+
+        test('patch commands declare the paths they change', async () => {
+            const state = { title: 'Draft', tags: { urgent: true } };
+            await undoRedoManager.mutate(state, draft => { draft.title = 'Final'; });
+            await undoRedoManager.mutate(state, draft => { draft.tags.urgent = false; });
+            await undoRedoManager.mutate(state, draft => { delete draft.tags; });
+
+            expect(undoRedoManager.checkUndoCommand(0).canUndo).toBe(true);
+            expect(undoRedoManager.checkUndoCommand(1).conflicts.map(conflict => conflict.resources)).toEqual([['/tags']]);
+        });
+
+        test('unknown entries are rejected', async () => {
+            await expect(undoRedoManager.undoCommand('missing')).rejects.toThrow('No command to undo: missing');
+            expect(() => undoRedoManager.checkUndoCommand(0)).toThrow('No command to undo: 0');
+        });
+    });
+
+    describe('merge policies', () => {
+        let doc;
+
+        class TypeCommand {
+            constructor(text) {
+                this.text = text;
+            }
+
+            execute() {
+                doc.text += this.text;
+            }
+
+            undo() {
+                doc.text = doc.text.slice(0, -this.text.length);
+            }
+
+            canMerge(other) {
+                return other instanceof TypeCommand;
+            }
+
+            merge(previous) {
+                return new TypeCommand(previous.text + this.text);
+            }
+        }
+
+        const type = async (text, options) => {
+            for (const char of text) {
+                await undoRedoManager.execute(new TypeCommand(char), options);
+            }
+        };
+
+        const entries = () => undoRedoManager.undoStack.map(command => command.text);
+
+        beforeEach(() => {
+            doc = { text: '' };
+        });
+
+        test('the default policy merges within mergeWindow', async () => {
+            undoRedoManager = new Oops({ mergeWindow: 100 });
+            await type('ab', { timestamp: 1000 });
+            await type('c', { timestamp: 1099 });
+            await type('d', { timestamp: 1300 });
+
+            expect(entries()).toEqual(['abc', 'd']);
+        });
+
+        test('a mergeWindow of 0 disables merging', async () => {
+            undoRedoManager = new Oops({ mergeWindow: 0 });
+            await type('ab');
+
+            expect(entries()).toEqual(['a', 'b']);
+        });
+
+        test('wordBoundary merges typed text word by word', async () => {
+            undoRedoManager.setMergePolicy(TypeCommand, Oops.mergePolicies.wordBoundary());
+            let timestamp = 0;
+            for (const char of 'hello big world') {
+                timestamp += 5000;
+                await undoRedoManager.execute(new TypeCommand(char), { timestamp });
+            }
+
+            expect(entries()).toEqual(['hello ', 'big ', 'world']);
+            await undoRedoManager.undo();
+            expect(doc.text).toBe('hello big ');
+        });
+
+        test('untilBreak merges until breakMergeGroup is called', async () => {
+            undoRedoManager.setMergePolicy(TypeCommand, Oops.mergePolicies.untilBreak());
+            undoRedoManager.execute(new TypeCommand('a'), { timestamp: 0 });
+            undoRedoManager.execute(new TypeCommand('b'), { timestamp: 60000 });
+            undoRedoManager.breakMergeGroup();
+            await undoRedoManager.execute(new TypeCommand('c'), { timestamp: 60000 });
+
+            expect(entries()).toEqual(['ab', 'c']);
+        });
+
+        test('whileKeyHeld merges while the same key is held', async () => {
+            const policy = Oops.mergePolicies.whileKeyHeld();
+            undoRedoManager.setMergePolicy(TypeCommand, policy);
+
+            policy.keyDown('ArrowRight', 1000);
+            await type('ab', { timestamp: 1000 });
+            policy.keyDown('ArrowRight', 1100); // auto-repeat
+            await type('c', { timestamp: 1100 });
+            policy.keyUp('ArrowRight');
+            await type('d', { timestamp: 1200 });
+            policy.keyDown('ArrowLeft', 1300);
+            await type('ef', { timestamp: 1300 });
+
+            expect(entries()).toEqual(['abc', 'd', 'ef']);
+        });
+
+        test('policies can be set by command type name and reset', async () => {
+            undoRedoManager.registerCommandType('type', {
+                commandClass: TypeCommand,
+                deserialize: (data) => new TypeCommand(data.text)
+            });
+            undoRedoManager.setMergePolicy('type', () => false);
+            await type('ab');
+            undoRedoManager.setMergePolicy('type', null);
+            await type('cd');
+
+            expect(entries()).toEqual(['a', 'bcd']);
+            expect(() => undoRedoManager.setMergePolicy('unknown', () => true)).toThrow('has no commandClass');
+        });
+
+        test('all combines policies', async () => {
+            const { all, timeWindow, wordBoundary } = Oops.mergePolicies;
+            undoRedoManager.setMergePolicy(TypeCommand, all(wordBoundary(), timeWindow(1000)));
+            await type('a b', { timestamp: 0 });
+            await type('c', { timestamp: 5000 });
+
+            expect(entries()).toEqual(['a ', 'b', 'c']);
+        });
+
+        test('compressHistory merges in the same direction as execute', async () => {
+            let allow = false;
+            undoRedoManager.setMergePolicy(TypeCommand, () => allow);
+            await type('abc');
+            const merge = jest.spyOn(TypeCommand.prototype, 'merge');
+
+            allow = true;
+            undoRedoManager.compressHistory();
+
+            expect(entries()).toEqual(['abc']);
+            expect(merge.mock.instances[0].text).toBe('b');
+            expect(merge.mock.calls[0][0].text).toBe('a');
+            merge.mockRestore();
+        });
+
+        test('compressHistory follows the merge policy and merge group breaks', async () => {
+            undoRedoManager = new Oops();
+            undoRedoManager.setMergePolicy(TypeCommand, Oops.mergePolicies.untilBreak());
+            for (const char of 'abcd') {
+                await undoRedoManager.breakMergeGroup();
+                await type(char);
+            }
+            await type('e', { timestamp: 0 });
+            undoRedoManager.setMergePolicy(TypeCommand, Oops.mergePolicies.timeWindow(1000));
+            await type('f', { timestamp: 5000 });
+
+            undoRedoManager.compressHistory();
+
+            expect(entries()).toEqual(['a', 'b', 'c', 'de', 'f']);
+        });
+    });
+
+    describe('save points and checkpoints', () => {
+        let doc;
+
+        class AppendCommand {
+            constructor(text) {
+                this.text = text;
+            }
+
+            execute() {
+                doc.text += this.text;
+            }
+
+            undo() {
+                doc.text = doc.text.slice(0, -this.text.length);
+            }
+
+            canMerge(other) {
+                return other instanceof AppendCommand;
+            }
+
+            merge(previous) {
+                return new AppendCommand(previous.text + this.text);
+            }
+
+            serialize() {
+                return { type: 'append', data: { text: this.text } };
+            }
+        }
+
+        const append = text => undoRedoManager.execute(new AppendCommand(text));
+
+        beforeEach(() => {
+            doc = { text: '' };
+            undoRedoManager = new Oops({ mergeWindow: 0 });
+            undoRedoManager.registerCommand('append', data => new AppendCommand(data.text));
+        });
+
+        test('isDirty tracks the distance from the save point, even after undoing back to it', async () => {
+            expect(undoRedoManager.isDirty).toBe(false);
+            await append('a');
+            expect(undoRedoManager.isDirty).toBe(true);
+            await undoRedoManager.markSavePoint();
+            expect(undoRedoManager.isDirty).toBe(false);
+
+            await append('b');
+            expect(undoRedoManager.isDirty).toBe(true);
+            await undoRedoManager.undo();
+            expect(undoRedoManager.isDirty).toBe(false);
+            await undoRedoManager.undo();
+            expect(undoRedoManager.isDirty).toBe(true);
+            await undoRedoManager.redo();
+            expect(undoRedoManager.isDirty).toBe(false);
+        });
+
+        test('isDirty is part of the listener state', async () => {
+            const listener = jest.fn();
+            undoRedoManager.addChangeListener(listener);
+            await append('a');
+            expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isDirty: true }));
+            await undoRedoManager.markSavePoint();
+            expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isDirty: false }));
+        });
+
+        test('the command after a save point is not merged into the saved entry', async () => {
+            undoRedoManager = new Oops({ mergeWindow: 60000 });
+            undoRedoManager.execute(new AppendCommand('a'));
+            undoRedoManager.markSavePoint();
+            await undoRedoManager.execute(new AppendCommand('b'));
+
+            expect(undoRedoManager.undoStack.map(command => command.text)).toEqual(['a', 'b']);
+            await undoRedoManager.undo();
+            expect(undoRedoManager.isDirty).toBe(false);
+        });
+
+        test('the save point is lost when its entry is discarded', async () => {
+            await append('a');
+            await undoRedoManager.markSavePoint();
+            await undoRedoManager.undo();
+            await append('b');
+            await undoRedoManager.undo();
+
+            expect(undoRedoManager.isDirty).toBe(true);
+        });
+
+        test('dropping the oldest command moves the start of the history past it', async () => {
+            undoRedoManager = new Oops({ mergeWindow: 0, maxStackSize: 2 });
+            await append('a');
+            await append('b');
+            await append('c');
+
+            await undoRedoManager.undo(2);
+            expect(doc.text).toBe('a');
+            expect(undoRedoManager.isDirty).toBe(true);
+        });
+
+        test('clear keeps the document saved or unsaved', async () => {
+            await append('a');
+            undoRedoManager.clear();
+            expect(undoRedoManager.isDirty).toBe(true);
+
+            await undoRedoManager.markSavePoint();
+            undoRedoManager.clear();
+            expect(undoRedoManager.isDirty).toBe(false);
+        });
+
+        test('goToCheckpoint returns to a named checkpoint', async () => {
+            await append('a');
+            await undoRedoManager.createCheckpoint('first');
+            await append('b');
+            await undoRedoManager.createCheckpoint('second');
+            await append('c');
+
+            await undoRedoManager.goToCheckpoint('first');
+            expect(doc.text).toBe('a');
+            await undoRedoManager.goToCheckpoint('second');
+            expect(doc.text).toBe('ab');
+            expect(undoRedoManager.getCheckpoints()).toEqual([
+                { name: 'first', timestamp: expect.any(Number), reachable: true, current: false },
+                { name: 'second', timestamp: expect.any(Number), reachable: true, current: true }
+            ]);
+
+            await undoRedoManager.goToCheckpoint('first');
+            await append('x');
+            expect(undoRedoManager.getCheckpoints()[1].reachable).toBe(false);
+            await expect(undoRedoManager.goToCheckpoint('second')).rejects.toThrow('Checkpoint is no longer in the history: second');
+            await expect(undoRedoManager.goToCheckpoint('missing')).rejects.toThrow('Unknown checkpoint: missing');
+            expect(undoRedoManager.removeCheckpoint('second')).toBe(true);
+        });
+
+        test('checkpoints on other branches can be reached in history tree mode', async () => {
+            undoRedoManager = new Oops({ mergeWindow: 0, historyTree: true });
+            await append('a');
+            await undoRedoManager.createCheckpoint('branch');
+            await undoRedoManager.undo();
+            await append('b');
+
+            await undoRedoManager.goToCheckpoint('branch');
+            expect(doc.text).toBe('a');
+        });
+
+        test('compressHistory keeps positions at the end of a merged group', async () => {
+            let allow = false;
+            undoRedoManager.setMergePolicy(AppendCommand, () => allow);
+            await append('a');
+            await append('b');
+            await undoRedoManager.markSavePoint();
+            allow = true;
+            undoRedoManager.compressHistory();
+
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            expect(undoRedoManager.isDirty).toBe(false);
+        });
+
+        test('compressHistory does not merge across the save point', async () => {
+            let allow = false;
+            undoRedoManager = new Oops({ mergeWindow: 0, stalePolicy: 'remove' });
+            undoRedoManager.setMergePolicy(AppendCommand, () => allow);
+            await append('a');
+            await undoRedoManager.markSavePoint();
+            await undoRedoManager.execute({ execute() {}, undo() {}, canUndo: () => false });
+            // The command after the save point started a new group, but it is removed as stale
+            await undoRedoManager.undo();
+            await undoRedoManager.redo();
+            await append('b');
+            allow = true;
+
+            undoRedoManager.compressHistory();
+
+            expect(undoRedoManager.undoStack).toHaveLength(2);
+            expect(undoRedoManager.isDirty).toBe(true);
+            await undoRedoManager.undo();
+            expect(doc.text).toBe('a');
+            expect(undoRedoManager.isDirty).toBe(false);
+        });
+
+        test('the save point and checkpoints survive exportState and importState', async () => {
+            await append('a');
+            await undoRedoManager.createCheckpoint('first');
+            await append('b');
+            await undoRedoManager.markSavePoint();
+            await undoRedoManager.undo();
+            const state = JSON.parse(JSON.stringify(undoRedoManager.exportState()));
+            expect(state.savePoint).toBe(1);
+
+            const imported = new Oops();
+            imported.registerCommand('append', data => new AppendCommand(data.text));
+            imported.importState(state);
+            expect(imported.isDirty).toBe(true);
+            await imported.redo();
+            expect(imported.isDirty).toBe(false);
+            await imported.goToCheckpoint('first');
+            expect(doc.text).toBe('a');
+        });
+
+        test('states from before save points count as saved at their current position', () => {
+            undoRedoManager.importState({
+                formatVersion: 2,
+                undoStack: [{ type: 'append', data: { text: 'a' } }],
+                redoStack: [{ type: 'append', data: { text: 'b' } }]
+            });
+
+            expect(undoRedoManager.isDirty).toBe(false);
+            expect(undoRedoManager.getCheckpoints()).toEqual([]);
+        });
+    });
+
+    describe('middleware', () => {
+        let doc;
+
+        class AppendCommand {
+            constructor(text) {
+                this.text = text;
+            }
+
+            execute() {
+                doc.text += this.text;
+                return doc.text;
+            }
+
+            undo() {
+                doc.text = doc.text.slice(0, -this.text.length);
+            }
+        }
+
+        beforeEach(() => {
+            doc = { text: '' };
+            undoRedoManager = new Oops({ mergeWindow: 0 });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('runs in the order it was added around execute, undo and redo', async () => {
+            const calls = [];
+            undoRedoManager.use(async (context, next) => {
+                calls.push(`outer ${context.operation} ${context.command.text}`);
+                const result = await next();
+                calls.push(`outer done ${result}`);
+                return result;
+            });
+            undoRedoManager.use((context, next) => {
+                calls.push('inner');
+                return next();
+            });
+
+            await expect(undoRedoManager.execute(new AppendCommand('a'))).resolves.toBe('a');
+            await undoRedoManager.undo();
+            await undoRedoManager.redo();
+
+            expect(calls).toEqual([
+                'outer execute a', 'inner', 'outer done a',
+                'outer undo a', 'inner', 'outer done undefined',
+                'outer redo a', 'inner', 'outer done undefined'
+            ]);
+        });
+
+        test('vetoes an execute by throwing', async () => {
+            undoRedoManager.use(() => {
+                throw new Error('The document is read-only');
+            });
+            const onError = jest.fn();
+            undoRedoManager.on('error', onError);
+
+            await expect(undoRedoManager.execute(new AppendCommand('a'))).rejects.toThrow('The document is read-only');
+
+            expect(doc.text).toBe('');
+            expect(undoRedoManager.canUndo).toBe(false);
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ operation: 'execute' }));
+        });
+
+        test('vetoes an execute by not calling next', async () => {
+            undoRedoManager.use(() => 'skipped');
+
+            await expect(undoRedoManager.execute(new AppendCommand('a'))).resolves.toBe('skipped');
+            expect(doc.text).toBe('');
+            expect(undoRedoManager.canUndo).toBe(false);
+        });
+
+        test('stops undo before a command a middleware does not pass on', async () => {
+            await undoRedoManager.execute(new AppendCommand('a'));
+            await undoRedoManager.execute(new AppendCommand('b'));
+            await undoRedoManager.execute(new AppendCommand('c'));
+            undoRedoManager.use((context, next) => (context.command.text === 'a' ? undefined : next()));
+            const onUndo = jest.fn();
+            undoRedoManager.on('undo', onUndo);
+
+            await undoRedoManager.undo(3);
+            expect(doc.text).toBe('a');
+            expect(onUndo).toHaveBeenCalledTimes(1);
+
+            await undoRedoManager.undo();
+            expect(onUndo).toHaveBeenCalledTimes(1);
+        });
+
+        test('rolls back an undo when a middleware throws', async () => {
+            await undoRedoManager.execute(new AppendCommand('a'));
+            await undoRedoManager.execute(new AppendCommand('b'));
+            const remove = undoRedoManager.use((context, next) => {
+                if (context.operation === 'undo' && context.command.text === 'a') throw new Error('Not allowed');
+                return next();
+            });
+
+            const error = await undoRedoManager.undo(2).catch(e => e);
+            expect(error).toBeInstanceOf(HistoryOperationError);
+            expect(error.cause.message).toBe('Not allowed');
+            expect(doc.text).toBe('ab');
+
+            remove();
+            await undoRedoManager.undo(2);
+            expect(doc.text).toBe('');
+        });
+
+        test('can replace the command and options of an execute', async () => {
+            undoRedoManager.use((context, next) => {
+                context.command = new AppendCommand(context.command.text.toUpperCase());
+                context.options = { ...context.options, label: 'Shout' };
+                return next();
+            });
+
+            await undoRedoManager.execute(new AppendCommand('a'));
+
+            expect(doc.text).toBe('A');
+            expect(undoRedoManager.getHistory()[0].label).toBe('Shout');
+        });
+
+        test('observes errors of the command', async () => {
+            const errors = [];
+            undoRedoManager.use(async (context, next) => {
+                try {
+                    return await next();
+                } catch (error) {
+                    errors.push(error.message);
+                    throw error;
+                }
+            });
+            const failing = { execute: () => { throw new Error('Execution failed'); }, undo: jest.fn() };
+
+            await expect(undoRedoManager.execute(failing)).rejects.toThrow('Execution failed');
+            expect(errors).toEqual(['Execution failed']);
+        });
+
+        test('sees each command of a transaction and the CompositeCommand it is recorded as', async () => {
+            const seen = [];
+            undoRedoManager.use((context, next) => {
+                seen.push([context.operation, context.transaction, context.command.constructor.name]);
+                return next();
+            });
+
+            await undoRedoManager.transaction(async (manager) => {
+                await manager.execute(new AppendCommand('a'));
+                await manager.execute(new AppendCommand('b'));
+            });
+            await undoRedoManager.undo();
+
+            expect(doc.text).toBe('');
+            expect(seen).toEqual([
+                ['execute', true, 'AppendCommand'],
+                ['execute', true, 'AppendCommand'],
+                ['undo', undefined, 'CompositeCommand']
+            ]);
+        });
+
+        test('rejects if next is called more than once', async () => {
+            undoRedoManager.use(async (context, next) => {
+                await next();
+                return next();
+            });
+
+            await expect(undoRedoManager.execute(new AppendCommand('a'))).rejects.toThrow('next() called more than once');
+        });
+
+        test('rolls back a jump in history tree mode that a middleware stops', async () => {
+            undoRedoManager = new Oops({ historyTree: true, mergeWindow: 0 });
+            await undoRedoManager.execute(new AppendCommand('a'));
+            await undoRedoManager.execute(new AppendCommand('b'));
+            await undoRedoManager.undo();
+            await undoRedoManager.execute(new AppendCommand('c'));
+            undoRedoManager.use((context, next) => (context.operation === 'redo' ? undefined : next()));
+
+            await expect(undoRedoManager.switchBranch()).rejects.toThrow('Stopped by middleware');
+            expect(doc.text).toBe('ac');
+        });
+    });
+
+    describe('incremental snapshots', () => {
+        let doc;
+
+        class SetCommand {
+            constructor(key, value) {
+                this.key = key;
+                this.value = value;
+                this.previous = undefined;
+            }
+
+            execute() {
+                this.previous = doc[this.key];
+                doc[this.key] = this.value;
+                SetCommand.calls++;
+            }
+
+            undo() {
+                doc[this.key] = this.previous;
+                SetCommand.calls++;
+            }
+
+            serialize() {
+                return { type: 'set', data: { key: this.key, value: this.value } };
+            }
+        }
+
+        const createManager = (options = {}) => new Oops({
+            snapshotInterval: 2,
+            mergeWindow: 0,
+            captureState: () => doc,
+            restoreState: (state) => {
+                doc = JSON.parse(JSON.stringify(state));
+            },
+            ...options
+        });
+
+        beforeEach(() => {
+            doc = {};
+            SetCommand.calls = 0;
+        });
+
+        test('stores the changes to the previous snapshot', async () => {
+            undoRedoManager = createManager();
+            for (let i = 0; i < 4; i++) {
+                await undoRedoManager.execute(new SetCommand(`k${i}`, i));
+            }
+
+            const first = undoRedoManager.snapshots.get(2);
+            const second = undoRedoManager.snapshots.get(4);
+            expect(first.appState).toEqual({ k0: 0, k1: 1 });
+            expect(second).toMatchObject({ base: 2, keep: 2, redoStack: [] });
+            expect(second.undoStack).toHaveLength(2);
+            expect(second.appStatePatches).toEqual([
+                { op: 'add', path: '/k2', value: 2 },
+                { op: 'add', path: '/k3', value: 3 }
+            ]);
+            expect(undoRedoManager.resolveSnapshot(4)).toEqual({
+                undoStack: [0, 1, 2, 3].map(i => ({ type: 'set', data: { key: `k${i}`, value: i } })),
+                redoStack: [],
+                appState: { k0: 0, k1: 1, k2: 2, k3: 3 }
+            });
+        });
+
+        test('turns dependent snapshots into full ones when their base is removed', async () => {
+            undoRedoManager = createManager({ snapshotPolicy: Oops.snapshotPolicies.keepLast(2) });
+            for (let i = 0; i < 6; i++) {
+                await undoRedoManager.execute(new SetCommand(`k${i}`, i));
+            }
+
+            expect(Array.from(undoRedoManager.snapshots.keys())).toEqual([4, 6]);
+            expect(undoRedoManager.snapshots.get(4).base).toBeUndefined();
+            expect(undoRedoManager.snapshots.get(6).base).toBe(4);
+            expect(undoRedoManager.resolveSnapshot(6).appState).toEqual({ k0: 0, k1: 1, k2: 2, k3: 3, k4: 4, k5: 5 });
+        });
+
+        test('the exponential policy keeps older snapshots further apart', () => {
+            const policy = Oops.snapshotPolicies.exponential();
+            expect(policy([10, 20, 30, 40, 50, 60, 70, 80, 90, 100])).toEqual([20, 60, 80, 90, 100]);
+        });
+
+        test('jumps far through the history from the nearest snapshot', async () => {
+            undoRedoManager = createManager();
+            for (let i = 0; i < 8; i++) {
+                await undoRedoManager.execute(new SetCommand('value', i));
+            }
+            SetCommand.calls = 0;
+            const onUndo = jest.fn();
+            undoRedoManager.on('undo', onUndo);
+
+            await undoRedoManager.goTo(2);
+
+            // Restored from the snapshot at 4 and undid a single command, instead of undoing 5
+            expect(SetCommand.calls).toBe(1);
+            expect(doc.value).toBe(2);
+            expect(undoRedoManager.undoStack).toHaveLength(3);
+            expect(undoRedoManager.redoStack).toHaveLength(5);
+            expect(onUndo.mock.calls[0][0].commands.map(cmd => cmd.value)).toEqual([7, 6, 5, 4, 3]);
+
+            await undoRedoManager.redo();
+            expect(doc.value).toBe(3);
+            await undoRedoManager.goTo(7);
+            expect(doc.value).toBe(7);
+        });
+
+        test('does not use snapshots taken before a non-undoable change', async () => {
+            undoRedoManager = createManager();
+            for (let i = 0; i < 8; i++) {
+                await undoRedoManager.execute(new SetCommand('value', i));
+            }
+            await undoRedoManager.execute(new SetCommand('extra', 42), { undoable: false });
+            SetCommand.calls = 0;
+
+            await undoRedoManager.goTo(2);
+
+            expect(SetCommand.calls).toBe(5);
+            expect(doc).toEqual({ value: 2, extra: 42 });
+        });
+
+        test('does not use a snapshot whose commands were replaced', async () => {
+            undoRedoManager = createManager();
+            for (let i = 0; i < 4; i++) {
+                await undoRedoManager.execute(new SetCommand('value', i));
+            }
+            await undoRedoManager.undo(3);
+            await undoRedoManager.execute(new SetCommand('value', 'x'));
+            await undoRedoManager.execute(new SetCommand('value', 'y'));
+            await undoRedoManager.execute(new SetCommand('value', 'z'));
+
+            await undoRedoManager.goTo(3);
+            expect(doc.value).toBe('z');
+            await undoRedoManager.goTo(1);
+            expect(doc.value).toBe('x');
+        });
+
+        test('restores the application state when a command fails during a jump', async () => {
+            undoRedoManager = createManager();
+            for (let i = 0; i < 6; i++) {
+                await undoRedoManager.execute(new SetCommand('value', i));
+            }
+            // The jump to 2 restores the snapshot at 2 and then executes the command at 2 again
+            undoRedoManager.undoStack[2].execute = () => { throw new Error('Execution failed'); };
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const error = await undoRedoManager.goTo(2).catch(e => e);
+
+            expect(error).toBeInstanceOf(HistoryOperationError);
+            expect(error.rolledBack).toBe(true);
+            expect(doc.value).toBe(5);
+            expect(undoRedoManager.undoStack).toHaveLength(6);
+            console.error.mockRestore();
+        });
+
+        test('recoverFromSnapshot restores the application state', async () => {
+            undoRedoManager = createManager();
+            undoRedoManager.registerCommand('set', data => new SetCommand(data.key, data.value));
+            for (let i = 0; i < 3; i++) {
+                await undoRedoManager.execute(new SetCommand('value', i));
+            }
+            doc.value = 'corrupted';
+
+            await undoRedoManager.recoverFromSnapshot();
+
+            expect(doc.value).toBe(1);
+            expect(undoRedoManager.undoStack.map(cmd => cmd.value)).toEqual([0, 1]);
+        });
+
+        test('captureState and restoreState must be given together', () => {
+            expect(() => new Oops({ captureState: () => ({}) })).toThrow('captureState and restoreState must be given together');
+        });
+    });
+
+    describe('preconditions', () => {
+        let shapes;
+
+        // Changes a shape's color, which is only possible while the shape exists
+        class ColorCommand {
+            constructor(id, color) {
+                this.id = id;
+                this.color = color;
+            }
+
+            canExecute() {
+                return this.id in shapes;
+            }
+
+            canUndo() {
+                return this.id in shapes;
+            }
+
+            execute() {
+                this.previous = shapes[this.id];
+                shapes[this.id] = this.color;
+            }
+
+            undo() {
+                shapes[this.id] = this.previous;
+            }
+        }
+
+        beforeEach(() => {
+            shapes = { a: 'black', b: 'black' };
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('execute rejects with a PreconditionError if canExecute returns false', async () => {
+            undoRedoManager = new Oops();
+
+            const error = await undoRedoManager.execute(new ColorCommand('c', 'red')).catch(e => e);
+
+            expect(error).toBeInstanceOf(Oops.PreconditionError);
+            expect(error.operation).toBe('execute');
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(shapes.c).toBeUndefined();
+        });
+
+        test('canUndo and canRedo check the top command', async () => {
+            undoRedoManager = new Oops();
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            expect(undoRedoManager.canUndo).toBe(true);
+
+            delete shapes.a;
+            expect(undoRedoManager.canUndo).toBe(false);
+            expect(undoRedoManager.getState().canUndo).toBe(false);
+
+            shapes.a = 'red';
+            await undoRedoManager.undo();
+            delete shapes.a;
+            expect(undoRedoManager.canRedo).toBe(false);
+        });
+
+        test("the 'error' policy fails the undo and leaves the history unchanged", async () => {
+            undoRedoManager = new Oops();
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            delete shapes.a;
+
+            const error = await undoRedoManager.undo(2).catch(e => e);
+
+            expect(error).toBeInstanceOf(HistoryOperationError);
+            expect(error.cause).toBeInstanceOf(Oops.PreconditionError);
+            expect(error.rolledBack).toBe(true);
+            expect(undoRedoManager.undoStack).toHaveLength(2);
+            expect(shapes.b).toBe('red');
+        });
+
+        test("the 'skip' policy moves stale commands without running them", async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'skip' });
+            const stale = [];
+            undoRedoManager.on('stale', event => stale.push(event));
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            delete shapes.b;
+
+            expect(undoRedoManager.canUndo).toBe(true);
+            await undoRedoManager.undo();
+
+            expect(shapes.a).toBe('black');
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(undoRedoManager.redoStack).toHaveLength(2);
+            expect(stale).toEqual([expect.objectContaining({ operation: 'undo', command: expect.any(ColorCommand), policy: 'skip' })]);
+        });
+
+        test("the 'remove' policy drops stale commands from the history", async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'remove' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            delete shapes.b;
+
+            await undoRedoManager.undo();
+
+            expect(shapes.a).toBe('black');
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(undoRedoManager.redoStack).toHaveLength(1);
+            expect(undoRedoManager.redoStack[0].id).toBe('a');
+        });
+
+        test('redo moves a command that undo skipped back without executing it again', async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'skip' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            delete shapes.b;
+            await undoRedoManager.undo();
+            shapes.b = 'red';
+            const execute = jest.spyOn(undoRedoManager.redoStack[0], 'execute');
+
+            await undoRedoManager.redo(2);
+
+            expect(execute).not.toHaveBeenCalled();
+            expect(undoRedoManager.undoStack).toHaveLength(2);
+            expect(shapes).toEqual({ a: 'red', b: 'red' });
+
+            await undoRedoManager.undo(2);
+
+            expect(shapes).toEqual({ a: 'black', b: 'black' });
+        });
+
+        test('undo emits and notifies when it only removed stale commands', async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'remove' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            delete shapes.a;
+            const onUndo = jest.fn();
+            const onChange = jest.fn();
+            undoRedoManager.on('undo', onUndo);
+            undoRedoManager.addChangeListener(onChange);
+
+            await undoRedoManager.undo();
+
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(onUndo).toHaveBeenCalledWith(expect.objectContaining({ commands: [], steps: 1, stalePolicy: 'remove' }));
+            expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ canUndo: false }));
+        });
+
+        test('undo accepts a stalePolicy for a single call', async () => {
+            undoRedoManager = new Oops();
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            delete shapes.a;
+
+            await undoRedoManager.undo(1, { stalePolicy: 'remove' });
+
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(undoRedoManager.redoStack).toHaveLength(0);
+            expect(() => undoRedoManager.undo(1, { stalePolicy: 'ignore' })).toThrow('Unknown stale policy: ignore');
+        });
+
+        test('a failed undo moves skipped commands back without running them', async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'skip' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            delete shapes.b;
+            undoRedoManager.undoStack[0].undo = () => { throw new Error('Undo failed'); };
+            const execute = jest.spyOn(undoRedoManager.undoStack[1], 'execute');
+
+            const error = await undoRedoManager.undo().catch(e => e);
+
+            expect(error.rolledBack).toBe(true);
+            expect(undoRedoManager.undoStack).toHaveLength(2);
+            expect(execute).not.toHaveBeenCalled();
+        });
+
+        test('jumps skip stale commands in history tree mode', async () => {
+            undoRedoManager = new Oops({ historyTree: true, stalePolicy: 'skip' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            const root = undoRedoManager.historyTree.root.id;
+            delete shapes.b;
+
+            await undoRedoManager.jumpTo(root);
+
+            expect(shapes.a).toBe('black');
+            expect(undoRedoManager.undoStack).toHaveLength(0);
+            expect(() => new Oops({ historyTree: true, stalePolicy: 'remove' })).toThrow("cannot be combined with history tree mode");
+        });
+
+        test('goTo skips stale commands instead of removing them', async () => {
+            undoRedoManager = new Oops({ stalePolicy: 'remove' });
+            await undoRedoManager.execute(new ColorCommand('a', 'red'));
+            await undoRedoManager.execute(new ColorCommand('b', 'red'));
+            await undoRedoManager.execute(new ColorCommand('a', 'blue'));
+            delete shapes.b;
+
+            await undoRedoManager.goTo(0);
+
+            expect(shapes.a).toBe('red');
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            expect(undoRedoManager.redoStack).toHaveLength(2);
+        });
+
+        test('InverseCommand forwards the checks of the reverted command', () => {
+            const inverse = new Oops.InverseCommand(new ColorCommand('c', 'red'));
+            expect(inverse.canExecute()).toBe(false);
+            shapes.c = 'black';
+            expect(inverse.canUndo()).toBe(true);
+        });
+    });
+
+    describe('labels', () => {
+        class MoveLayerCommand {
+            constructor(count) {
+                this.labelKey = 'history.moveLayers';
+                this.labelParams = { count };
+            }
+
+            execute() {}
+
+            undo() {}
+        }
+
+        const messages = {
+            'history.moveLayers': ({ count }) => `Move ${count} Layers`,
+            'history.typing': () => 'Typing'
+        };
+        const translate = (key, params) => messages[key] && messages[key](params);
+
+        test('getState has the labels of the next commands to undo and redo', async () => {
+            undoRedoManager = new Oops();
+            expect(undoRedoManager.getState()).toEqual(expect.objectContaining({ undoLabel: null, redoLabel: null }));
+
+            await undoRedoManager.execute({ label: 'Move Layer', execute() {}, undo() {} });
+            await undoRedoManager.execute({ execute() {}, undo() {} }, { label: 'Typing' });
+            await undoRedoManager.undo();
+
+            expect(undoRedoManager.getState()).toEqual(expect.objectContaining({ undoLabel: 'Move Layer', redoLabel: 'Typing' }));
+        });
+
+        test('message keys are translated with the translate option', async () => {
+            undoRedoManager = new Oops({ translate });
+            const states = [];
+            undoRedoManager.addChangeListener(state => states.push(state));
+
+            await undoRedoManager.execute(new MoveLayerCommand(3));
+            await undoRedoManager.execute({ label: 'Typing', execute() {}, undo() {} }, { labelKey: 'history.typing' });
+
+            expect(states[0].undoLabel).toBe('Move 3 Layers');
+            expect(undoRedoManager.getHistory().map(({ label, labelKey, labelParams }) => ({ label, labelKey, labelParams }))).toEqual([
+                { label: 'Move 3 Layers', labelKey: 'history.moveLayers', labelParams: { count: 3 } },
+                { label: 'Typing', labelKey: 'history.typing', labelParams: null }
+            ]);
+        });
+
+        test('labels fall back to the label and the class name without a translation', async () => {
+            undoRedoManager = new Oops({ translate: () => undefined });
+            await undoRedoManager.execute(new MoveLayerCommand(1));
+            await undoRedoManager.execute({ execute() {}, undo() {} }, { label: 'Typing', labelKey: 'history.missing' });
+
+            expect(undoRedoManager.getHistory().map(entry => entry.label)).toEqual(['MoveLayerCommand', 'Typing']);
+        });
+
+        test('commitTransaction labels the history entry', async () => {
+            undoRedoManager = new Oops({ translate });
+            undoRedoManager.beginTransaction();
+            await undoRedoManager.execute(new MoveLayerCommand(1));
+            await undoRedoManager.commitTransaction('Arrange');
+
+            await undoRedoManager.transaction(async manager => {
+                await manager.execute(new MoveLayerCommand(1));
+                await manager.execute(new MoveLayerCommand(2));
+            }, { labelKey: 'history.moveLayers', labelParams: { count: 3 } });
+
+            expect(undoRedoManager.undoStack[0]).toBeInstanceOf(Oops.CompositeCommand);
+            expect(undoRedoManager.getHistory().map(entry => entry.label)).toEqual(['Arrange', 'Move 3 Layers']);
+        });
+
+        test('labels and ids from execute options survive export and import', async () => {
+            undoRedoManager = new Oops({ translate, mergeWindow: 0 });
+            await undoRedoManager.execute({ execute() {}, undo() {}, serialize: () => ({ type: 'noop', data: {} }) }, { label: 'One', id: 'one' });
+            await undoRedoManager.execute({ execute() {}, undo() {}, serialize: () => ({ type: 'noop', data: {} }) }, { labelKey: 'history.moveLayers', labelParams: { count: 2 }, id: 'two' });
+            const state = JSON.parse(undoRedoManager.serializeState());
+
+            const restored = new Oops({ translate });
+            restored.registerCommandType('noop', { deserialize: () => ({ execute() {}, undo() {} }) });
+            restored.importState(state);
+
+            expect(restored.getState().undoLabel).toBe('Move 2 Layers');
+            expect(restored.getHistory().map(({ id, label, labelKey }) => ({ id, label, labelKey }))).toEqual([
+                { id: 'one', label: 'One', labelKey: null },
+                { id: 'two', label: 'Move 2 Layers', labelKey: 'history.moveLayers' }
+            ]);
+        });
+
+        test('CompositeCommand labels survive serialization', () => {
+            undoRedoManager = new Oops();
+            const composite = new Oops.CompositeCommand([], { label: 'Arrange', labelKey: 'history.arrange', labelParams: { count: 2 } });
+
+            const copy = undoRedoManager.deserializeCommand(undoRedoManager.serializeCommand(composite));
+
+            expect(copy).toEqual(expect.objectContaining({ label: 'Arrange', labelKey: 'history.arrange', labelParams: { count: 2 } }));
+            expect(undoRedoManager.serializeCommand(new Oops.CompositeCommand([])).data).toEqual([]);
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Oops = require('../src/index.js');
+const FileStorageAdapter = require('../src/storage/FileStorageAdapter.js');
+
+describe('Persistence', () => {
+    let adapter;
+    let values;
+
+    class PushCommand {
+        constructor(value) {
+            this.value = value;
+        }
+
+        execute() {
+            values.push(this.value);
+        }
+
+        undo() {
+            values.pop();
+        }
+    }
+
+    const createManager = (options = {}) => {
+        const manager = new Oops({ mergeWindow: 0, persistence: { adapter, debounce: 10, ...options } });
+        manager.registerCommandType('push', {
+            commandClass: PushCommand,
+            serialize: (command) => ({ value: command.value }),
+            deserialize: (data) => new PushCommand(data.value)
+        });
+        return manager;
+    };
+
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+        adapter = new Oops.MemoryStorageAdapter();
+        values = [];
+        console.error = jest.fn();
+    });
+
+    test('autosave writes the history once after a burst of changes', async () => {
+        const manager = createManager();
+        const save = jest.spyOn(adapter, 'save');
+
+        await manager.execute(new PushCommand(1));
+        await manager.execute(new PushCommand(2));
+        await manager.undo();
+        expect(save).not.toHaveBeenCalled();
+
+        await wait(30);
+        expect(save).toHaveBeenCalledTimes(1);
+        const saved = JSON.parse(adapter.load('oops-state'));
+        expect(saved.undoStack).toEqual([{ type: 'push', data: { value: 1 } }]);
+        expect(saved.redoStack).toEqual([{ type: 'push', data: { value: 2 } }]);
+    });
+
+    test('restore imports the saved history without saving it again', async () => {
+        const manager = createManager();
+        await manager.execute(new PushCommand(1));
+        await manager.persistence.flush();
+
+        const restored = createManager();
+        const save = jest.spyOn(adapter, 'save');
+        await expect(restored.persistence.restore()).resolves.toEqual(expect.objectContaining({ restored: true }));
+        expect(restored.undoStack.map(cmd => cmd.value)).toEqual([1]);
+
+        await wait(30);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('restore reports when nothing was saved', async () => {
+        const manager = createManager();
+        await expect(manager.persistence.restore()).resolves.toEqual({ restored: false, reason: 'empty' });
+    });
+
+    test('corrupt saves keep the current session and are set aside', async () => {
+        const manager = createManager({ autosave: false });
+        const listener = jest.fn();
+        manager.on('error', listener);
+        await manager.execute(new PushCommand(1));
+        adapter.save('oops-state', '{"undoStack": [{"type": "push"');
+
+        const result = await manager.persistence.restore();
+
+        expect(result.restored).toBe(false);
+        expect(result.reason).toBe('corrupt');
+        expect(manager.undoStack.map(cmd => cmd.value)).toEqual([1]);
+        expect(adapter.load('oops-state.corrupt')).toBe('{"undoStack": [{"type": "push"');
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ operation: 'restore' }));
+    });
+
+    test('saves that cannot be imported return the validation report', async () => {
+        const manager = createManager({ autosave: false });
+        await manager.execute(new PushCommand(1));
+        adapter.save('oops-state', JSON.stringify({ formatVersion: 2, undoStack: [{ type: 'missing', data: {} }], redoStack: [] }));
+
+        const result = await manager.persistence.restore();
+
+        expect(result.reason).toBe('invalid');
+        expect(result.report.issues[0].path).toBe('undoStack[0]');
+        expect(manager.undoStack.map(cmd => cmd.value)).toEqual([1]);
+    });
+
+    test('failed saves are reported as error events', async () => {
+        const manager = createManager({ autosave: false });
+        const listener = jest.fn();
+        manager.on('error', listener);
+        adapter.save = () => { throw new Error('Quota exceeded'); };
+
+        await expect(manager.persistence.save()).rejects.toThrow('Quota exceeded');
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ operation: 'save' }));
+    });
+
+    test('stop cancels autosave', async () => {
+        const manager = createManager();
+        const save = jest.spyOn(adapter, 'save');
+        await manager.execute(new PushCommand(1));
+        manager.persistence.stop();
+
+        await wait(30);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('persistence requires an adapter', () => {
+        expect(() => new Oops({ persistence: {} })).toThrow('Persistence requires a storage adapter');
+    });
+
+    describe('WebStorageAdapter', () => {
+        test('uses the getItem, setItem and removeItem methods', () => {
+            const items = new Map();
+            const storage = {
+                getItem: (key) => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => items.set(key, value),
+                removeItem: (key) => items.delete(key)
+            };
+            const webAdapter = new Oops.WebStorageAdapter(storage);
+
+            expect(webAdapter.load('history')).toBeNull();
+            webAdapter.save('history', '{}');
+            expect(webAdapter.load('history')).toBe('{}');
+            webAdapter.remove('history');
+            expect(items.size).toBe(0);
+        });
+    });
+
+    describe('FileStorageAdapter', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oops-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('saves, loads and removes files', async () => {
+            const fileAdapter = new FileStorageAdapter(path.join(directory, 'history'));
+
+            await expect(fileAdapter.load('doc/1')).resolves.toBeNull();
+            await fileAdapter.save('doc/1', '{"a":1}');
+            await expect(fileAdapter.load('doc/1')).resolves.toBe('{"a":1}');
+            expect(fs.readdirSync(path.join(directory, 'history'))).toEqual(['doc%2F1.json']);
+            await fileAdapter.remove('doc/1');
+            await expect(fileAdapter.load('doc/1')).resolves.toBeNull();
+        });
+
+        test('round-trips the history of a manager', async () => {
+            adapter = new FileStorageAdapter(directory);
+            const manager = createManager({ autosave: false });
+            await manager.execute(new PushCommand(1));
+            await manager.persistence.save();
+
+            const restored = createManager({ autosave: false });
+            await restored.persistence.restore();
+            expect(restored.undoStack.map(cmd => cmd.value)).toEqual([1]);
+        });
+    });
+});
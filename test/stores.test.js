@@ -0,0 +1,167 @@
+const { legacy_createStore: createReduxStore, applyMiddleware } = require('redux');
+const { createStore: createZustandStore } = require('zustand/vanilla');
+const Oops = require('../src/index.js');
+const { createOopsMiddleware, withUndoRestore } = require('../src/bindings/redux.js');
+const { undoable } = require('../src/bindings/zustand.js');
+
+describe('state store bindings', () => {
+    let undoRedoManager;
+
+    beforeEach(() => {
+        undoRedoManager = new Oops({ mergeWindow: 0 });
+    });
+
+    describe('Redux', () => {
+        const initialState = { doc: { title: 'Untitled', items: [] }, ui: { panel: 'none' } };
+
+        const reducer = (state = initialState, action) => {
+            switch (action.type) {
+                case 'doc/rename':
+                    return { ...state, doc: { ...state.doc, title: action.title } };
+                case 'doc/addItem':
+                    return { ...state, doc: { ...state.doc, items: [...state.doc.items, action.item] } };
+                case 'ui/openPanel':
+                    return { ...state, ui: { panel: action.panel } };
+                default:
+                    return state;
+            }
+        };
+
+        const createStore = (options, restoreOptions) => createReduxStore(
+            withUndoRestore(reducer, restoreOptions),
+            applyMiddleware(createOopsMiddleware(undoRedoManager, options))
+        );
+
+        // Dispatched actions are recorded through the operation queue
+        const settle = () => undoRedoManager.enqueue(() => {});
+
+        test('dispatched actions can be undone and redone', async () => {
+            const store = createStore();
+            store.dispatch({ type: 'doc/rename', title: 'Report' });
+            store.dispatch({ type: 'doc/addItem', item: 'Intro' });
+            await settle();
+            expect(undoRedoManager.getHistory().map(entry => entry.label)).toEqual(['doc/rename', 'doc/addItem']);
+
+            await undoRedoManager.undo(2);
+            expect(store.getState()).toEqual(initialState);
+            await undoRedoManager.redo();
+            expect(store.getState().doc).toEqual({ title: 'Report', items: [] });
+        });
+
+        test('filter chooses the undoable actions and unchanged state is not recorded', async () => {
+            const store = createStore({ filter: action => action.type.startsWith('doc/') });
+            store.dispatch({ type: 'ui/openPanel', panel: 'layers' });
+            store.dispatch({ type: 'doc/unknown' });
+            store.dispatch({ type: 'doc/rename', title: 'Report' });
+            await settle();
+
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            await undoRedoManager.undo();
+            expect(store.getState()).toEqual({ ...initialState, ui: { panel: 'layers' } });
+        });
+
+        test('a selected slice is recorded as a diff and restored into the current state', async () => {
+            const store = createStore(
+                { select: state => state.doc, diff: true },
+                { restore: (state, doc) => ({ ...state, doc }) }
+            );
+            store.dispatch({ type: 'doc/addItem', item: 'Intro' });
+            store.dispatch({ type: 'ui/openPanel', panel: 'layers' });
+            await settle();
+
+            const [command] = undoRedoManager.undoStack;
+            expect(command.patches).toEqual([{ op: 'add', path: '/items/0', value: 'Intro' }]);
+            await undoRedoManager.undo();
+            expect(store.getState()).toEqual({ ...initialState, ui: { panel: 'layers' } });
+            await undoRedoManager.redo();
+            expect(store.getState().doc.items).toEqual(['Intro']);
+        });
+
+        test('actions are recorded past the snapshot interval', async () => {
+            const store = createStore();
+            const errors = [];
+            const states = [];
+            undoRedoManager.on('error', event => errors.push(event));
+            undoRedoManager.addChangeListener(state => states.push(state));
+            for (let i = 0; i < 12; i++) {
+                store.dispatch({ type: 'doc/addItem', item: i });
+            }
+            await settle();
+
+            // Only the snapshot is skipped, since StateCommands can't be serialized
+            expect(errors.map(event => event.operation)).toEqual(['snapshot']);
+            expect(states).toHaveLength(12);
+            await undoRedoManager.undo(12);
+            expect(store.getState()).toEqual(initialState);
+        });
+
+        test('actions dispatched in a transaction become one entry', async () => {
+            const store = createStore();
+            undoRedoManager.beginTransaction();
+            store.dispatch({ type: 'doc/rename', title: 'Report' });
+            store.dispatch({ type: 'doc/addItem', item: 'Intro' });
+            await undoRedoManager.commitTransaction();
+
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            await undoRedoManager.undo();
+            expect(store.getState()).toEqual(initialState);
+        });
+    });
+
+    describe('Zustand', () => {
+        const createStore = options => createZustandStore(undoable(undoRedoManager, options)((set) => ({
+            count: 0,
+            theme: 'light',
+            increment: () => set(state => ({ count: state.count + 1 }), false, 'increment'),
+            setTheme: theme => set({ theme }, false, 'setTheme')
+        })));
+
+        const settle = () => undoRedoManager.enqueue(() => {});
+
+        test('set calls can be undone and redone', async () => {
+            const store = createStore();
+            store.getState().increment();
+            store.getState().increment();
+            store.setState({ count: 10 });
+            await settle();
+            expect(undoRedoManager.getHistory().map(entry => entry.label)).toEqual(['increment', 'increment', 'setState']);
+
+            await undoRedoManager.undo(2);
+            expect(store.getState().count).toBe(1);
+            await undoRedoManager.redo();
+            expect(store.getState().count).toBe(2);
+            expect(typeof store.getState().increment).toBe('function');
+        });
+
+        test('filter, select and restore limit what is recorded', async () => {
+            const store = createStore({
+                filter: name => name !== 'setTheme',
+                select: state => state.count,
+                restore: (state, count) => ({ ...state, count })
+            });
+            store.getState().increment();
+            store.getState().setTheme('dark');
+            await settle();
+
+            expect(undoRedoManager.undoStack).toHaveLength(1);
+            await undoRedoManager.undo();
+            expect(store.getState()).toEqual(expect.objectContaining({ count: 0, theme: 'dark' }));
+        });
+
+        test('a primitive slice is recorded as a diff', async () => {
+            const store = createStore({
+                select: state => state.count,
+                restore: (state, count) => ({ ...state, count }),
+                diff: true
+            });
+            store.getState().increment();
+            await settle();
+
+            expect(undoRedoManager.undoStack[0].patches).toEqual([{ op: 'replace', path: '', value: 1 }]);
+            await undoRedoManager.undo();
+            expect(store.getState().count).toBe(0);
+            await undoRedoManager.redo();
+            expect(store.getState().count).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,259 @@
+const Oops = require('../src/index.js');
+const FakeChannelHub = require('../src/testing/FakeChannelHub.js');
+
+describe('HistorySync', () => {
+    let hub;
+    let tabs;
+
+    class AppendCommand {
+        constructor(doc, text) {
+            this.doc = doc;
+            this.text = text;
+        }
+
+        execute() {
+            this.doc.text += this.text;
+        }
+
+        undo() {
+            this.doc.text = this.doc.text.slice(0, -this.text.length);
+        }
+    }
+
+    const openTab = (id) => {
+        const doc = { text: '' };
+        const oops = new Oops({ mergeWindow: 0 });
+        oops.registerCommandType('append', {
+            commandClass: AppendCommand,
+            serialize: (command) => ({ text: command.text }),
+            deserialize: (data) => new AppendCommand(doc, data.text)
+        });
+        const channel = hub.createChannel();
+        const sync = new Oops.HistorySync(oops, { channel, id, heartbeatInterval: 10, timeout: 200, electionTimeout: 50 });
+        const tab = { id, doc, oops, channel, sync };
+        tabs.push(tab);
+        return tab;
+    };
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Messages are delivered asynchronously, so tests wait for their effect rather than a fixed time
+    const waitFor = async (condition, timeout = 2000) => {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > timeout) throw new Error('Timed out waiting for the tabs');
+            await wait(5);
+        }
+    };
+
+    beforeEach(() => {
+        hub = new FakeChannelHub();
+        tabs = [];
+    });
+
+    afterEach(() => {
+        for (const tab of tabs) tab.sync.stop();
+    });
+
+    test('elects the tab with the lowest id as the leader', async () => {
+        const b = openTab('b');
+        const a = openTab('a');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        expect(a.sync.isLeader).toBe(true);
+        expect(b.sync.isLeader).toBe(false);
+        expect(b.sync.leaderId).toBe('a');
+    });
+
+    test('applies execute, undo and redo in every tab', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        await a.sync.execute(new AppendCommand(a.doc, 'x'));
+        await b.sync.execute(new AppendCommand(b.doc, 'y'));
+        await waitFor(() => a.doc.text === 'xy');
+        expect(b.doc.text).toBe('xy');
+        expect(b.oops.getHistory().map(entry => entry.id)).toEqual(a.oops.getHistory().map(entry => entry.id));
+
+        await b.sync.undo();
+        await waitFor(() => a.doc.text === 'x');
+        expect(b.doc.text).toBe('x');
+
+        await a.sync.redo();
+        await waitFor(() => b.doc.text === 'xy');
+        expect(a.doc.text).toBe('xy');
+        expect(a.oops.canRedo).toBe(false);
+        expect(b.oops.canRedo).toBe(false);
+    });
+
+    test('resolves with the command result in the tab that executed it', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        const command = new AppendCommand(b.doc, 'z');
+        command.execute = function () {
+            AppendCommand.prototype.execute.call(this);
+            return this.doc.text.length;
+        };
+
+        await expect(b.sync.execute(command)).resolves.toBe(1);
+    });
+
+    test('refuses an undo when another tab changed the history first', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+        await a.sync.execute(new AppendCommand(a.doc, 'x'));
+        await a.sync.execute(new AppendCommand(a.doc, 'y'));
+        await waitFor(() => b.doc.text === 'xy');
+
+        const results = await Promise.allSettled([a.sync.undo(), b.sync.undo()]);
+
+        expect(results[0].status).toBe('fulfilled');
+        expect(results[1].status).toBe('rejected');
+        expect(results[1].reason).toBeInstanceOf(Oops.SyncConflictError);
+        expect(results[1].reason.operation).toBe('undo');
+        await waitFor(() => b.doc.text === 'x');
+        expect(a.doc.text).toBe('x');
+    });
+
+    test('rejects a command that fails in the leader without changing any tab', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        const command = new AppendCommand(b.doc, 'x');
+        a.oops.registerCommandType('append', {
+            commandClass: AppendCommand,
+            serialize: (cmd) => ({ text: cmd.text }),
+            deserialize: () => ({ execute() { throw new Error('Document is read-only'); }, undo() {} })
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(b.sync.execute(command)).rejects.toThrow('Document is read-only');
+        expect(b.doc.text).toBe('');
+        console.error.mockRestore();
+    });
+
+    test('a tab whose command fails takes the history over from the leader again', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        const c = openTab('c');
+        await Promise.all([a.sync.start(), b.sync.start(), c.sync.start()]);
+        c.oops.registerCommandType('append', {
+            commandClass: AppendCommand,
+            serialize: (cmd) => ({ text: cmd.text }),
+            deserialize: () => ({ execute() { throw new Error('Out of memory'); }, undo() {} })
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const sync = jest.spyOn(c.sync, 'importState');
+
+        await a.sync.execute(new AppendCommand(a.doc, 'x'));
+        await waitFor(() => sync.mock.calls.length === 1 && c.sync.synced);
+
+        expect(c.oops.getHistory().map(entry => entry.id)).toEqual(a.oops.getHistory().map(entry => entry.id));
+        expect(c.sync.version).toBe(a.sync.version);
+        console.error.mockRestore();
+    });
+
+    test('rejects start when the shared history cannot be imported, and can sync again later', async () => {
+        const a = openTab('a');
+        await a.sync.start();
+        await a.sync.execute(new AppendCommand(a.doc, 'x'));
+
+        const b = openTab('b');
+        b.oops.commandTypes.delete('append');
+        b.doc.text = a.doc.text;
+
+        await expect(b.sync.start()).rejects.toThrow('append');
+        expect(b.sync.synced).toBe(false);
+
+        b.oops.registerCommandType('append', {
+            commandClass: AppendCommand,
+            serialize: (command) => ({ text: command.text }),
+            deserialize: (data) => new AppendCommand(b.doc, data.text)
+        });
+        b.sync.resync();
+        await waitFor(() => b.sync.synced);
+
+        expect(b.oops.canUndo).toBe(true);
+    });
+
+    test('only remembers recently applied requests', async () => {
+        const a = openTab('a');
+        await a.sync.start();
+
+        for (let i = 0; i < 1005; i++) {
+            await a.sync.execute(new AppendCommand(a.doc, 'x'));
+        }
+
+        expect(a.doc.text).toHaveLength(1005);
+        expect(a.sync.applied.size).toBe(1000);
+    });
+
+    test('a joining tab imports the shared history', async () => {
+        const a = openTab('a');
+        await a.sync.start();
+        await a.sync.execute(new AppendCommand(a.doc, 'x'));
+
+        const b = openTab('b');
+        b.doc.text = a.doc.text;
+        await b.sync.start();
+
+        expect(b.sync.leaderId).toBe('a');
+        expect(b.oops.canUndo).toBe(true);
+        await b.sync.undo();
+        await waitFor(() => a.doc.text === '');
+        expect(b.doc.text).toBe('');
+    });
+
+    test('hands over to the next tab when the leader stops', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        const c = openTab('c');
+        await Promise.all([a.sync.start(), b.sync.start(), c.sync.start()]);
+        await c.sync.execute(new AppendCommand(c.doc, 'x'));
+        await waitFor(() => b.doc.text === 'x');
+
+        a.sync.stop();
+        await waitFor(() => c.sync.leaderId === 'b');
+
+        expect(b.sync.isLeader).toBe(true);
+        await c.sync.undo();
+        await waitFor(() => b.doc.text === '');
+        expect(c.doc.text).toBe('');
+    });
+
+    test('elects a new leader when the leader stops responding', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        a.channel.close();
+        a.sync.stop();
+        const execution = b.sync.execute(new AppendCommand(b.doc, 'x'));
+        await waitFor(() => b.sync.isLeader);
+
+        await execution;
+        expect(b.doc.text).toBe('x');
+    });
+
+    test('rejects requests that are still waiting when stopped', async () => {
+        const a = openTab('a');
+        const b = openTab('b');
+        await Promise.all([a.sync.start(), b.sync.start()]);
+
+        const execution = b.sync.execute(new AppendCommand(b.doc, 'x'));
+        b.sync.stop();
+
+        await expect(execution).rejects.toThrow('HistorySync was stopped');
+    });
+
+    test('requires a channel and a linear history', () => {
+        expect(() => new Oops.HistorySync(new Oops(), {})).toThrow('HistorySync requires a channel');
+        expect(() => new Oops.HistorySync(new Oops({ historyTree: true }), { channel: hub.createChannel() }))
+            .toThrow('history tree mode');
+    });
+});